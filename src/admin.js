@@ -0,0 +1,225 @@
+import { jsonResponse, jsonError } from "./http.js";
+import { requireAdmin } from "./auth.js";
+import { validateConfigPayload } from "./schema.js";
+import { PROFILE_PREFIX, deepMerge } from "./config-lookup.js";
+import { CONFIG_VERSION_KEY, bumpConfigVersion } from "./page-cache.js";
+import { RATES_KEY, validateRatesTable } from "./pricing.js";
+
+/**
+ * Admin REST API for managing domain configs in the DOMAIN_CONFIGS namespace
+ *
+ *   GET    /_parkour/api/domains          List config keys (?cursor= for paging)
+ *   GET    /_parkour/api/domains/:key     Get one config
+ *   POST   /_parkour/api/domains/:key     Create a config (409 if it exists)
+ *   PUT    /_parkour/api/domains/:key     Replace an existing config
+ *   PATCH  /_parkour/api/domains/:key     Deep-merge fields into an existing config
+ *   DELETE /_parkour/api/domains/:key     Delete a config
+ *
+ * `:key` is a hostname, a wildcard pattern (`*.example.com`), a profile
+ * (`_profile:<name>`), `_default` or the currency rate table (`_rates`, see
+ * pricing.js). The config version key is maintained by the Worker and not
+ * exposed. All requests need `Authorization: Bearer <PARKOUR_ADMIN_TOKEN>`.
+ */
+
+export const ADMIN_API_ROUTE = "/_parkour/api/domains";
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+
+const HOSTNAME_PATTERN =
+  /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+
+/**
+ * Check whether a string is a valid DOMAIN_CONFIGS key
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isValidConfigKey(key) {
+  if (key.startsWith("*.")) return HOSTNAME_PATTERN.test(key.slice(2));
+  if (key.startsWith(PROFILE_PREFIX)) {
+    return PROFILE_NAME_PATTERN.test(key.slice(PROFILE_PREFIX.length));
+  }
+  return key === "_default" || key === RATES_KEY || HOSTNAME_PATTERN.test(key);
+}
+
+/**
+ * Parse a JSON request body
+ * @param {Request} request
+ * @returns {Promise<{body?: object, error?: Response}>}
+ */
+async function readJsonBody(request) {
+  try {
+    return { body: await request.json() };
+  } catch (e) {
+    return {
+      error: jsonError(400, "invalid_json", "Request body must be valid JSON."),
+    };
+  }
+}
+
+/**
+ * Validate a config before it is stored
+ * @param {string} key - Config key the config is for
+ * @param {*} config - Config to store
+ * @returns {Response|null} 422 response, or null if the config is valid
+ */
+function validateStoredConfig(key, config) {
+  const errors =
+    key === RATES_KEY
+      ? validateRatesTable(config)
+      : validateConfigPayload(config);
+  if (errors.length === 0) return null;
+
+  return jsonError(422, "invalid_config", "Config failed validation.", errors);
+}
+
+/**
+ * List config keys, one KV page at a time
+ */
+async function listConfigs(kv, url) {
+  const cursor = url.searchParams.get("cursor") || undefined;
+  const result = await kv.list({ cursor });
+
+  return jsonResponse({
+    ok: true,
+    domains: result.keys
+      .map((key) => key.name)
+      .filter((name) => name !== CONFIG_VERSION_KEY),
+    cursor: result.list_complete ? null : result.cursor,
+  });
+}
+
+/**
+ * Handle a request to the admin API
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and KV bindings
+ * @returns {Promise<Response>}
+ */
+export async function handleAdminRequest(request, env) {
+  const unauthorized = await requireAdmin(request, env);
+  if (unauthorized) return unauthorized;
+
+  const kv = env.DOMAIN_CONFIGS;
+  if (!kv) {
+    return jsonError(
+      503,
+      "not_configured",
+      "The DOMAIN_CONFIGS KV namespace is not bound."
+    );
+  }
+
+  const url = new URL(request.url);
+  let key;
+  try {
+    key = decodeURIComponent(
+      url.pathname.slice(ADMIN_API_ROUTE.length).replace(/^\/+|\/+$/g, "")
+    ).toLowerCase();
+  } catch (e) {
+    return jsonError(
+      400,
+      "invalid_key",
+      "The key in the path is not valid URL encoding."
+    );
+  }
+
+  try {
+    if (!key) {
+      if (request.method === "GET") return await listConfigs(kv, url);
+      return jsonError(
+        405,
+        "method_not_allowed",
+        `${request.method} is not supported on the collection. Use a key in the path.`
+      );
+    }
+
+    if (!isValidConfigKey(key)) {
+      return jsonError(
+        400,
+        "invalid_key",
+        `"${key}" is not a valid hostname, wildcard pattern, profile, "_default" or "${RATES_KEY}".`
+      );
+    }
+
+    const existing = await kv.get(key, { type: "json" });
+
+    switch (request.method) {
+      case "GET": {
+        if (!existing) {
+          return jsonError(404, "not_found", `No config found for "${key}".`);
+        }
+        return jsonResponse({ ok: true, key, config: existing });
+      }
+
+      case "POST": {
+        if (existing) {
+          return jsonError(
+            409,
+            "already_exists",
+            `A config for "${key}" already exists. Use PUT or PATCH to change it.`
+          );
+        }
+        const { body, error } = await readJsonBody(request);
+        if (error) return error;
+        const invalid = validateStoredConfig(key, body);
+        if (invalid) return invalid;
+        await kv.put(key, JSON.stringify(body));
+        await bumpConfigVersion(kv);
+        return jsonResponse({ ok: true, key, config: body }, 201);
+      }
+
+      case "PUT":
+      case "PATCH": {
+        if (!existing) {
+          return jsonError(
+            404,
+            "not_found",
+            `No config found for "${key}". Use POST to create it.`
+          );
+        }
+        const { body, error } = await readJsonBody(request);
+        if (error) return error;
+        const isObject =
+          body !== null && typeof body === "object" && !Array.isArray(body);
+        if (request.method === "PATCH" && !isObject) {
+          return jsonError(
+            400,
+            "invalid_json",
+            "A PATCH body must be a JSON object."
+          );
+        }
+        // PATCH merges nested objects (seo, theme, rates...) field by field
+        const config =
+          request.method === "PATCH" ? deepMerge(existing, body) : body;
+        const invalid = validateStoredConfig(key, config);
+        if (invalid) return invalid;
+        await kv.put(key, JSON.stringify(config));
+        await bumpConfigVersion(kv);
+        return jsonResponse({ ok: true, key, config });
+      }
+
+      case "DELETE": {
+        if (!existing) {
+          return jsonError(404, "not_found", `No config found for "${key}".`);
+        }
+        await kv.delete(key);
+        await bumpConfigVersion(kv);
+        return jsonResponse({ ok: true, key, deleted: true });
+      }
+
+      default:
+        return jsonError(
+          405,
+          "method_not_allowed",
+          `${request.method} is not supported.`
+        );
+    }
+  } catch (e) {
+    console.error(
+      `[Admin] Error handling ${request.method} ${key}: ${e.message}`
+    );
+    return jsonError(
+      500,
+      "internal_error",
+      "The request could not be completed."
+    );
+  }
+}
@@ -0,0 +1,447 @@
+import { jsonResponse, jsonError } from "./http.js";
+import { requireAdmin } from "./auth.js";
+import { checkRateLimit } from "./protection.js";
+
+/**
+ * Privacy-friendly visit analytics
+ *
+ * No cookies and no raw IPs are stored. Unique visitors are counted with a
+ * hash of IP + User-Agent + a random daily salt that is deleted after two
+ * days, so hashes cannot be linked across days or reversed later.
+ *
+ * Counts are kept by the AnalyticsCounter Durable Object, one instance per
+ * hostname (ANALYTICS binding). An instance handles its events one at a
+ * time, so counts stay exact under concurrent traffic. Its storage holds:
+ *   stats:<YYYY-MM-DD>              Daily aggregate
+ *   visitor:<YYYY-MM-DD>:<hash>     Unique visitor marker (deleted by alarm)
+ *   salt:<YYYY-MM-DD>               Daily salt (deleted by alarm)
+ */
+
+export const COLLECT_ROUTE = "/_parkour/collect";
+export const STATS_ROUTE = "/_parkour/api/stats";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MARKER_DAYS = 2;
+const MAX_KEYS_PER_MAP = 100;
+const MAX_LABEL_LENGTH = 100;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+// Durable Object storage reads and deletes at most 128 keys per call
+const MAX_KEYS_PER_CALL = 128;
+
+export const CLICK_TARGETS = [
+  "contact",
+  "link",
+  "social",
+  "similar",
+  "portfolio",
+];
+
+const BOT_PATTERN =
+  /bot|crawl|spider|slurp|preview|monitor|curl|wget|headless/i;
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ */
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Hex-encoded SHA-256
+ */
+async function sha256(text) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Create an empty set of counters
+ */
+function emptyCounters() {
+  return {
+    views: 0,
+    visitors: 0,
+    bots: 0,
+    modes: {},
+    referrers: {},
+    countries: {},
+    clicks: {},
+  };
+}
+
+/**
+ * Create an empty daily aggregate
+ */
+function emptyDay(date) {
+  return { date, ...emptyCounters() };
+}
+
+/**
+ * Increment a counter in a bounded map
+ * Once the map is full, new keys are counted under "(other)" so records stay small.
+ */
+function increment(map, key, by = 1) {
+  if (!key) return;
+  if (map[key] === undefined && Object.keys(map).length >= MAX_KEYS_PER_MAP) {
+    key = "(other)";
+  }
+  map[key] = (map[key] || 0) + by;
+}
+
+/**
+ * Durable Object holding the analytics of one hostname
+ * Requests: POST /view {bot, visitor, mode, referrer, country},
+ * POST /click {key} and POST /stats {days} -> {days: [aggregate]}.
+ * Each update is a run of storage calls with no other I/O in between, which
+ * the runtime does not interleave with other events.
+ */
+export class AnalyticsCounter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+    const body = await request.json();
+
+    if (pathname === "/stats") {
+      return Response.json({ days: await this.readDays(body.days) });
+    }
+
+    const day = toDay(new Date());
+    if (pathname === "/view") {
+      await this.recordView(day, body);
+    } else if (pathname === "/click") {
+      await this.updateDay(day, (stats) => increment(stats.clicks, body.key));
+    } else {
+      return new Response(null, { status: 404 });
+    }
+    return new Response(null, { status: 204 });
+  }
+
+  /**
+   * Count a page view, and its visitor if first seen today
+   */
+  async recordView(day, view) {
+    if (view.bot) {
+      await this.updateDay(day, (stats) => {
+        stats.bots++;
+      });
+      return;
+    }
+
+    const salt = await this.getDailySalt(day);
+    const visitorKey = `visitor:${day}:${await sha256(
+      `${salt}:${view.visitor}`
+    )}`;
+    const isNewVisitor = !(await this.storage.get(visitorKey));
+    if (isNewVisitor) {
+      await this.storage.put(visitorKey, 1);
+    }
+
+    await this.updateDay(day, (stats) => {
+      stats.views++;
+      if (isNewVisitor) stats.visitors++;
+      increment(stats.modes, view.mode);
+      increment(stats.referrers, view.referrer);
+      increment(stats.countries, view.country);
+    });
+  }
+
+  /**
+   * Get (or create) the random salt for a day
+   * The first salt schedules the alarm that deletes expired markers.
+   */
+  async getDailySalt(day) {
+    const key = `salt:${day}`;
+    const existing = await this.storage.get(key);
+    if (existing) return existing;
+
+    const salt = crypto.randomUUID();
+    await this.storage.put(key, salt);
+    if ((await this.storage.getAlarm()) === null) {
+      await this.storage.setAlarm(markerExpiry(day));
+    }
+    return salt;
+  }
+
+  /**
+   * Apply a change to a day's aggregate
+   */
+  async updateDay(day, mutate) {
+    const key = `stats:${day}`;
+    const stats = (await this.storage.get(key)) || emptyDay(day);
+    mutate(stats);
+    await this.storage.put(key, stats);
+  }
+
+  /**
+   * Aggregates for a list of days (empty ones for days without data)
+   */
+  async readDays(days) {
+    const buckets = [];
+    for (let i = 0; i < days.length; i += MAX_KEYS_PER_CALL) {
+      const chunk = days.slice(i, i + MAX_KEYS_PER_CALL);
+      const stored = await this.storage.get(chunk.map((day) => `stats:${day}`));
+      for (const day of chunk) {
+        buckets.push(stored.get(`stats:${day}`) || emptyDay(day));
+      }
+    }
+    return buckets;
+  }
+
+  /**
+   * Delete salts and visitor markers older than MARKER_DAYS
+   */
+  async alarm() {
+    const cutoff = toDay(new Date(Date.now() - (MARKER_DAYS - 1) * DAY_MS));
+    const expired = [];
+    for (const prefix of ["salt:", "visitor:"]) {
+      const entries = await this.storage.list({
+        prefix,
+        end: `${prefix}${cutoff}`,
+      });
+      expired.push(...entries.keys());
+    }
+    for (let i = 0; i < expired.length; i += MAX_KEYS_PER_CALL) {
+      await this.storage.delete(expired.slice(i, i + MAX_KEYS_PER_CALL));
+    }
+
+    // Markers of later days are still in use: come back when they expire
+    const remaining = await this.storage.list({ prefix: "salt:", limit: 1 });
+    const [next] = remaining.keys();
+    if (next) {
+      await this.storage.setAlarm(markerExpiry(next.slice("salt:".length)));
+    }
+  }
+}
+
+/**
+ * Time (ms) after which a day's salt and visitor markers are deleted
+ */
+function markerExpiry(day) {
+  return new Date(`${day}T00:00:00Z`).getTime() + MARKER_DAYS * DAY_MS;
+}
+
+/**
+ * Send an event or query to a hostname's counter
+ */
+function sendToCounter(env, hostname, path, body) {
+  const counter = env.ANALYTICS.get(env.ANALYTICS.idFromName(hostname));
+  return counter.fetch(`https://analytics${path}`, {
+    method: "POST",
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Get the referrer hostname, ignoring same-site navigation
+ */
+function referrerHost(request, hostname) {
+  const referrer = request.headers.get("referer");
+  if (!referrer) return "(direct)";
+  try {
+    const host = new URL(referrer).hostname;
+    return host === hostname ? null : host;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Record a page view
+ * Call via ctx.waitUntil so it never delays the response.
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and bindings
+ * @param {object} cfg - Final domain config from getConfig
+ * @param {string} hostname - Hostname the page was served on
+ * @returns {Promise<void>}
+ */
+export async function recordPageView(request, env, cfg, hostname) {
+  if (!env.ANALYTICS || cfg.analytics === false) return;
+  if (request.method !== "GET") return;
+
+  try {
+    const userAgent = request.headers.get("user-agent") || "";
+
+    if (BOT_PATTERN.test(userAgent)) {
+      await sendToCounter(env, hostname, "/view", { bot: true });
+      return;
+    }
+
+    const ip = request.headers.get("cf-connecting-ip") || "";
+    await sendToCounter(env, hostname, "/view", {
+      visitor: `${ip}:${userAgent}`,
+      mode: cfg.mode,
+      referrer: referrerHost(request, hostname),
+      country: request.cf?.country || "(unknown)",
+    });
+  } catch (e) {
+    console.error(
+      `[Analytics] Error recording view for ${hostname}: ${e.message}`
+    );
+  }
+}
+
+/**
+ * Handle a click beacon from the page ({"target": "link", "label": "Docs"})
+ * Beacons are rate limited per IP (RATE_LIMITS.collect); extra ones are dropped.
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and bindings
+ * @param {object} cfg - Final domain config from getConfig
+ * @param {string} hostname - Hostname the page was served on
+ * @param {object} ctx - Worker execution context
+ * @returns {Promise<Response>}
+ */
+export async function handleCollect(request, env, cfg, hostname, ctx) {
+  if (request.method !== "POST") {
+    return jsonError(405, "method_not_allowed", "Use POST to send events.");
+  }
+
+  // Beacons are fire-and-forget: always answer 204 so clients never retry
+  const accepted = new Response(null, {
+    status: 204,
+    headers: { "cache-control": "no-store" },
+  });
+
+  if (!env.ANALYTICS || cfg.analytics === false) return accepted;
+
+  // Over the limit, the event is dropped (the answer stays the same)
+  const retryAfter = await checkRateLimit(env, "collect", request, hostname);
+  if (retryAfter !== null) return accepted;
+
+  let event;
+  try {
+    event = JSON.parse(await request.text());
+  } catch (e) {
+    return accepted;
+  }
+
+  if (!event || !CLICK_TARGETS.includes(event.target)) return accepted;
+
+  const label =
+    typeof event.label === "string"
+      ? event.label.trim().slice(0, MAX_LABEL_LENGTH)
+      : "";
+  const key = label ? `${event.target}:${label}` : event.target;
+
+  ctx.waitUntil(
+    sendToCounter(env, hostname, "/click", { key }).catch((e) =>
+      console.error(
+        `[Analytics] Error recording click for ${hostname}: ${e.message}`
+      )
+    )
+  );
+
+  return accepted;
+}
+
+/**
+ * Parse a YYYY-MM-DD query parameter
+ */
+function parseDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Merge a day's counters into running totals
+ */
+function addToTotals(totals, stats) {
+  totals.views += stats.views;
+  totals.visitors += stats.visitors;
+  totals.bots += stats.bots;
+  for (const field of ["modes", "referrers", "countries", "clicks"]) {
+    for (const [key, count] of Object.entries(stats[field])) {
+      totals[field][key] = (totals[field][key] || 0) + count;
+    }
+  }
+}
+
+/**
+ * Handle GET /_parkour/api/stats?domain=example.com&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Defaults to the last 30 days. Returns one bucket per day plus totals.
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and bindings
+ * @returns {Promise<Response>}
+ */
+export async function handleStatsRequest(request, env) {
+  const unauthorized = await requireAdmin(request, env);
+  if (unauthorized) return unauthorized;
+
+  if (request.method !== "GET") {
+    return jsonError(405, "method_not_allowed", "Use GET to read stats.");
+  }
+
+  if (!env.ANALYTICS) {
+    return jsonError(
+      503,
+      "not_configured",
+      "The ANALYTICS Durable Object is not bound."
+    );
+  }
+
+  const url = new URL(request.url);
+  const domain = (url.searchParams.get("domain") || "").toLowerCase();
+  if (!domain) {
+    return jsonError(400, "invalid_query", "The domain parameter is required.");
+  }
+
+  const today = new Date(`${toDay(new Date())}T00:00:00Z`);
+  const to = url.searchParams.has("to")
+    ? parseDay(url.searchParams.get("to"))
+    : today;
+  const from = url.searchParams.has("from")
+    ? parseDay(url.searchParams.get("from"))
+    : new Date(today.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (!from || !to) {
+    return jsonError(
+      400,
+      "invalid_query",
+      "from and to must be dates in YYYY-MM-DD format."
+    );
+  }
+
+  const dayCount = Math.round((to - from) / DAY_MS) + 1;
+  if (dayCount < 1 || dayCount > MAX_RANGE_DAYS) {
+    return jsonError(
+      400,
+      "invalid_range",
+      `from must be on or before to, and the range can span at most ${MAX_RANGE_DAYS} days.`
+    );
+  }
+
+  const days = Array.from({ length: dayCount }, (_, i) =>
+    toDay(new Date(from.getTime() + i * DAY_MS))
+  );
+
+  try {
+    const response = await sendToCounter(env, domain, "/stats", { days });
+    const { days: buckets } = await response.json();
+
+    const totals = emptyCounters();
+    buckets.forEach((stats) => addToTotals(totals, stats));
+
+    return jsonResponse({
+      ok: true,
+      domain,
+      from: days[0],
+      to: days[days.length - 1],
+      totals,
+      days: buckets,
+    });
+  } catch (e) {
+    console.error(
+      `[Analytics] Error reading stats for ${domain}: ${e.message}`
+    );
+    return jsonError(500, "internal_error", "Stats could not be loaded.");
+  }
+}
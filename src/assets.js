@@ -0,0 +1,55 @@
+import stylesheet from "../dist/parkour.css";
+
+/**
+ * Static assets served by the Worker
+ *
+ * The stylesheet is compiled ahead of time by `npm run build` (Tailwind,
+ * limited to the classes used in src/, plus src/styles/core.css) and served
+ * from a content-hashed URL so it can be cached forever.
+ */
+
+export const ASSETS_ROUTE = "/_parkour/assets/";
+
+/**
+ * Short, stable content hash (32-bit FNV-1a, hex)
+ * @param {string} text
+ * @returns {string}
+ */
+export function contentHash(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+export const STYLESHEET_PATH = `${ASSETS_ROUTE}parkour.${contentHash(
+  stylesheet
+)}.css`;
+
+/**
+ * Serve a request under the assets route
+ * @param {Request} request - Incoming request
+ * @returns {Response}
+ */
+export function handleAssetRequest(request) {
+  const url = new URL(request.url);
+
+  if (url.pathname !== STYLESHEET_PATH) {
+    return new Response("Not Found", {
+      status: 404,
+      headers: {
+        "content-type": "text/plain;charset=UTF-8",
+        "cache-control": "no-store",
+      },
+    });
+  }
+
+  return new Response(stylesheet, {
+    headers: {
+      "content-type": "text/css;charset=UTF-8",
+      "cache-control": "public, max-age=31536000, immutable",
+    },
+  });
+}
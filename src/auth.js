@@ -0,0 +1,69 @@
+import { jsonResponse, jsonError } from "./http.js";
+
+/**
+ * Bearer token authentication for Worker API routes
+ *
+ * The token is read from the PARKOUR_ADMIN_TOKEN Worker secret:
+ *   wrangler secret put PARKOUR_ADMIN_TOKEN
+ */
+
+/**
+ * Compare two strings without leaking where they differ through timing
+ * Both values are hashed first so the comparison length does not depend on the input
+ * @param {string} a
+ * @param {string} b
+ * @returns {Promise<boolean>}
+ */
+export async function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const [hashA, hashB] = await Promise.all([
+    crypto.subtle.digest("SHA-256", encoder.encode(a)),
+    crypto.subtle.digest("SHA-256", encoder.encode(b)),
+  ]);
+
+  const bytesA = new Uint8Array(hashA);
+  const bytesB = new Uint8Array(hashB);
+  let diff = 0;
+  for (let i = 0; i < bytesA.length; i++) {
+    diff |= bytesA[i] ^ bytesB[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Check the request's bearer token against the admin secret
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and secrets
+ * @returns {Promise<Response|null>} An error response, or null if the request is authorized
+ */
+export async function requireAdmin(request, env) {
+  if (!env.PARKOUR_ADMIN_TOKEN) {
+    return jsonError(
+      503,
+      "not_configured",
+      "The admin API is disabled. Set the PARKOUR_ADMIN_TOKEN secret to enable it."
+    );
+  }
+
+  const header = request.headers.get("authorization") || "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+
+  if (
+    !match ||
+    !(await timingSafeEqual(match[1].trim(), env.PARKOUR_ADMIN_TOKEN))
+  ) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: {
+          code: "unauthorized",
+          message: "A valid bearer token is required.",
+        },
+      },
+      401,
+      { "www-authenticate": 'Bearer realm="parkour"' }
+    );
+  }
+
+  return null;
+}
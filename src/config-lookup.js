@@ -0,0 +1,227 @@
+/**
+ * Hostname -> config key resolution and profile inheritance
+ *
+ * Keys are tried in this order; the first one with a config wins:
+ *   1. Exact host                     shop.example.com
+ *   2. Host without "www."            (www.example.com -> example.com)
+ *   3. Wildcard parents, nearest first *.shop.example.com, *.example.com
+ *   4. _default
+ * A config of the form {"aliasOf": "example.com"} is followed to the key it
+ * names (exact key only). The same order is used for KV and for the
+ * `<PREFIX>_CONFIG` environment variables.
+ *
+ * Configs can inherit from named profiles stored under `_profile:<name>`:
+ *   { "extends": ["brokerage", "dark-blue"], "title": "..." }
+ * Precedence, lowest first: each profile in `extends` order (after its own
+ * `extends`), then the config's own fields. Plain objects are deep-merged;
+ * arrays and other values are replaced. `_default` is only inherited when
+ * named in `extends` ("extends": "_default"); otherwise it is just the
+ * fallback for hosts without a config.
+ */
+
+export const DEFAULT_CONFIG_KEY = "_default";
+export const PROFILE_PREFIX = "_profile:";
+
+const MAX_ALIAS_DEPTH = 5;
+
+/**
+ * Environment variable prefix for a config key
+ * e.g. "cdn-farm.com" -> "CDN_FARM_COM", "*.example.com" -> "__EXAMPLE_COM",
+ * "_profile:brokerage" -> "_PROFILE_BROKERAGE"
+ * @param {string} key - Hostname, wildcard pattern or "_default"
+ * @returns {string}
+ */
+export function envPrefixFor(key) {
+  return key.replace(/[*.:-]/g, "_").toUpperCase();
+}
+
+/**
+ * Check whether a config key names a single host
+ * Wildcards, profiles, `_default` and other reserved `_` keys (e.g. `_rates`) don't.
+ * @param {string} key - Config key
+ * @returns {boolean}
+ */
+export function isHostnameKey(key) {
+  return !key.startsWith("_") && !key.startsWith("*.");
+}
+
+/**
+ * List the config keys to try for a hostname, in lookup order
+ * @param {string} hostname - The hostname from the request
+ * @returns {string[]}
+ */
+export function configKeyCandidates(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, "");
+  const candidates = [host];
+
+  if (host.startsWith("www.")) {
+    candidates.push(host.slice(4));
+  }
+
+  // IP addresses have no parent domains
+  const isIpAddress = /^[\d.]+$/.test(host) || host.includes(":");
+  if (!isIpAddress) {
+    const labels = host.split(".");
+    // Stop before the TLD: "*.com" is never a candidate
+    for (let i = 1; i < labels.length - 1; i++) {
+      candidates.push(`*.${labels.slice(i).join(".")}`);
+    }
+  }
+
+  candidates.push(DEFAULT_CONFIG_KEY);
+  return [...new Set(candidates)];
+}
+
+/**
+ * Load a config by key, following aliasOf references
+ * @param {string} key - Config key to start from
+ * @param {(key: string) => Promise<object|null>} load - Loads one config by exact key
+ * @returns {Promise<{config: object, key: string, target: string}|null>} key is the chain, e.g. "old.com -> example.com"; target is its last key
+ */
+async function followAliases(key, load) {
+  const chain = [];
+  let current = key;
+
+  while (true) {
+    if (chain.includes(current) || chain.length > MAX_ALIAS_DEPTH) {
+      console.error(
+        `[Config] Alias loop or chain too long: ${[...chain, current].join(
+          " -> "
+        )}`
+      );
+      return null;
+    }
+
+    const config = await load(current);
+    if (!config) {
+      if (chain.length > 0) {
+        console.error(
+          `[Config] Alias target "${current}" not found (from ${chain.join(
+            " -> "
+          )})`
+        );
+      }
+      return null;
+    }
+
+    chain.push(current);
+    if (typeof config.aliasOf !== "string") {
+      return { config, key: chain.join(" -> "), target: current };
+    }
+    current = config.aliasOf.toLowerCase();
+  }
+}
+
+/**
+ * Find the config for a hostname
+ * @param {string} hostname - The hostname from the request
+ * @param {(key: string) => Promise<object|null>} load - Loads one config by exact key
+ * @returns {Promise<{config: object, key: string, target: string}|null>} The config and the key(s) it was found under
+ */
+export async function resolveConfig(hostname, load) {
+  for (const candidate of configKeyCandidates(hostname)) {
+    const match = await followAliases(candidate, load);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Get the config key of a profile name ("brokerage" -> "_profile:brokerage")
+ * @param {string} name - Profile name, or a full profile key / "_default"
+ * @returns {string}
+ */
+export function profileKey(name) {
+  const key = name.trim().toLowerCase();
+  return key === DEFAULT_CONFIG_KEY || key.startsWith(PROFILE_PREFIX)
+    ? key
+    : `${PROFILE_PREFIX}${key}`;
+}
+
+/**
+ * Check whether a value is a plain JSON object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Merge `source` over `target`: plain objects are merged recursively,
+ * everything else (arrays included) is replaced
+ * @param {object} target
+ * @param {object} source
+ * @returns {object} A new object
+ */
+export function deepMerge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] =
+      isPlainObject(value) && isPlainObject(result[key])
+        ? deepMerge(result[key], value)
+        : value;
+  }
+  return result;
+}
+
+/**
+ * Merge a config over the profiles it extends
+ * @param {object} config - Config that may have `extends`
+ * @param {(key: string) => Promise<object|null>} load - Loads one config by exact key
+ * @param {string[]} stack - Profile keys being expanded (for cycle detection)
+ * @param {Array<object>} issues - Collects missing-profile and cycle warnings
+ * @returns {Promise<object>} Merged config without `extends`
+ */
+async function expandProfiles(config, load, stack, issues) {
+  const { extends: names, ...own } = config;
+  let merged = {};
+
+  for (const name of [].concat(names || [])) {
+    if (typeof name !== "string" || !name.trim()) continue;
+
+    const key = profileKey(name);
+    if (stack.includes(key)) {
+      issues.push({
+        level: "warning",
+        code: "profile_cycle",
+        field: "extends",
+        message: `Profile cycle ${[...stack, key].join(
+          " -> "
+        )}; "${key}" was skipped.`,
+      });
+      continue;
+    }
+
+    const profile = await load(key);
+    if (!profile) {
+      issues.push({
+        level: "warning",
+        code: "profile_not_found",
+        field: "extends",
+        message: `Profile "${key}" does not exist and was skipped.`,
+      });
+      continue;
+    }
+
+    merged = deepMerge(
+      merged,
+      await expandProfiles(profile, load, [...stack, key], issues)
+    );
+  }
+
+  return deepMerge(merged, own);
+}
+
+/**
+ * Apply the `extends` profiles to a matched config
+ * @param {{config: object, target: string}} match - Result of resolveConfig
+ * @param {(key: string) => Promise<object|null>} load - Loads one config by exact key
+ * @returns {Promise<{config: object, issues: Array<object>}>}
+ */
+export async function applyProfiles(match, load) {
+  const issues = [];
+  const stack = match.target === DEFAULT_CONFIG_KEY ? [DEFAULT_CONFIG_KEY] : [];
+  const config = await expandProfiles(match.config, load, stack, issues);
+  delete config.aliasOf;
+
+  return { config, issues };
+}
@@ -0,0 +1,66 @@
+/**
+ * Shared HTTP helpers for Worker routes
+ */
+
+/**
+ * Build a JSON response
+ * @param {*} data - Serializable response body
+ * @param {number} status - HTTP status code (default: 200)
+ * @param {Object} headers - Additional response headers
+ * @returns {Response}
+ */
+export function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "content-type": "application/json;charset=UTF-8",
+      "cache-control": "no-store",
+      ...headers,
+    },
+  });
+}
+
+/**
+ * Build a structured JSON error response
+ * Shape: { ok: false, error: { code, message, details? } }
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code (e.g. "invalid_input")
+ * @param {string} message - Human-readable message
+ * @param {*} details - Optional extra information (e.g. per-field errors)
+ * @returns {Response}
+ */
+export function jsonError(status, code, message, details = undefined) {
+  const error = { code, message };
+  if (details !== undefined) error.details = details;
+  return jsonResponse({ ok: false, error }, status);
+}
+
+/**
+ * Read a request body as a plain object, accepting JSON or form posts
+ * @param {Request} request - Incoming request
+ * @returns {Promise<object|null>} Parsed body, or null if it could not be parsed
+ */
+export async function readBody(request) {
+  const contentType = request.headers.get("content-type") || "";
+
+  try {
+    if (contentType.includes("application/json")) {
+      const body = await request.json();
+      return body && typeof body === "object" && !Array.isArray(body)
+        ? body
+        : null;
+    }
+
+    if (
+      contentType.includes("application/x-www-form-urlencoded") ||
+      contentType.includes("multipart/form-data")
+    ) {
+      const form = await request.formData();
+      return Object.fromEntries(form.entries());
+    }
+  } catch (e) {
+    return null;
+  }
+
+  return null;
+}
@@ -0,0 +1,174 @@
+import { MESSAGES } from "./locales.js";
+import { escapeHtml } from "./templates/escape.js";
+
+/**
+ * Locale negotiation, UI string lookup and localized config values
+ *
+ * The page locale comes from `?lang=`, then Accept-Language, then the
+ * domain's `defaultLocale`, limited to the domain's `locales` (or every
+ * locale with built-in strings). Config text fields can be given per locale:
+ *   { "title": { "en": "For Sale", "de": "Zu verkaufen" } }
+ */
+
+export const DEFAULT_LOCALE = "en";
+export const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+const RTL_LANGUAGES = ["ar", "he", "fa", "ur", "ps", "yi"];
+
+/**
+ * Check whether a string looks like a BCP 47 language tag ("de", "pt-BR")
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isLocaleCode(value) {
+  return typeof value === "string" && LOCALE_PATTERN.test(value);
+}
+
+/**
+ * Primary language subtag ("pt-BR" -> "pt")
+ */
+function language(tag) {
+  return tag.split("-")[0].toLowerCase();
+}
+
+/**
+ * Find the best supported locale for a language tag
+ * Exact match first, then same primary language.
+ * @param {string} tag - Requested tag
+ * @param {string[]} supported - Available locales
+ * @returns {string|null}
+ */
+export function matchLocale(tag, supported) {
+  if (!isLocaleCode(tag)) return null;
+  const lower = tag.toLowerCase();
+  return (
+    supported.find((locale) => locale.toLowerCase() === lower) ||
+    supported.find((locale) => language(locale) === language(lower)) ||
+    null
+  );
+}
+
+/**
+ * Parse an Accept-Language header into tags, most preferred first
+ * @param {string|null} header
+ * @returns {string[]}
+ */
+export function parseAcceptLanguage(header) {
+  if (!header) return [];
+
+  return header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params
+        .map((param) => param.trim())
+        .find((param) => param.startsWith("q="));
+      return { tag: tag.trim(), q: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter((entry) => entry.tag && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map((entry) => entry.tag);
+}
+
+/**
+ * Pick the page locale for a request
+ * @param {Request|null} request - Incoming request
+ * @param {{locales?: string[], defaultLocale?: string}} cfg - Merged domain config
+ * @returns {string}
+ */
+export function negotiateLocale(request, cfg) {
+  const configured = Array.isArray(cfg.locales)
+    ? cfg.locales.filter(isLocaleCode)
+    : [];
+  const supported = configured.length > 0 ? configured : SUPPORTED_LOCALES;
+  const fallback =
+    matchLocale(cfg.defaultLocale || DEFAULT_LOCALE, supported) || supported[0];
+
+  if (!request) return fallback;
+
+  const lang = new URL(request.url).searchParams.get("lang");
+  const requested = [
+    ...(lang ? [lang] : []),
+    ...parseAcceptLanguage(request.headers.get("accept-language")),
+  ];
+
+  for (const tag of requested) {
+    if (tag === "*") return fallback;
+    const match = matchLocale(tag, supported);
+    if (match) return match;
+  }
+
+  return fallback;
+}
+
+/**
+ * Text direction for a locale
+ * @param {string} locale
+ * @returns {"rtl"|"ltr"}
+ */
+export function textDirection(locale) {
+  return RTL_LANGUAGES.includes(language(locale || DEFAULT_LOCALE))
+    ? "rtl"
+    : "ltr";
+}
+
+/**
+ * Look up a built-in UI string, falling back to English
+ * @param {string} locale - Page locale
+ * @param {string} key - Message key, e.g. "parking.getInTouch"
+ * @param {Object<string, string|number>} params - Values for {placeholders}
+ * @returns {string} Plain text (not escaped)
+ */
+export function t(locale, key, params = {}) {
+  const messages = MESSAGES[language(locale || DEFAULT_LOCALE)] || {};
+  const message = messages[key] || MESSAGES[DEFAULT_LOCALE][key] || key;
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+/**
+ * Look up a UI string as HTML, with placeholders replaced by markup
+ * @param {string} locale - Page locale
+ * @param {string} key - Message key
+ * @param {Object<string, string>} html - Trusted HTML for each {placeholder}
+ * @returns {string} Escaped message with the given HTML inserted
+ */
+export function tHtml(locale, key, html = {}) {
+  return escapeHtml(t(locale, key)).replace(/\{(\w+)\}/g, (match, name) =>
+    html[name] !== undefined ? html[name] : match
+  );
+}
+
+/**
+ * Check whether a config value is a per-locale map like {"en": ..., "de": ...}
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isLocalizedMap(value) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(isLocaleCode);
+}
+
+/**
+ * Pick the value for a locale from a per-locale map
+ * Plain values are returned unchanged.
+ * @param {*} value - Config value
+ * @param {string} locale - Page locale
+ * @param {string} fallback - Domain default locale
+ * @returns {*}
+ */
+export function localizeValue(value, locale, fallback = DEFAULT_LOCALE) {
+  if (!isLocalizedMap(value)) return value;
+
+  const locales = Object.keys(value);
+  const match =
+    matchLocale(locale, locales) ||
+    matchLocale(fallback || DEFAULT_LOCALE, locales) ||
+    locales[0];
+  return value[match];
+}
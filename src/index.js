@@ -1,3 +1,18 @@
+/**
+ * Check whether a hostname is a local development host
+ * Dev hosts load config.dev.local.example.json and show dev-only UI
+ * (theme switcher, config diagnostics panel)
+ * @param {string} hostname - The hostname from the request
+ * @returns {boolean}
+ */
+function isDevHostname(hostname) {
+  return (
+    hostname === "localhost" ||
+    hostname === "127.0.0.1" ||
+    hostname === "domain-parkour.apiary.workers.dev"
+  );
+}
+
 /**
  * Get domain-specific configuration from Cloudflare KV or Environment Variables
  * Priority:
@@ -5,18 +20,17 @@
  * 2. Cloudflare KV storage (DOMAIN_CONFIGS namespace)
  * 3. Environment variables (JSON string or individual properties)
  * 4. Hardcoded defaults (safe public data only)
+ * KV and env configs are looked up by exact host, www-stripped host, wildcard
+ * parents, then _default, following aliasOf, and are merged over the
+ * profiles they `extends` (see config-lookup.js).
  *
  * @param {string} hostname - The hostname from the request
  * @param {object} env - Environment variables and KV bindings
- * @returns {Promise<{config: object, allThemes?: Array}>} - Returns config and optionally all themes for dev mode
+ * @returns {Promise<{config: object, configKey: string, issues?: Array<object>, allThemes?: Array}>} - Returns config, the key it was found under, profile issues, and optionally all themes for dev mode
  */
 async function getDomainConfig(hostname, env) {
   // Local development: Try to load config.dev.local.example.json for localhost
-  if (
-    hostname === "localhost" ||
-    hostname === "127.0.0.1" ||
-    hostname === "domain-parkour.apiary.workers.dev"
-  ) {
+  if (isDevHostname(hostname)) {
     try {
       const localConfigModule = await import(
         "../config.dev.local.example.json"
@@ -33,12 +47,14 @@ async function getDomainConfig(hostname, env) {
         if (Array.isArray(themes) && themes.length > 0) {
           return {
             config: { domain: hostname, ...themes[0] },
+            configKey: "dev",
             allThemes: themes,
           };
         } else {
           // Fallback for old format
           return {
             config: { domain: hostname, ...themes },
+            configKey: "dev",
           };
         }
       }
@@ -52,58 +68,52 @@ async function getDomainConfig(hostname, env) {
   // Try to get config from Cloudflare KV first (most secure)
   if (env.DOMAIN_CONFIGS) {
     try {
-      const kvConfig = await env.DOMAIN_CONFIGS.get(hostname, { type: "json" });
-      if (kvConfig) {
-        return { config: { domain: hostname, ...kvConfig } };
-      }
-
-      // Try default config from KV
-      const defaultConfig = await env.DOMAIN_CONFIGS.get("_default", {
-        type: "json",
-      });
-      if (defaultConfig) {
-        return { config: { domain: hostname, ...defaultConfig } };
+      const loadKv = (key) => env.DOMAIN_CONFIGS.get(key, { type: "json" });
+      const kvMatch = await resolveConfig(hostname, loadKv);
+      if (kvMatch) {
+        const { config, issues } = await applyProfiles(kvMatch, loadKv);
+        return {
+          config: { domain: hostname, ...config },
+          configKey: kvMatch.key,
+          issues,
+        };
       }
     } catch (e) {
       console.error(`Error fetching from KV: ${e.message}`);
     }
   }
 
-  // Fall back to environment variables (JSON string for the specific domain)
-  const envPrefix = hostname
-    .replace(/\./g, "_")
-    .replace(/-/g, "_")
-    .toUpperCase();
-  const domainEnvConfig = env[`${envPrefix}_CONFIG`];
+  // Fall back to environment variables (JSON string per key, e.g. EXAMPLE_COM_CONFIG)
+  const loadEnv = async (key) => {
+    const name = `${envPrefixFor(key)}_CONFIG`;
+    if (!env[name]) return null;
+    try {
+      return JSON.parse(env[name]);
+    } catch (e) {
+      console.error(`Error parsing ${name}: ${e.message}`);
+      return null;
+    }
+  };
+  const envMatch = await resolveConfig(hostname, loadEnv);
 
   console.log(
-    `[Debug] Hostname: ${hostname}, EnvPrefix: ${envPrefix}, Config exists: ${!!domainEnvConfig}`
+    `[Debug] Hostname: ${hostname}, Env config: ${
+      envMatch ? envMatch.key : "none"
+    }`
   );
 
-  if (domainEnvConfig) {
-    console.log(`[Debug] Raw config string length: ${domainEnvConfig.length}`);
-    console.log(
-      `[Debug] Raw config (first 200 chars): ${domainEnvConfig.substring(
-        0,
-        200
-      )}`
-    );
-    try {
-      const parsed = JSON.parse(domainEnvConfig);
-      console.log(`[Debug] Parsed config:`, parsed);
-      return { config: { domain: hostname, ...parsed } };
-    } catch (e) {
-      console.error(`Error parsing ${envPrefix}_CONFIG: ${e.message}`);
-      console.error(
-        `[Debug] Char at position 185: ${domainEnvConfig.charCodeAt(185)} (${
-          domainEnvConfig[185]
-        })`
-      );
-    }
+  if (envMatch) {
+    const { config, issues } = await applyProfiles(envMatch, loadEnv);
+    return {
+      config: { domain: hostname, ...config },
+      configKey: `env:${envMatch.key}`,
+      issues,
+    };
   }
 
   // Return minimal default (only non-sensitive data)
   return {
+    configKey: "builtin",
     config: {
       domain: hostname,
       mode: "landing", // 'parking', 'coming-soon', or 'landing'
@@ -111,6 +121,7 @@ async function getDomainConfig(hostname, env) {
       description: "Your gateway to something amazing.",
       registrationDate: null,
       salePrice: null,
+      minimumOffer: null,
       contactEmail: null,
       accentColor: "#3b82f6", // Default blue accent
       // ** Coming Soon specific fields
@@ -130,14 +141,16 @@ async function getDomainConfig(hostname, env) {
  * @param {string} hostname - The hostname from the request
  * @param {object} env - Environment variables and KV bindings
  * @param {Request} request - The request object (to check for theme override cookie)
- * @returns {Promise<{config: object, allThemes?: Array}>}
+ * @returns {Promise<{config: object, configKey: string, allThemes?: Array, issues: Array<object>, nextTransition: number|null}>}
  */
 async function getConfig(hostname, env, request = null) {
   // Get base config for this domain
-  let { config: domainConfig, allThemes } = await getDomainConfig(
-    hostname,
-    env
-  );
+  let {
+    config: domainConfig,
+    configKey,
+    issues: profileIssues = [],
+    allThemes,
+  } = await getDomainConfig(hostname, env);
 
   // If in dev mode with multiple themes, check for theme index override
   if (allThemes && allThemes.length > 0 && request) {
@@ -152,52 +165,25 @@ async function getConfig(hostname, env, request = null) {
     }
   }
 
+  // Apply the scheduled overrides that are active now (see schedule.js)
+  const schedule = applySchedule(domainConfig);
+  domainConfig = schedule.config;
+
   // Environment variables can override per-domain settings
   // Use hostname-specific env vars first (e.g., CDN_FARM_TITLE)
   // then fall back to generic env vars (e.g., TITLE)
-  const envPrefix = hostname
-    .replace(/\./g, "_")
-    .replace(/-/g, "_")
-    .toUpperCase();
-
-  const registrationDate =
-    env[`${envPrefix}_REGISTRATION_DATE`] ||
-    env.REGISTRATION_DATE ||
-    domainConfig.registrationDate;
-
-  let domainAgeYears = "";
-  let domainRegistration = "";
-  let domainExtension = "";
+  const envPrefix = envPrefixFor(hostname);
 
   const domain =
     env[`${envPrefix}_DOMAIN`] || env.DOMAIN || domainConfig.domain || hostname;
 
-  const domainTitle =
-    env[`${envPrefix}_DOMAIN_TITLE`] ||
-    env.DOMAIN_TITLE ||
-    domainConfig.domainTitle ||
-    domain;
-
-  // Extract domain extension from domainTitle (but not for IP addresses)
-  const isIpAddress = /^(\d{1,3}\.){3}\d{1,3}$/.test(domainTitle);
-  if (domainTitle && !isIpAddress) {
-    const parts = domainTitle.split(".");
-    if (parts.length > 1) {
-      domainExtension = `.${parts.pop()}`;
-    }
-  }
-
-  if (registrationDate) {
-    const regDate = new Date(registrationDate);
-    const ageInMs = Date.now() - regDate.getTime();
-    const ageInYears = ageInMs / (1000 * 60 * 60 * 24 * 365.25);
-    domainAgeYears = `${Math.floor(ageInYears)}+`;
-    domainRegistration = `Registered in ${regDate.getFullYear()}`;
-  }
-
-  const finalConfig = {
+  const mergedConfig = {
     domain: domain,
-    domainTitle: domainTitle,
+    domainTitle:
+      env[`${envPrefix}_DOMAIN_TITLE`] ||
+      env.DOMAIN_TITLE ||
+      domainConfig.domainTitle ||
+      domain,
     mode:
       env[`${envPrefix}_MODE`] || env.MODE || domainConfig.mode || "landing",
     title: env[`${envPrefix}_TITLE`] || env.TITLE || domainConfig.title,
@@ -205,21 +191,64 @@ async function getConfig(hostname, env, request = null) {
       env[`${envPrefix}_DESCRIPTION`] ||
       env.DESCRIPTION ||
       domainConfig.description,
-    domainAgeYears: domainConfig.domainAgeYears || domainAgeYears,
-    domainRegistration: domainConfig.domainRegistration || domainRegistration,
-    domainExtension: domainConfig.domainExtension || domainExtension,
+    registrationDate:
+      env[`${envPrefix}_REGISTRATION_DATE`] ||
+      env.REGISTRATION_DATE ||
+      domainConfig.registrationDate,
+    domainAgeYears: domainConfig.domainAgeYears,
+    domainRegistration: domainConfig.domainRegistration,
+    domainExtension: domainConfig.domainExtension,
     salePrice:
       env[`${envPrefix}_SALE_PRICE`] ||
       env.SALE_PRICE ||
       domainConfig.salePrice,
+    minimumOffer:
+      env[`${envPrefix}_MINIMUM_OFFER`] ||
+      env.MINIMUM_OFFER ||
+      domainConfig.minimumOffer,
+    // Also show the price in the visitor's currency (needs the _rates KV key)
+    convertPrice:
+      domainConfig.convertPrice !== undefined
+        ? domainConfig.convertPrice
+        : false,
+    // Show on-page offer form in parking mode (defaults to true if not specified)
+    offerForm:
+      domainConfig.offerForm !== undefined ? domainConfig.offerForm : true,
+    // Sale status: available, under-offer, sold or not-for-sale
+    status:
+      env[`${envPrefix}_STATUS`] ||
+      env.STATUS ||
+      domainConfig.status ||
+      "available",
+    // Portfolio filter tags and the link back to the portfolio
+    tags: domainConfig.tags || [],
+    portfolioUrl:
+      env[`${envPrefix}_PORTFOLIO_URL`] ||
+      env.PORTFOLIO_URL ||
+      domainConfig.portfolioUrl,
+    // Suggest other parked domains (true or a list of hostnames)
+    similarDomains:
+      domainConfig.similarDomains !== undefined
+        ? domainConfig.similarDomains
+        : false,
     contactEmail:
       env[`${envPrefix}_CONTACT_EMAIL`] ||
       env.CONTACT_EMAIL ||
       domainConfig.contactEmail,
+    // Turnstile challenge on forms (needs the TURNSTILE_SECRET_KEY secret)
+    turnstileSiteKey:
+      env[`${envPrefix}_TURNSTILE_SITE_KEY`] ||
+      env.TURNSTILE_SITE_KEY ||
+      domainConfig.turnstileSiteKey,
     accentColor:
       env[`${envPrefix}_ACCENT_COLOR`] ||
       env.ACCENT_COLOR ||
-      domainConfig.accentColor,
+      domainConfig.accentColor ||
+      themeAccent(domainConfig.theme),
+    // Preset name or design tokens (see theme.js)
+    theme: domainConfig.theme,
+    // auto (system setting), light, dark, light-only or dark-only
+    colorScheme: domainConfig.colorScheme || "auto",
     // Coming Soon specific fields
     launchDate:
       env[`${envPrefix}_LAUNCH_DATE`] ||
@@ -227,11 +256,44 @@ async function getConfig(hostname, env, request = null) {
       domainConfig.launchDate,
     tagline: env[`${envPrefix}_TAGLINE`] || env.TAGLINE || domainConfig.tagline,
     features: domainConfig.features || [],
+    // Email signup form (defaults to true if not specified)
+    waitlist:
+      domainConfig.waitlist !== undefined ? domainConfig.waitlist : true,
+    // Require a confirmation link before a signup counts (defaults to false)
+    waitlistDoubleOptIn:
+      domainConfig.waitlistDoubleOptIn !== undefined
+        ? domainConfig.waitlistDoubleOptIn
+        : false,
     socialLinks: domainConfig.socialLinks || {},
     // Landing page specific fields
     subtitle:
       env[`${envPrefix}_SUBTITLE`] || env.SUBTITLE || domainConfig.subtitle,
     links: domainConfig.links || [],
+    // Redirect specific fields
+    redirectUrl:
+      env[`${envPrefix}_REDIRECT_URL`] ||
+      env.REDIRECT_URL ||
+      domainConfig.redirectUrl,
+    redirectPermanent:
+      domainConfig.redirectPermanent !== undefined
+        ? domainConfig.redirectPermanent
+        : false,
+    preservePath:
+      domainConfig.preservePath !== undefined
+        ? domainConfig.preservePath
+        : true,
+    preserveQuery:
+      domainConfig.preserveQuery !== undefined
+        ? domainConfig.preserveQuery
+        : true,
+    redirectRules: domainConfig.redirectRules || [],
+    // Show a countdown page instead of redirecting immediately
+    interstitial:
+      domainConfig.interstitial !== undefined
+        ? domainConfig.interstitial
+        : false,
+    redirectDelay:
+      domainConfig.redirectDelay !== undefined ? domainConfig.redirectDelay : 5,
     // Footer text
     footerText:
       env[`${envPrefix}_FOOTER_TEXT`] ||
@@ -240,12 +302,73 @@ async function getConfig(hostname, env, request = null) {
     // Show credit (defaults to true if not specified)
     showCredit:
       domainConfig.showCredit !== undefined ? domainConfig.showCredit : true,
+    // SEO overrides (meta description, canonical, social cards, noindex, ...)
+    seo: domainConfig.seo || {},
+    // Custom robots.txt body (generated if not specified)
+    robotsTxt: domainConfig.robotsTxt,
+    // Serve the page on every path instead of a 404 (defaults to false)
+    catchAll:
+      domainConfig.catchAll !== undefined ? domainConfig.catchAll : false,
+    // Record anonymous visit analytics (defaults to true if not specified)
+    analytics:
+      domainConfig.analytics !== undefined ? domainConfig.analytics : true,
+    // Page language: default and the locales offered to visitors
+    defaultLocale:
+      env[`${envPrefix}_DEFAULT_LOCALE`] ||
+      env.DEFAULT_LOCALE ||
+      domainConfig.defaultLocale,
+    locales: domainConfig.locales,
+    schedule: domainConfig.schedule,
+    // Page sections (defaults to the mode's preset, see layout.js)
+    layout: domainConfig.layout,
+    // Extra pages keyed by path (see pages.js)
+    pages: domainConfig.pages,
   };
 
-  // Return config along with allThemes if in dev mode
+  // Validate and coerce the merged config; invalid values fall back to defaults
+  // Pick the visitor's language and resolve per-locale values ({"en": ..., "de": ...})
+  const locale = negotiateLocale(request, mergedConfig);
+  const { config: finalConfig, issues } = validateConfig(
+    localizeConfig(mergedConfig, locale, mergedConfig.defaultLocale)
+  );
+  finalConfig.locale = locale;
+  finalConfig.dir = textDirection(locale);
+  // Visitor's system scheme, for pages that follow it (see theme.js)
+  finalConfig.systemScheme = systemColorScheme(request);
+  issues.unshift(...profileIssues, ...findUnknownFields(domainConfig));
+
+  // Derive display values that weren't set explicitly
+  // Extract domain extension from domainTitle (but not for IP addresses)
+  const isIpAddress = /^(\d{1,3}\.){3}\d{1,3}$/.test(finalConfig.domainTitle);
+  if (!finalConfig.domainExtension && finalConfig.domainTitle && !isIpAddress) {
+    const parts = finalConfig.domainTitle.split(".");
+    finalConfig.domainExtension = parts.length > 1 ? `.${parts.pop()}` : "";
+  }
+
+  if (finalConfig.registrationDate) {
+    const regDate = new Date(finalConfig.registrationDate);
+    const ageInMs = Date.now() - regDate.getTime();
+    const ageInYears = ageInMs / (1000 * 60 * 60 * 24 * 365.25);
+    finalConfig.domainAgeYears =
+      finalConfig.domainAgeYears || `${Math.floor(ageInYears)}+`;
+    finalConfig.domainRegistration =
+      finalConfig.domainRegistration ||
+      t(locale, "parking.registeredIn", { year: regDate.getFullYear() });
+  }
+
+  // Structured/display sale price (formatted for the page locale)
+  if (finalConfig.mode === "parking") {
+    finalConfig.price = await resolvePrice(finalConfig, env, request);
+  }
+
+  // Return config along with the matched key, allThemes if in dev mode, any validation issues
+  // and when the schedule next changes the config
   return {
     config: finalConfig,
+    configKey: configKey,
     allThemes: allThemes,
+    issues: issues,
+    nextTransition: schedule.nextTransition,
   };
 }
 
@@ -253,6 +376,239 @@ async function getConfig(hostname, env, request = null) {
 import { generateParkingHTML } from "./templates/parking.js";
 import { generateComingSoonHTML } from "./templates/coming-soon.js";
 import { generateLandingHTML } from "./templates/landing.js";
+import { generatePortfolioHTML } from "./templates/portfolio.js";
+import { generateNotFoundHTML } from "./templates/not-found.js";
+import { generatePageHTML } from "./templates/page.js";
+import { OG_IMAGE_ROUTE, handleOgImageRequest } from "./templates/og-image.js";
+import { OFFER_ROUTE, handleOfferSubmission } from "./leads.js";
+import {
+  WAITLIST_ROUTE,
+  WAITLIST_CONFIRM_ROUTE,
+  WAITLIST_EXPORT_ROUTE,
+  handleWaitlistSignup,
+  handleWaitlistConfirm,
+  handleWaitlistExport,
+} from "./waitlist.js";
+import { ADMIN_API_ROUTE, handleAdminRequest } from "./admin.js";
+import { ASSETS_ROUTE, handleAssetRequest } from "./assets.js";
+import { handleSiteFile } from "./site-files.js";
+import { handleRedirect } from "./redirect.js";
+import { resolvePrice } from "./pricing.js";
+import { applySchedule, cacheMaxAge } from "./schedule.js";
+import { findSimilarDomains } from "./similar.js";
+import { loadPortfolio } from "./portfolio.js";
+import { usesBlock } from "./layout.js";
+import { findPage } from "./pages.js";
+import { COLOR_SCHEME_HINT, systemColorScheme, themeAccent } from "./theme.js";
+import {
+  pageCacheKey,
+  portfolioCacheKey,
+  pageCacheHeaders,
+  matchCachedPage,
+  cachePage,
+  serveCachedPage,
+} from "./page-cache.js";
+import {
+  checkRateLimit,
+  rateLimitedResponse,
+  issueFormToken,
+} from "./protection.js";
+import { resolveConfig, applyProfiles, envPrefixFor } from "./config-lookup.js";
+import {
+  COLLECT_ROUTE,
+  STATS_ROUTE,
+  recordPageView,
+  handleCollect,
+  handleStatsRequest,
+} from "./analytics.js";
+import {
+  validateConfig,
+  localizeConfig,
+  findUnknownFields,
+  summarizeIssues,
+} from "./schema.js";
+import { negotiateLocale, textDirection, t } from "./i18n.js";
+
+/**
+ * Render the response for a domain request (everything but the global routes)
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and KV bindings
+ * @param {object} ctx - Execution context
+ * @param {object} options - { recordView: count the page view (default: true) }
+ * @returns {Promise<Response>}
+ */
+async function handleDomainRequest(
+  request,
+  env,
+  ctx,
+  { recordView = true } = {}
+) {
+  const url = new URL(request.url);
+  const hostname = url.hostname;
+
+  // Get configuration for this specific domain
+  const {
+    config: cfg,
+    configKey,
+    allThemes,
+    issues,
+    nextTransition,
+  } = await getConfig(hostname, env, request);
+
+  // Buyer offer form submissions (parking mode)
+  if (url.pathname === OFFER_ROUTE) {
+    return handleOfferSubmission(request, env, cfg, hostname);
+  }
+
+  // Waitlist signups and confirmation links (coming-soon mode)
+  if (url.pathname === WAITLIST_ROUTE) {
+    return handleWaitlistSignup(request, env, cfg, hostname);
+  }
+  if (url.pathname === WAITLIST_CONFIRM_ROUTE) {
+    return handleWaitlistConfirm(request, env, hostname);
+  }
+
+  // Open Graph preview card, rendered from this domain's config
+  if (url.pathname === OG_IMAGE_ROUTE) {
+    return handleOgImageRequest(request, cfg, ctx);
+  }
+
+  // Click beacons from the page (contact CTA, link cards, social icons)
+  if (url.pathname === COLLECT_ROUTE) {
+    return handleCollect(request, env, cfg, hostname, ctx);
+  }
+
+  // Config diagnostics: on-page panel in dev mode, header + log line in production
+  const diagnostics = isDevHostname(hostname) ? issues : null;
+  if (issues.length > 0 && !diagnostics) {
+    console.warn(
+      `[Config] ${hostname}: ${issues
+        .map((issue) => `${issue.level} ${issue.field} (${issue.code})`)
+        .join("; ")}`
+    );
+  }
+
+  // Redirect mode forwards every path (including site files)
+  if (cfg.mode === "redirect") {
+    const redirectHeaders = {
+      "x-served-domain": hostname,
+      "x-page-mode": "redirect",
+      "x-config-key": configKey,
+    };
+    if (issues.length > 0) {
+      redirectHeaders["x-config-issues"] = summarizeIssues(issues);
+    }
+    if (recordView) {
+      ctx.waitUntil(recordPageView(request, env, cfg, hostname));
+    }
+    return handleRedirect(request, cfg, {
+      headers: redirectHeaders,
+      maxAge: cacheMaxAge(nextTransition, 86400),
+      allThemes,
+      diagnostics,
+    });
+  }
+
+  // robots.txt, sitemap.xml, security.txt, favicon
+  const siteFile = handleSiteFile(url, cfg);
+  if (siteFile) {
+    return siteFile;
+  }
+
+  // Extra pages from the config (see pages.js)
+  const page = findPage(cfg, url.pathname);
+
+  // Unknown paths get a themed 404 unless the domain opts into catch-all
+  const isNotFound = url.pathname !== "/" && !page && !cfg.catchAll;
+  const isMainPage = !isNotFound && !page;
+
+  // Signed render time for the page's forms (see protection.js)
+  if (isMainPage) {
+    cfg.formToken = await issueFormToken(env, hostname);
+  }
+
+  // Other parked domains to suggest (see similar.js)
+  if (isMainPage && usesBlock(cfg, "similar")) {
+    cfg.similar = await findSimilarDomains(cfg, env, (host) =>
+      getConfig(host, env, request)
+    );
+  }
+
+  // Every domain for sale, each with its own final config (see portfolio.js)
+  if (isMainPage && usesBlock(cfg, "portfolio")) {
+    cfg.portfolio = await loadPortfolio(
+      cfg,
+      env,
+      (host) => getConfig(host, env, request),
+      {
+        cacheKey: isDevHostname(hostname)
+          ? null
+          : await portfolioCacheKey(request, env),
+        ctx,
+      }
+    );
+  }
+
+  // Generate HTML based on mode
+  let html;
+  if (isNotFound) {
+    html = generateNotFoundHTML(cfg, allThemes, diagnostics);
+  } else if (page) {
+    html = generatePageHTML(cfg, page, allThemes, diagnostics);
+  } else if (cfg.mode === "coming-soon") {
+    html = generateComingSoonHTML(cfg, allThemes, diagnostics);
+  } else if (cfg.mode === "landing") {
+    html = generateLandingHTML(cfg, allThemes, diagnostics);
+  } else if (cfg.mode === "portfolio") {
+    html = generatePortfolioHTML(cfg, allThemes, diagnostics);
+  } else {
+    // Default to parking mode
+    html = generateParkingHTML(cfg, allThemes, diagnostics);
+  }
+
+  // Don't let caches keep the page past the next scheduled change
+  const maxAge = cacheMaxAge(nextTransition, 3600);
+  const headers = {
+    "content-type": "text/html;charset=UTF-8",
+    "cache-control": maxAge > 0 ? `public, max-age=${maxAge}` : "no-cache",
+    "x-served-domain": hostname, // Debug header to see which domain was detected
+    "x-page-mode": cfg.mode, // Debug header to see which mode is active
+    "x-config-key": configKey, // Debug header to see which config key matched
+    "content-language": cfg.locale,
+    vary: "Accept-Language",
+  };
+  // Ask browsers for the system scheme so later pages render in it (see theme.js)
+  if (cfg.colorScheme === "auto") {
+    headers["accept-ch"] = COLOR_SCHEME_HINT;
+    headers.vary += `, ${COLOR_SCHEME_HINT}`;
+  }
+  if (issues.length > 0) {
+    headers["x-config-issues"] = summarizeIssues(issues);
+  }
+  if (cfg.seo && cfg.seo.noindex) {
+    headers["x-robots-tag"] = "noindex, nofollow";
+  }
+
+  if (isNotFound) {
+    return new Response(html, { status: 404, headers });
+  }
+
+  // Pages the edge cache may keep (not dev mode: it has the theme switcher)
+  if (!allThemes) {
+    Object.assign(headers, await pageCacheHeaders(cfg, nextTransition, html));
+  }
+
+  // Record the visit without delaying the response
+  if (recordView) {
+    ctx.waitUntil(recordPageView(request, env, cfg, hostname));
+  }
+
+  return new Response(html, { headers });
+}
+
+// Durable Object classes must be exported from the main module
+export { RateLimiter } from "./protection.js";
+export { AnalyticsCounter } from "./analytics.js";
 
 export default {
   async fetch(request, env, ctx) {
@@ -260,27 +616,81 @@ export default {
     const url = new URL(request.url);
     const hostname = url.hostname;
 
-    // Get configuration for this specific domain
-    const { config: cfg, allThemes } = await getConfig(hostname, env, request);
-
-    // Generate HTML based on mode
-    let html;
-    if (cfg.mode === "coming-soon") {
-      html = generateComingSoonHTML(cfg, allThemes);
-    } else if (cfg.mode === "landing") {
-      html = generateLandingHTML(cfg, allThemes);
-    } else {
-      // Default to parking mode
-      html = generateParkingHTML(cfg, allThemes);
+    // Pre-built static assets (stylesheet)
+    if (url.pathname.startsWith(ASSETS_ROUTE)) {
+      return handleAssetRequest(request);
     }
 
-    return new Response(html, {
-      headers: {
-        "content-type": "text/html;charset=UTF-8",
-        "cache-control": "public, max-age=3600",
-        "x-served-domain": hostname, // Debug header to see which domain was detected
-        "x-page-mode": cfg.mode, // Debug header to see which mode is active
-      },
-    });
+    // Authenticated APIs: limit requests per IP before checking the token
+    const isApiRoute =
+      url.pathname === ADMIN_API_ROUTE ||
+      url.pathname.startsWith(`${ADMIN_API_ROUTE}/`) ||
+      url.pathname === STATS_ROUTE ||
+      url.pathname === WAITLIST_EXPORT_ROUTE;
+    if (isApiRoute) {
+      const retryAfter = await checkRateLimit(env, "api", request, hostname);
+      if (retryAfter !== null) {
+        return rateLimitedResponse(
+          retryAfter,
+          "Too many requests. Please try again later."
+        );
+      }
+    }
+
+    // Admin API (authenticated, does not depend on the domain config)
+    if (
+      url.pathname === ADMIN_API_ROUTE ||
+      url.pathname.startsWith(`${ADMIN_API_ROUTE}/`)
+    ) {
+      return handleAdminRequest(request, env);
+    }
+
+    // Analytics stats API (authenticated)
+    if (url.pathname === STATS_ROUTE) {
+      return handleStatsRequest(request, env);
+    }
+
+    // Waitlist export API (authenticated)
+    if (url.pathname === WAITLIST_EXPORT_ROUTE) {
+      return handleWaitlistExport(request, env);
+    }
+
+    // Stored copy of the page (see page-cache.js); dev hosts always render
+    const cacheKey = isDevHostname(hostname)
+      ? null
+      : await pageCacheKey(request, env);
+    if (cacheKey) {
+      const cached = await matchCachedPage(cacheKey);
+      if (cached) {
+        // Past its fresh time: serve it anyway and render a new copy behind it
+        if (cached.stale) {
+          ctx.waitUntil(
+            handleDomainRequest(request, env, ctx, { recordView: false }).then(
+              (response) => cachePage(request, cacheKey, response, ctx)
+            )
+          );
+        }
+        ctx.waitUntil(
+          recordPageView(
+            request,
+            env,
+            { analytics: cached.analytics },
+            hostname
+          )
+        );
+        return serveCachedPage(
+          request,
+          cached,
+          await issueFormToken(env, hostname)
+        );
+      }
+    }
+
+    return cachePage(
+      request,
+      cacheKey,
+      await handleDomainRequest(request, env, ctx),
+      ctx
+    );
   },
 };
@@ -0,0 +1,104 @@
+/**
+ * Block layouts
+ *
+ * A page is an ordered list of blocks. Each mode has a preset list, and a
+ * config can set its own with `layout`:
+ *   "layout": [
+ *     "hero",
+ *     { "type": "markdown", "content": "## Why this name?\nShort and memorable." },
+ *     "price",
+ *     { "type": "cta", "label": "Buy now", "url": "https://broker.example/buy" },
+ *     "footer"
+ *   ]
+ * A block is its type name, or an object with `type` and the block's options.
+ * Rendering lives in templates/blocks.js; this module only describes blocks
+ * so the schema can validate layouts without loading the templates.
+ */
+
+/**
+ * Block type -> { options?, modes?, fields? }
+ * `options` maps option names to schema field types (text options also take
+ * per-locale maps); `modes` limits blocks that only work in some modes (their
+ * form handlers check the mode); `fields` lists the mode-specific config
+ * fields a block reads, so using them outside their mode is not reported.
+ */
+export const LAYOUT_BLOCKS = {
+  hero: { options: { badge: "text", title: "string" } },
+  intro: { options: { title: "text", description: "text" } },
+  stats: { fields: ["domainAgeYears", "domainExtension"] },
+  price: { modes: ["parking"] },
+  cta: { options: { label: "string", url: "url" } },
+  offerForm: { modes: ["parking"] },
+  countdown: { fields: ["launchDate"] },
+  waitlist: { modes: ["coming-soon"] },
+  features: {
+    options: { title: "string", items: "features" },
+    fields: ["features"],
+  },
+  links: { options: { items: "links" }, fields: ["links"] },
+  similar: { fields: ["similarDomains"] },
+  portfolioLink: { fields: ["portfolioUrl"] },
+  portfolio: {},
+  social: {},
+  markdown: { options: { content: "string" } },
+  image: { options: { src: "url", alt: "string", caption: "text" } },
+  faq: { options: { title: "string", items: "faq" } },
+  footer: { options: { text: "text" } },
+};
+
+export const BLOCK_TYPES = Object.keys(LAYOUT_BLOCKS);
+
+/**
+ * Preset layout per mode (how the pages looked before layouts existed)
+ */
+export const LAYOUT_PRESETS = {
+  parking: [
+    "hero",
+    "stats",
+    "intro",
+    "price",
+    "cta",
+    "offerForm",
+    "similar",
+    "portfolioLink",
+    "social",
+    "footer",
+  ],
+  "coming-soon": [
+    "hero",
+    "intro",
+    "countdown",
+    "waitlist",
+    "social",
+    "features",
+    "footer",
+  ],
+  landing: ["hero", "intro", "links", "social", "footer"],
+  portfolio: ["hero", "intro", "portfolio", "social", "footer"],
+};
+
+/**
+ * Get the blocks of a page
+ * @param {object} cfg - Final domain config (mode, layout)
+ * @returns {Array<{type: string}>} Blocks with their options
+ */
+export function layoutFor(cfg) {
+  const layout =
+    Array.isArray(cfg.layout) && cfg.layout.length > 0
+      ? cfg.layout
+      : LAYOUT_PRESETS[cfg.mode] || LAYOUT_PRESETS.parking;
+
+  return layout.map((block) =>
+    typeof block === "string" ? { type: block } : block
+  );
+}
+
+/**
+ * Check whether a page shows a given block (to skip loading unused data)
+ * @param {object} cfg - Final domain config
+ * @param {string} type - Block type
+ * @returns {boolean}
+ */
+export function usesBlock(cfg, type) {
+  return layoutFor(cfg).some((block) => block.type === type);
+}
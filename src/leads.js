@@ -0,0 +1,180 @@
+import { jsonResponse, jsonError, readBody } from "./http.js";
+import { t } from "./i18n.js";
+import { formatMoney, minimumOfferFor, parseAmount } from "./pricing.js";
+import { protectSubmission } from "./protection.js";
+
+/**
+ * Buyer offer/inquiry handling for parking pages
+ *
+ * Leads are stored in the LEADS KV namespace under a per-domain prefix:
+ *   lead:<hostname>:<ISO timestamp>:<id>
+ * so `wrangler kv:key list --prefix "lead:example.com:"` returns one domain's
+ * inquiries in chronological order. Submissions go through the shared bot
+ * checks in protection.js first.
+ */
+
+export const OFFER_ROUTE = "/_parkour/offer";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const LIMITS = {
+  name: 100,
+  email: 254,
+  message: 2000,
+};
+
+/**
+ * Build the KV key prefix for a domain's leads
+ * @param {string} hostname - Domain the lead was submitted on
+ * @returns {string}
+ */
+export function leadPrefix(hostname) {
+  return `lead:${hostname}:`;
+}
+
+/**
+ * Validate an offer submission
+ * @param {object} body - Submitted fields
+ * @param {string} locale - Page locale for error messages
+ * @returns {{lead: object|null, errors: Object<string, string>}}
+ */
+function validateOffer(body, locale) {
+  const errors = {};
+
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  const email = typeof body.email === "string" ? body.email.trim() : "";
+  const message = typeof body.message === "string" ? body.message.trim() : "";
+  const offer = parseAmount(body.offer);
+
+  if (!name) {
+    errors.name = t(locale, "offer.nameRequired");
+  } else if (name.length > LIMITS.name) {
+    errors.name = t(locale, "offer.nameTooLong", { max: LIMITS.name });
+  }
+
+  if (!email) {
+    errors.email = t(locale, "offer.emailRequired");
+  } else if (email.length > LIMITS.email || !EMAIL_PATTERN.test(email)) {
+    errors.email = t(locale, "offer.emailInvalid");
+  }
+
+  if (offer === null || offer <= 0) {
+    errors.offer = t(locale, "offer.amountInvalid");
+  }
+
+  if (message.length > LIMITS.message) {
+    errors.message = t(locale, "offer.messageTooLong", {
+      max: LIMITS.message,
+    });
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { lead: null, errors };
+  }
+
+  return { lead: { name, email, offer, message }, errors };
+}
+
+/**
+ * Handle a POST to the offer route
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and KV bindings
+ * @param {object} cfg - Final domain config from getConfig
+ * @param {string} hostname - Hostname the request was made on
+ * @returns {Promise<Response>}
+ */
+export async function handleOfferSubmission(request, env, cfg, hostname) {
+  if (request.method !== "POST") {
+    return jsonError(405, "method_not_allowed", "Use POST to submit an offer.");
+  }
+
+  if (cfg.mode !== "parking" || cfg.status !== "available") {
+    return jsonError(404, "not_found", "This domain is not accepting offers.");
+  }
+
+  if (!env.LEADS) {
+    console.error("[Leads] LEADS KV namespace is not bound");
+    return jsonError(503, "unavailable", t(cfg.locale, "offer.unavailable"));
+  }
+
+  const body = await readBody(request);
+  if (!body) {
+    return jsonError(400, "invalid_body", "Could not read the submitted form.");
+  }
+
+  const { error, spam } = await protectSubmission(
+    request,
+    env,
+    cfg,
+    hostname,
+    body,
+    "offer"
+  );
+  if (error) return error;
+  if (spam) {
+    return jsonResponse({
+      ok: true,
+      status: "received",
+      message: t(cfg.locale, "offer.thanks"),
+    });
+  }
+
+  // A malformed amount ("1e5", "-6000", "30.000") is refused, not reinterpreted
+  const offerGiven = body.offer !== undefined && String(body.offer).trim();
+  if (offerGiven && parseAmount(body.offer) === null) {
+    const message = t(cfg.locale, "offer.amountInvalid");
+    return jsonError(400, "invalid_amount", message, { offer: message });
+  }
+
+  const { lead, errors } = validateOffer(body, cfg.locale);
+  if (!lead) {
+    return jsonError(
+      422,
+      "invalid_input",
+      t(cfg.locale, "offer.correctFields"),
+      errors
+    );
+  }
+
+  const minimumOffer = minimumOfferFor(cfg);
+  const currency = cfg.price ? cfg.price.currency : null;
+  if (minimumOffer !== null && lead.offer < minimumOffer) {
+    return jsonResponse({
+      ok: false,
+      status: "rejected",
+      message: t(cfg.locale, "offer.belowMinimum", {
+        amount: formatMoney(minimumOffer, currency, cfg.locale),
+        domain: cfg.domainTitle,
+      }),
+    });
+  }
+
+  const receivedAt = new Date().toISOString();
+  const id = crypto.randomUUID();
+  const record = {
+    id,
+    domain: hostname,
+    ...lead,
+    currency,
+    receivedAt,
+    country: request.cf?.country || null,
+    userAgent: request.headers.get("user-agent") || null,
+  };
+
+  try {
+    await env.LEADS.put(
+      `${leadPrefix(hostname)}${receivedAt}:${id}`,
+      JSON.stringify(record),
+      { metadata: { email: lead.email, offer: lead.offer } }
+    );
+  } catch (e) {
+    console.error(`[Leads] Error storing lead for ${hostname}: ${e.message}`);
+    return jsonError(500, "storage_error", t(cfg.locale, "offer.saveFailed"));
+  }
+
+  return jsonResponse({
+    ok: true,
+    status: "received",
+    message: t(cfg.locale, "offer.thanks"),
+  });
+}
@@ -0,0 +1,1093 @@
+/**
+ * Built-in UI strings per locale
+ *
+ * Keys are shared by all locales; a missing key falls back to English.
+ * `{name}` placeholders are filled in by t() / tHtml() in i18n.js.
+ */
+
+export const MESSAGES = {
+  en: {
+    "theme.toggle": "Toggle theme",
+    "footer.credit": "Built with {product} and hosted on {host}.",
+    "parking.yearsOld": "Years Old",
+    "parking.extension": "Extension",
+    "parking.seoReady": "SEO Ready",
+    "parking.registeredIn": "Registered in {year}",
+    "parking.availableFor": "Available for {price}",
+    "price.negotiable": "Price negotiable",
+    "price.leaseToOwn": "Lease-to-own: {amount} per month",
+    "price.leaseToOwnMonths":
+      "Lease-to-own: {amount} per month for {months} months",
+    "parking.getInTouch": "Get in Touch",
+    "parking.footer": "This premium domain is available for purchase",
+    "parking.similar": "Similar domains available",
+    "status.available": "For Sale",
+    "status.underOffer": "Under Offer",
+    "status.sold": "Sold",
+    "status.notForSale": "Not for Sale",
+    "status.underOfferNote":
+      "An offer for this domain has been accepted. Get in touch to hear if it becomes available again.",
+    "status.soldNote": "This domain has been sold.",
+    "status.notForSaleNote": "This domain is not for sale.",
+    "status.footer": "Thank you for your interest in {domain}.",
+    "parking.viewPortfolio": "View all our domains",
+    "portfolio.search": "Search domains",
+    "portfolio.allExtensions": "All extensions",
+    "portfolio.allTags": "All tags",
+    "portfolio.sortBy": "Sort by",
+    "portfolio.sortName": "Name",
+    "portfolio.sortPriceAsc": "Price: low to high",
+    "portfolio.sortPriceDesc": "Price: high to low",
+    "portfolio.sortAge": "Oldest first",
+    "portfolio.makeOffer": "Make an offer",
+    "portfolio.empty": "No domains are listed right now.",
+    "portfolio.noMatches": "No domains match your search.",
+    "portfolio.footer": "All domains listed here are available for purchase",
+    "offer.name": "Name",
+    "offer.email": "Email",
+    "offer.amount": "Your Offer",
+    "offer.message": "Message (optional)",
+    "offer.submit": "Make an Offer",
+    "offer.received": "Offer received",
+    "offer.failed": "Something went wrong. Please try again.",
+    "offer.nameRequired": "Please enter your name.",
+    "offer.nameTooLong": "Name must be at most {max} characters.",
+    "offer.emailRequired": "Please enter your email address.",
+    "offer.emailInvalid": "Please enter a valid email address.",
+    "offer.amountInvalid": "Please enter a valid offer amount.",
+    "offer.messageTooLong": "Message must be at most {max} characters.",
+    "offer.correctFields": "Please correct the highlighted fields.",
+    "offer.belowMinimum":
+      "Thank you for your interest. Unfortunately we can't consider offers below {amount} for {domain}.",
+    "offer.thanks":
+      "Thank you! Your offer has been received and we'll be in touch soon.",
+    "offer.unavailable":
+      "Offers cannot be received right now. Please try again later.",
+    "offer.saveFailed":
+      "Your offer could not be saved. Please try again later.",
+    "comingSoon.badge": "Coming Soon",
+    "comingSoon.days": "Days",
+    "comingSoon.hours": "Hours",
+    "comingSoon.minutes": "Min",
+    "comingSoon.seconds": "Sec",
+    "comingSoon.live": "We're Live!",
+    "comingSoon.footerLaunch": "Stay tuned for our launch",
+    "comingSoon.footer": "Something exciting is coming",
+    "waitlist.title": "Get notified when we launch",
+    "waitlist.submit": "Notify Me",
+    "waitlist.thanks": "Thanks! You're on the list.",
+    "waitlist.checkInbox":
+      "Almost there! Check your inbox to confirm your email address.",
+    "waitlist.confirmed": "Your email address is confirmed. See you at launch!",
+    "waitlist.invalidLink": "This confirmation link is invalid or has expired.",
+    "protection.rateLimited": "Too many attempts. Please try again later.",
+    "protection.expired":
+      "This page has expired. Please reload it and try again.",
+    "protection.challengeFailed":
+      "The security check failed. Please try again.",
+    "waitlist.failed":
+      "We couldn't add you to the list. Please try again later.",
+    "waitlist.confirmSubject": "Confirm your subscription to {domain}",
+    "waitlist.confirmBody":
+      "Please confirm that you want to hear from {domain} when it launches:\n\n{url}\n\nIf you didn't sign up, you can ignore this email.",
+    "notFound.title": "Page not found",
+    "notFound.message":
+      "The page you're looking for doesn't exist on {domain}.",
+    "notFound.home": "Back to Home",
+    "redirect.badge": "Redirecting",
+    "redirect.message": "You are being redirected to {host} in {seconds}s.",
+    "redirect.continue": "Continue now",
+    "seo.forSaleFor": "{domain} is for sale for {price}.",
+    "seo.forSale": "{domain} is available for purchase.",
+    "seo.comingSoon": "{domain} is coming soon.",
+    "seo.underOffer": "{domain} is under offer.",
+    "seo.sold": "{domain} has been sold.",
+    "seo.notForSale": "{domain} is not for sale.",
+    "seo.portfolio": "Domains for sale from {domain}.",
+  },
+
+  de: {
+    "theme.toggle": "Design umschalten",
+    "footer.credit": "Erstellt mit {product} und gehostet auf {host}.",
+    "parking.yearsOld": "Jahre alt",
+    "parking.extension": "Endung",
+    "parking.seoReady": "SEO-optimiert",
+    "parking.registeredIn": "Registriert {year}",
+    "parking.availableFor": "Erhältlich für {price}",
+    "price.negotiable": "Preis verhandelbar",
+    "price.leaseToOwn": "Mietkauf: {amount} pro Monat",
+    "price.leaseToOwnMonths":
+      "Mietkauf: {amount} pro Monat für {months} Monate",
+    "parking.getInTouch": "Kontakt aufnehmen",
+    "parking.footer": "Diese Premium-Domain steht zum Verkauf",
+    "parking.similar": "Ähnliche verfügbare Domains",
+    "status.available": "Zu verkaufen",
+    "status.underOffer": "Reserviert",
+    "status.sold": "Verkauft",
+    "status.notForSale": "Nicht zu verkaufen",
+    "status.underOfferNote":
+      "Für diese Domain wurde ein Angebot angenommen. Melden Sie sich, wenn Sie informiert werden möchten, falls sie wieder verfügbar wird.",
+    "status.soldNote": "Diese Domain wurde verkauft.",
+    "status.notForSaleNote": "Diese Domain steht nicht zum Verkauf.",
+    "status.footer": "Vielen Dank für Ihr Interesse an {domain}.",
+    "parking.viewPortfolio": "Alle unsere Domains ansehen",
+    "portfolio.search": "Domains durchsuchen",
+    "portfolio.allExtensions": "Alle Endungen",
+    "portfolio.allTags": "Alle Tags",
+    "portfolio.sortBy": "Sortieren nach",
+    "portfolio.sortName": "Name",
+    "portfolio.sortPriceAsc": "Preis: aufsteigend",
+    "portfolio.sortPriceDesc": "Preis: absteigend",
+    "portfolio.sortAge": "Älteste zuerst",
+    "portfolio.makeOffer": "Angebot machen",
+    "portfolio.empty": "Derzeit sind keine Domains gelistet.",
+    "portfolio.noMatches": "Keine Domains entsprechen Ihrer Suche.",
+    "portfolio.footer": "Alle hier gelisteten Domains stehen zum Verkauf",
+    "offer.name": "Name",
+    "offer.email": "E-Mail",
+    "offer.amount": "Ihr Angebot",
+    "offer.message": "Nachricht (optional)",
+    "offer.submit": "Angebot abgeben",
+    "offer.received": "Angebot erhalten",
+    "offer.failed": "Etwas ist schiefgelaufen. Bitte versuchen Sie es erneut.",
+    "offer.nameRequired": "Bitte geben Sie Ihren Namen ein.",
+    "offer.nameTooLong": "Der Name darf höchstens {max} Zeichen lang sein.",
+    "offer.emailRequired": "Bitte geben Sie Ihre E-Mail-Adresse ein.",
+    "offer.emailInvalid": "Bitte geben Sie eine gültige E-Mail-Adresse ein.",
+    "offer.amountInvalid": "Bitte geben Sie einen gültigen Angebotsbetrag ein.",
+    "offer.messageTooLong":
+      "Die Nachricht darf höchstens {max} Zeichen lang sein.",
+    "offer.correctFields": "Bitte korrigieren Sie die markierten Felder.",
+    "offer.belowMinimum":
+      "Vielen Dank für Ihr Interesse. Leider können wir für {domain} keine Angebote unter {amount} berücksichtigen.",
+    "offer.thanks":
+      "Vielen Dank! Ihr Angebot ist eingegangen und wir melden uns in Kürze.",
+    "offer.unavailable":
+      "Angebote können derzeit nicht entgegengenommen werden. Bitte versuchen Sie es später erneut.",
+    "offer.saveFailed":
+      "Ihr Angebot konnte nicht gespeichert werden. Bitte versuchen Sie es später erneut.",
+    "comingSoon.badge": "Demnächst",
+    "comingSoon.days": "Tage",
+    "comingSoon.hours": "Stunden",
+    "comingSoon.minutes": "Min.",
+    "comingSoon.seconds": "Sek.",
+    "comingSoon.live": "Wir sind online!",
+    "comingSoon.footerLaunch": "Bleiben Sie dran für unseren Start",
+    "comingSoon.footer": "Etwas Spannendes kommt bald",
+    "waitlist.title": "Benachrichtigung zum Start erhalten",
+    "waitlist.submit": "Benachrichtigen",
+    "waitlist.thanks": "Danke! Sie stehen auf der Liste.",
+    "waitlist.checkInbox":
+      "Fast geschafft! Bitte bestätigen Sie Ihre E-Mail-Adresse über den Link in Ihrem Postfach.",
+    "waitlist.confirmed": "Ihre E-Mail-Adresse ist bestätigt. Bis zum Start!",
+    "waitlist.invalidLink":
+      "Dieser Bestätigungslink ist ungültig oder abgelaufen.",
+    "protection.rateLimited":
+      "Zu viele Versuche. Bitte versuchen Sie es später erneut.",
+    "protection.expired":
+      "Diese Seite ist abgelaufen. Bitte laden Sie sie neu und versuchen Sie es erneut.",
+    "protection.challengeFailed":
+      "Die Sicherheitsprüfung ist fehlgeschlagen. Bitte versuchen Sie es erneut.",
+    "waitlist.failed":
+      "Wir konnten Sie nicht eintragen. Bitte versuchen Sie es später erneut.",
+    "waitlist.confirmSubject": "Bestätigen Sie Ihr Abonnement für {domain}",
+    "waitlist.confirmBody":
+      "Bitte bestätigen Sie, dass Sie zum Start von {domain} benachrichtigt werden möchten:\n\n{url}\n\nWenn Sie sich nicht angemeldet haben, können Sie diese E-Mail ignorieren.",
+    "notFound.title": "Seite nicht gefunden",
+    "notFound.message": "Die gesuchte Seite existiert auf {domain} nicht.",
+    "notFound.home": "Zur Startseite",
+    "redirect.badge": "Weiterleitung",
+    "redirect.message": "Sie werden in {seconds} s zu {host} weitergeleitet.",
+    "redirect.continue": "Jetzt weiter",
+    "seo.forSaleFor": "{domain} steht für {price} zum Verkauf.",
+    "seo.forSale": "{domain} steht zum Verkauf.",
+    "seo.comingSoon": "{domain} startet bald.",
+    "seo.underOffer": "Für {domain} wurde ein Angebot angenommen.",
+    "seo.sold": "{domain} wurde verkauft.",
+    "seo.notForSale": "{domain} steht nicht zum Verkauf.",
+    "seo.portfolio": "Domains zu verkaufen von {domain}.",
+  },
+
+  fr: {
+    "theme.toggle": "Changer de thème",
+    "footer.credit": "Créé avec {product} et hébergé sur {host}.",
+    "parking.yearsOld": "Ans d'ancienneté",
+    "parking.extension": "Extension",
+    "parking.seoReady": "Optimisé SEO",
+    "parking.registeredIn": "Enregistré en {year}",
+    "parking.availableFor": "Disponible pour {price}",
+    "price.negotiable": "Prix négociable",
+    "price.leaseToOwn": "Location-vente : {amount} par mois",
+    "price.leaseToOwnMonths":
+      "Location-vente : {amount} par mois pendant {months} mois",
+    "parking.getInTouch": "Nous contacter",
+    "parking.footer": "Ce domaine premium est à vendre",
+    "parking.similar": "Domaines similaires disponibles",
+    "status.available": "À vendre",
+    "status.underOffer": "Sous offre",
+    "status.sold": "Vendu",
+    "status.notForSale": "Pas à vendre",
+    "status.underOfferNote":
+      "Une offre a été acceptée pour ce domaine. Contactez-nous pour être prévenu s'il redevient disponible.",
+    "status.soldNote": "Ce domaine a été vendu.",
+    "status.notForSaleNote": "Ce domaine n'est pas à vendre.",
+    "status.footer": "Merci de votre intérêt pour {domain}.",
+    "parking.viewPortfolio": "Voir tous nos domaines",
+    "portfolio.search": "Rechercher des domaines",
+    "portfolio.allExtensions": "Toutes les extensions",
+    "portfolio.allTags": "Tous les tags",
+    "portfolio.sortBy": "Trier par",
+    "portfolio.sortName": "Nom",
+    "portfolio.sortPriceAsc": "Prix croissant",
+    "portfolio.sortPriceDesc": "Prix décroissant",
+    "portfolio.sortAge": "Les plus anciens",
+    "portfolio.makeOffer": "Faire une offre",
+    "portfolio.empty": "Aucun domaine n'est listé pour le moment.",
+    "portfolio.noMatches": "Aucun domaine ne correspond à votre recherche.",
+    "portfolio.footer": "Tous les domaines listés ici sont à vendre",
+    "offer.name": "Nom",
+    "offer.email": "E-mail",
+    "offer.amount": "Votre offre",
+    "offer.message": "Message (facultatif)",
+    "offer.submit": "Faire une offre",
+    "offer.received": "Offre reçue",
+    "offer.failed": "Une erreur s'est produite. Veuillez réessayer.",
+    "offer.nameRequired": "Veuillez saisir votre nom.",
+    "offer.nameTooLong": "Le nom ne doit pas dépasser {max} caractères.",
+    "offer.emailRequired": "Veuillez saisir votre adresse e-mail.",
+    "offer.emailInvalid": "Veuillez saisir une adresse e-mail valide.",
+    "offer.amountInvalid": "Veuillez saisir un montant d'offre valide.",
+    "offer.messageTooLong": "Le message ne doit pas dépasser {max} caractères.",
+    "offer.correctFields": "Veuillez corriger les champs indiqués.",
+    "offer.belowMinimum":
+      "Merci de votre intérêt. Malheureusement, nous ne pouvons pas étudier d'offres inférieures à {amount} pour {domain}.",
+    "offer.thanks":
+      "Merci ! Votre offre a bien été reçue et nous vous contacterons prochainement.",
+    "offer.unavailable":
+      "Les offres ne peuvent pas être reçues pour le moment. Veuillez réessayer plus tard.",
+    "offer.saveFailed":
+      "Votre offre n'a pas pu être enregistrée. Veuillez réessayer plus tard.",
+    "comingSoon.badge": "Bientôt disponible",
+    "comingSoon.days": "Jours",
+    "comingSoon.hours": "Heures",
+    "comingSoon.minutes": "Min",
+    "comingSoon.seconds": "Sec",
+    "comingSoon.live": "Nous sommes en ligne !",
+    "comingSoon.footerLaunch": "Restez à l'écoute pour notre lancement",
+    "comingSoon.footer": "Quelque chose de passionnant se prépare",
+    "waitlist.title": "Soyez prévenu du lancement",
+    "waitlist.submit": "Me prévenir",
+    "waitlist.thanks": "Merci ! Vous êtes sur la liste.",
+    "waitlist.checkInbox":
+      "Presque terminé ! Consultez votre boîte de réception pour confirmer votre adresse e-mail.",
+    "waitlist.confirmed":
+      "Votre adresse e-mail est confirmée. À bientôt pour le lancement !",
+    "waitlist.invalidLink": "Ce lien de confirmation est invalide ou a expiré.",
+    "protection.rateLimited":
+      "Trop de tentatives. Veuillez réessayer plus tard.",
+    "protection.expired":
+      "Cette page a expiré. Veuillez la recharger et réessayer.",
+    "protection.challengeFailed":
+      "La vérification de sécurité a échoué. Veuillez réessayer.",
+    "waitlist.failed":
+      "Impossible de vous inscrire. Veuillez réessayer plus tard.",
+    "waitlist.confirmSubject": "Confirmez votre inscription à {domain}",
+    "waitlist.confirmBody":
+      "Veuillez confirmer que vous souhaitez être prévenu du lancement de {domain} :\n\n{url}\n\nSi vous ne vous êtes pas inscrit, ignorez cet e-mail.",
+    "notFound.title": "Page introuvable",
+    "notFound.message":
+      "La page que vous recherchez n'existe pas sur {domain}.",
+    "notFound.home": "Retour à l'accueil",
+    "redirect.badge": "Redirection",
+    "redirect.message":
+      "Vous allez être redirigé vers {host} dans {seconds} s.",
+    "redirect.continue": "Continuer maintenant",
+    "seo.forSaleFor": "{domain} est à vendre pour {price}.",
+    "seo.forSale": "{domain} est à vendre.",
+    "seo.comingSoon": "{domain} arrive bientôt.",
+    "seo.underOffer": "{domain} fait l'objet d'une offre acceptée.",
+    "seo.sold": "{domain} a été vendu.",
+    "seo.notForSale": "{domain} n'est pas à vendre.",
+    "seo.portfolio": "Domaines à vendre par {domain}.",
+  },
+
+  es: {
+    "theme.toggle": "Cambiar tema",
+    "footer.credit": "Creado con {product} y alojado en {host}.",
+    "parking.yearsOld": "Años de antigüedad",
+    "parking.extension": "Extensión",
+    "parking.seoReady": "Listo para SEO",
+    "parking.registeredIn": "Registrado en {year}",
+    "parking.availableFor": "Disponible por {price}",
+    "price.negotiable": "Precio negociable",
+    "price.leaseToOwn": "Alquiler con opción a compra: {amount} al mes",
+    "price.leaseToOwnMonths":
+      "Alquiler con opción a compra: {amount} al mes durante {months} meses",
+    "parking.getInTouch": "Contactar",
+    "parking.footer": "Este dominio premium está a la venta",
+    "parking.similar": "Dominios similares disponibles",
+    "status.available": "En venta",
+    "status.underOffer": "Oferta aceptada",
+    "status.sold": "Vendido",
+    "status.notForSale": "No está en venta",
+    "status.underOfferNote":
+      "Se ha aceptado una oferta por este dominio. Contáctanos para saber si vuelve a estar disponible.",
+    "status.soldNote": "Este dominio ha sido vendido.",
+    "status.notForSaleNote": "Este dominio no está en venta.",
+    "status.footer": "Gracias por tu interés en {domain}.",
+    "parking.viewPortfolio": "Ver todos nuestros dominios",
+    "portfolio.search": "Buscar dominios",
+    "portfolio.allExtensions": "Todas las extensiones",
+    "portfolio.allTags": "Todas las etiquetas",
+    "portfolio.sortBy": "Ordenar por",
+    "portfolio.sortName": "Nombre",
+    "portfolio.sortPriceAsc": "Precio: de menor a mayor",
+    "portfolio.sortPriceDesc": "Precio: de mayor a menor",
+    "portfolio.sortAge": "Más antiguos primero",
+    "portfolio.makeOffer": "Hacer una oferta",
+    "portfolio.empty": "No hay dominios publicados en este momento.",
+    "portfolio.noMatches": "Ningún dominio coincide con tu búsqueda.",
+    "portfolio.footer": "Todos los dominios listados aquí están a la venta",
+    "offer.name": "Nombre",
+    "offer.email": "Correo electrónico",
+    "offer.amount": "Tu oferta",
+    "offer.message": "Mensaje (opcional)",
+    "offer.submit": "Hacer una oferta",
+    "offer.received": "Oferta recibida",
+    "offer.failed": "Algo salió mal. Inténtalo de nuevo.",
+    "offer.nameRequired": "Introduce tu nombre.",
+    "offer.nameTooLong": "El nombre debe tener como máximo {max} caracteres.",
+    "offer.emailRequired": "Introduce tu dirección de correo electrónico.",
+    "offer.emailInvalid":
+      "Introduce una dirección de correo electrónico válida.",
+    "offer.amountInvalid": "Introduce un importe de oferta válido.",
+    "offer.messageTooLong":
+      "El mensaje debe tener como máximo {max} caracteres.",
+    "offer.correctFields": "Corrige los campos marcados.",
+    "offer.belowMinimum":
+      "Gracias por tu interés. Lamentablemente, no podemos considerar ofertas inferiores a {amount} por {domain}.",
+    "offer.thanks":
+      "¡Gracias! Hemos recibido tu oferta y nos pondremos en contacto contigo pronto.",
+    "offer.unavailable":
+      "No es posible recibir ofertas en este momento. Inténtalo de nuevo más tarde.",
+    "offer.saveFailed":
+      "No se ha podido guardar tu oferta. Inténtalo de nuevo más tarde.",
+    "comingSoon.badge": "Próximamente",
+    "comingSoon.days": "Días",
+    "comingSoon.hours": "Horas",
+    "comingSoon.minutes": "Min",
+    "comingSoon.seconds": "Seg",
+    "comingSoon.live": "¡Ya estamos en línea!",
+    "comingSoon.footerLaunch": "Atento a nuestro lanzamiento",
+    "comingSoon.footer": "Algo emocionante está por llegar",
+    "waitlist.title": "Recibe un aviso cuando lancemos",
+    "waitlist.submit": "Avísame",
+    "waitlist.thanks": "¡Gracias! Ya estás en la lista.",
+    "waitlist.checkInbox":
+      "¡Casi listo! Revisa tu bandeja de entrada para confirmar tu correo electrónico.",
+    "waitlist.confirmed":
+      "Tu correo electrónico está confirmado. ¡Nos vemos en el lanzamiento!",
+    "waitlist.invalidLink":
+      "Este enlace de confirmación no es válido o ha caducado.",
+    "protection.rateLimited":
+      "Demasiados intentos. Inténtalo de nuevo más tarde.",
+    "protection.expired":
+      "Esta página ha caducado. Recárgala e inténtalo de nuevo.",
+    "protection.challengeFailed":
+      "La verificación de seguridad ha fallado. Inténtalo de nuevo.",
+    "waitlist.failed":
+      "No pudimos añadirte a la lista. Inténtalo de nuevo más tarde.",
+    "waitlist.confirmSubject": "Confirma tu suscripción a {domain}",
+    "waitlist.confirmBody":
+      "Confirma que quieres recibir noticias de {domain} cuando se lance:\n\n{url}\n\nSi no te has registrado, ignora este correo.",
+    "notFound.title": "Página no encontrada",
+    "notFound.message": "La página que buscas no existe en {domain}.",
+    "notFound.home": "Volver al inicio",
+    "redirect.badge": "Redirigiendo",
+    "redirect.message": "Te estamos redirigiendo a {host} en {seconds} s.",
+    "redirect.continue": "Continuar ahora",
+    "seo.forSaleFor": "{domain} está a la venta por {price}.",
+    "seo.forSale": "{domain} está a la venta.",
+    "seo.comingSoon": "{domain} llegará pronto.",
+    "seo.underOffer": "{domain} tiene una oferta aceptada.",
+    "seo.sold": "{domain} ha sido vendido.",
+    "seo.notForSale": "{domain} no está en venta.",
+    "seo.portfolio": "Dominios en venta de {domain}.",
+  },
+
+  it: {
+    "theme.toggle": "Cambia tema",
+    "footer.credit": "Realizzato con {product} e ospitato su {host}.",
+    "parking.yearsOld": "Anni di età",
+    "parking.extension": "Estensione",
+    "parking.seoReady": "Pronto per la SEO",
+    "parking.registeredIn": "Registrato nel {year}",
+    "parking.availableFor": "Disponibile a {price}",
+    "price.negotiable": "Prezzo trattabile",
+    "price.leaseToOwn": "Affitto con riscatto: {amount} al mese",
+    "price.leaseToOwnMonths":
+      "Affitto con riscatto: {amount} al mese per {months} mesi",
+    "parking.getInTouch": "Contattaci",
+    "parking.footer": "Questo dominio premium è in vendita",
+    "parking.similar": "Domini simili disponibili",
+    "status.available": "In vendita",
+    "status.underOffer": "Offerta accettata",
+    "status.sold": "Venduto",
+    "status.notForSale": "Non in vendita",
+    "status.underOfferNote":
+      "È stata accettata un'offerta per questo dominio. Contattaci per sapere se tornerà disponibile.",
+    "status.soldNote": "Questo dominio è stato venduto.",
+    "status.notForSaleNote": "Questo dominio non è in vendita.",
+    "status.footer": "Grazie per l'interesse verso {domain}.",
+    "parking.viewPortfolio": "Vedi tutti i nostri domini",
+    "portfolio.search": "Cerca domini",
+    "portfolio.allExtensions": "Tutte le estensioni",
+    "portfolio.allTags": "Tutti i tag",
+    "portfolio.sortBy": "Ordina per",
+    "portfolio.sortName": "Nome",
+    "portfolio.sortPriceAsc": "Prezzo crescente",
+    "portfolio.sortPriceDesc": "Prezzo decrescente",
+    "portfolio.sortAge": "Più vecchi prima",
+    "portfolio.makeOffer": "Fai un'offerta",
+    "portfolio.empty": "Al momento non ci sono domini in elenco.",
+    "portfolio.noMatches": "Nessun dominio corrisponde alla ricerca.",
+    "portfolio.footer": "Tutti i domini elencati qui sono in vendita",
+    "offer.name": "Nome",
+    "offer.email": "Email",
+    "offer.amount": "La tua offerta",
+    "offer.message": "Messaggio (facoltativo)",
+    "offer.submit": "Fai un'offerta",
+    "offer.received": "Offerta ricevuta",
+    "offer.failed": "Si è verificato un errore. Riprova.",
+    "offer.nameRequired": "Inserisci il tuo nome.",
+    "offer.nameTooLong": "Il nome può contenere al massimo {max} caratteri.",
+    "offer.emailRequired": "Inserisci il tuo indirizzo email.",
+    "offer.emailInvalid": "Inserisci un indirizzo email valido.",
+    "offer.amountInvalid": "Inserisci un importo valido per l'offerta.",
+    "offer.messageTooLong":
+      "Il messaggio può contenere al massimo {max} caratteri.",
+    "offer.correctFields": "Correggi i campi evidenziati.",
+    "offer.belowMinimum":
+      "Grazie per il tuo interesse. Purtroppo non possiamo prendere in considerazione offerte inferiori a {amount} per {domain}.",
+    "offer.thanks":
+      "Grazie! Abbiamo ricevuto la tua offerta e ti contatteremo a breve.",
+    "offer.unavailable":
+      "Al momento non è possibile ricevere offerte. Riprova più tardi.",
+    "offer.saveFailed":
+      "Non è stato possibile salvare la tua offerta. Riprova più tardi.",
+    "comingSoon.badge": "Prossimamente",
+    "comingSoon.days": "Giorni",
+    "comingSoon.hours": "Ore",
+    "comingSoon.minutes": "Min",
+    "comingSoon.seconds": "Sec",
+    "comingSoon.live": "Siamo online!",
+    "comingSoon.footerLaunch": "Resta sintonizzato per il nostro lancio",
+    "comingSoon.footer": "Qualcosa di entusiasmante sta arrivando",
+    "waitlist.title": "Ricevi un avviso al lancio",
+    "waitlist.submit": "Avvisami",
+    "waitlist.thanks": "Grazie! Sei in lista.",
+    "waitlist.checkInbox":
+      "Ci siamo quasi! Controlla la tua casella di posta per confermare l'indirizzo email.",
+    "waitlist.confirmed":
+      "Il tuo indirizzo email è confermato. Ci vediamo al lancio!",
+    "waitlist.invalidLink": "Questo link di conferma non è valido o è scaduto.",
+    "protection.rateLimited": "Troppi tentativi. Riprova più tardi.",
+    "protection.expired": "Questa pagina è scaduta. Ricaricala e riprova.",
+    "protection.challengeFailed":
+      "Il controllo di sicurezza non è riuscito. Riprova.",
+    "waitlist.failed":
+      "Non è stato possibile aggiungerti alla lista. Riprova più tardi.",
+    "waitlist.confirmSubject": "Conferma la tua iscrizione a {domain}",
+    "waitlist.confirmBody":
+      "Conferma di voler ricevere notizie da {domain} al lancio:\n\n{url}\n\nSe non ti sei iscritto, ignora questa email.",
+    "notFound.title": "Pagina non trovata",
+    "notFound.message": "La pagina che stai cercando non esiste su {domain}.",
+    "notFound.home": "Torna alla home",
+    "redirect.badge": "Reindirizzamento",
+    "redirect.message": "Verrai reindirizzato a {host} tra {seconds} s.",
+    "redirect.continue": "Continua ora",
+    "seo.forSaleFor": "{domain} è in vendita a {price}.",
+    "seo.forSale": "{domain} è in vendita.",
+    "seo.comingSoon": "{domain} arriverà presto.",
+    "seo.underOffer": "{domain} ha un'offerta accettata.",
+    "seo.sold": "{domain} è stato venduto.",
+    "seo.notForSale": "{domain} non è in vendita.",
+    "seo.portfolio": "Domini in vendita da {domain}.",
+  },
+
+  nl: {
+    "theme.toggle": "Thema wisselen",
+    "footer.credit": "Gemaakt met {product} en gehost op {host}.",
+    "parking.yearsOld": "Jaar oud",
+    "parking.extension": "Extensie",
+    "parking.seoReady": "SEO-klaar",
+    "parking.registeredIn": "Geregistreerd in {year}",
+    "parking.availableFor": "Beschikbaar voor {price}",
+    "price.negotiable": "Prijs bespreekbaar",
+    "price.leaseToOwn": "Huurkoop: {amount} per maand",
+    "price.leaseToOwnMonths":
+      "Huurkoop: {amount} per maand gedurende {months} maanden",
+    "parking.getInTouch": "Neem contact op",
+    "parking.footer": "Dit premium domein is te koop",
+    "parking.similar": "Vergelijkbare beschikbare domeinen",
+    "status.available": "Te koop",
+    "status.underOffer": "Onder bod",
+    "status.sold": "Verkocht",
+    "status.notForSale": "Niet te koop",
+    "status.underOfferNote":
+      "Er is een bod op dit domein geaccepteerd. Neem contact op als je wilt horen of het weer beschikbaar komt.",
+    "status.soldNote": "Dit domein is verkocht.",
+    "status.notForSaleNote": "Dit domein is niet te koop.",
+    "status.footer": "Bedankt voor je interesse in {domain}.",
+    "parking.viewPortfolio": "Bekijk al onze domeinen",
+    "portfolio.search": "Domeinen zoeken",
+    "portfolio.allExtensions": "Alle extensies",
+    "portfolio.allTags": "Alle tags",
+    "portfolio.sortBy": "Sorteren op",
+    "portfolio.sortName": "Naam",
+    "portfolio.sortPriceAsc": "Prijs: laag naar hoog",
+    "portfolio.sortPriceDesc": "Prijs: hoog naar laag",
+    "portfolio.sortAge": "Oudste eerst",
+    "portfolio.makeOffer": "Doe een bod",
+    "portfolio.empty": "Er staan momenteel geen domeinen online.",
+    "portfolio.noMatches": "Geen domeinen komen overeen met je zoekopdracht.",
+    "portfolio.footer": "Alle hier vermelde domeinen zijn te koop",
+    "offer.name": "Naam",
+    "offer.email": "E-mail",
+    "offer.amount": "Uw bod",
+    "offer.message": "Bericht (optioneel)",
+    "offer.submit": "Doe een bod",
+    "offer.received": "Bod ontvangen",
+    "offer.failed": "Er is iets misgegaan. Probeer het opnieuw.",
+    "offer.nameRequired": "Vul uw naam in.",
+    "offer.nameTooLong": "De naam mag maximaal {max} tekens bevatten.",
+    "offer.emailRequired": "Vul uw e-mailadres in.",
+    "offer.emailInvalid": "Vul een geldig e-mailadres in.",
+    "offer.amountInvalid": "Vul een geldig bedrag in.",
+    "offer.messageTooLong": "Het bericht mag maximaal {max} tekens bevatten.",
+    "offer.correctFields": "Corrigeer de gemarkeerde velden.",
+    "offer.belowMinimum":
+      "Bedankt voor uw interesse. Helaas kunnen we voor {domain} geen biedingen onder {amount} in behandeling nemen.",
+    "offer.thanks":
+      "Bedankt! Uw bod is ontvangen en we nemen binnenkort contact met u op.",
+    "offer.unavailable":
+      "Er kunnen momenteel geen biedingen worden ontvangen. Probeer het later opnieuw.",
+    "offer.saveFailed":
+      "Uw bod kon niet worden opgeslagen. Probeer het later opnieuw.",
+    "comingSoon.badge": "Binnenkort",
+    "comingSoon.days": "Dagen",
+    "comingSoon.hours": "Uren",
+    "comingSoon.minutes": "Min",
+    "comingSoon.seconds": "Sec",
+    "comingSoon.live": "We zijn live!",
+    "comingSoon.footerLaunch": "Blijf op de hoogte van onze lancering",
+    "comingSoon.footer": "Er komt iets spannends aan",
+    "waitlist.title": "Ontvang een bericht bij de lancering",
+    "waitlist.submit": "Houd me op de hoogte",
+    "waitlist.thanks": "Bedankt! U staat op de lijst.",
+    "waitlist.checkInbox":
+      "Bijna klaar! Bevestig uw e-mailadres via de link in uw inbox.",
+    "waitlist.confirmed": "Uw e-mailadres is bevestigd. Tot bij de lancering!",
+    "waitlist.invalidLink": "Deze bevestigingslink is ongeldig of verlopen.",
+    "protection.rateLimited": "Te veel pogingen. Probeer het later opnieuw.",
+    "protection.expired":
+      "Deze pagina is verlopen. Laad de pagina opnieuw en probeer het nog eens.",
+    "protection.challengeFailed":
+      "De beveiligingscontrole is mislukt. Probeer het opnieuw.",
+    "waitlist.failed":
+      "We konden u niet aan de lijst toevoegen. Probeer het later opnieuw.",
+    "waitlist.confirmSubject": "Bevestig uw aanmelding voor {domain}",
+    "waitlist.confirmBody":
+      "Bevestig dat u bericht wilt ontvangen wanneer {domain} live gaat:\n\n{url}\n\nHeeft u zich niet aangemeld? Dan kunt u deze e-mail negeren.",
+    "notFound.title": "Pagina niet gevonden",
+    "notFound.message": "De pagina die u zoekt bestaat niet op {domain}.",
+    "notFound.home": "Terug naar home",
+    "redirect.badge": "Doorsturen",
+    "redirect.message": "U wordt over {seconds} s doorgestuurd naar {host}.",
+    "redirect.continue": "Nu doorgaan",
+    "seo.forSaleFor": "{domain} is te koop voor {price}.",
+    "seo.forSale": "{domain} is te koop.",
+    "seo.comingSoon": "{domain} komt binnenkort.",
+    "seo.underOffer": "{domain} is onder bod.",
+    "seo.sold": "{domain} is verkocht.",
+    "seo.notForSale": "{domain} is niet te koop.",
+    "seo.portfolio": "Domeinen te koop van {domain}.",
+  },
+
+  pt: {
+    "theme.toggle": "Alternar tema",
+    "footer.credit": "Criado com {product} e hospedado na {host}.",
+    "parking.yearsOld": "Anos de idade",
+    "parking.extension": "Extensão",
+    "parking.seoReady": "Pronto para SEO",
+    "parking.registeredIn": "Registrado em {year}",
+    "parking.availableFor": "Disponível por {price}",
+    "price.negotiable": "Preço negociável",
+    "price.leaseToOwn": "Aluguel com opção de compra: {amount} por mês",
+    "price.leaseToOwnMonths":
+      "Aluguel com opção de compra: {amount} por mês durante {months} meses",
+    "parking.getInTouch": "Entre em contato",
+    "parking.footer": "Este domínio premium está à venda",
+    "parking.similar": "Domínios semelhantes disponíveis",
+    "status.available": "À venda",
+    "status.underOffer": "Proposta aceite",
+    "status.sold": "Vendido",
+    "status.notForSale": "Não está à venda",
+    "status.underOfferNote":
+      "Foi aceite uma proposta para este domínio. Entre em contacto para saber se voltar a ficar disponível.",
+    "status.soldNote": "Este domínio foi vendido.",
+    "status.notForSaleNote": "Este domínio não está à venda.",
+    "status.footer": "Obrigado pelo seu interesse em {domain}.",
+    "parking.viewPortfolio": "Ver todos os nossos domínios",
+    "portfolio.search": "Pesquisar domínios",
+    "portfolio.allExtensions": "Todas as extensões",
+    "portfolio.allTags": "Todas as etiquetas",
+    "portfolio.sortBy": "Ordenar por",
+    "portfolio.sortName": "Nome",
+    "portfolio.sortPriceAsc": "Preço: do mais baixo",
+    "portfolio.sortPriceDesc": "Preço: do mais alto",
+    "portfolio.sortAge": "Mais antigos primeiro",
+    "portfolio.makeOffer": "Fazer uma proposta",
+    "portfolio.empty": "De momento não há domínios listados.",
+    "portfolio.noMatches": "Nenhum domínio corresponde à sua pesquisa.",
+    "portfolio.footer": "Todos os domínios aqui listados estão à venda",
+    "offer.name": "Nome",
+    "offer.email": "E-mail",
+    "offer.amount": "Sua oferta",
+    "offer.message": "Mensagem (opcional)",
+    "offer.submit": "Fazer uma oferta",
+    "offer.received": "Oferta recebida",
+    "offer.failed": "Algo deu errado. Tente novamente.",
+    "offer.nameRequired": "Informe seu nome.",
+    "offer.nameTooLong": "O nome deve ter no máximo {max} caracteres.",
+    "offer.emailRequired": "Informe seu endereço de e-mail.",
+    "offer.emailInvalid": "Informe um endereço de e-mail válido.",
+    "offer.amountInvalid": "Informe um valor de oferta válido.",
+    "offer.messageTooLong": "A mensagem deve ter no máximo {max} caracteres.",
+    "offer.correctFields": "Corrija os campos destacados.",
+    "offer.belowMinimum":
+      "Obrigado pelo seu interesse. Infelizmente não podemos considerar ofertas abaixo de {amount} para {domain}.",
+    "offer.thanks":
+      "Obrigado! Recebemos sua oferta e entraremos em contato em breve.",
+    "offer.unavailable":
+      "Não é possível receber ofertas no momento. Tente novamente mais tarde.",
+    "offer.saveFailed":
+      "Não foi possível salvar sua oferta. Tente novamente mais tarde.",
+    "comingSoon.badge": "Em breve",
+    "comingSoon.days": "Dias",
+    "comingSoon.hours": "Horas",
+    "comingSoon.minutes": "Min",
+    "comingSoon.seconds": "Seg",
+    "comingSoon.live": "Estamos no ar!",
+    "comingSoon.footerLaunch": "Fique atento ao nosso lançamento",
+    "comingSoon.footer": "Algo empolgante está chegando",
+    "waitlist.title": "Receba um aviso no lançamento",
+    "waitlist.submit": "Avise-me",
+    "waitlist.thanks": "Obrigado! Você está na lista.",
+    "waitlist.checkInbox":
+      "Quase lá! Verifique sua caixa de entrada para confirmar seu e-mail.",
+    "waitlist.confirmed": "Seu e-mail foi confirmado. Até o lançamento!",
+    "waitlist.invalidLink": "Este link de confirmação é inválido ou expirou.",
+    "protection.rateLimited": "Muitas tentativas. Tente novamente mais tarde.",
+    "protection.expired":
+      "Esta página expirou. Recarregue-a e tente novamente.",
+    "protection.challengeFailed":
+      "A verificação de segurança falhou. Tente novamente.",
+    "waitlist.failed":
+      "Não foi possível adicionar você à lista. Tente novamente mais tarde.",
+    "waitlist.confirmSubject": "Confirme sua inscrição em {domain}",
+    "waitlist.confirmBody":
+      "Confirme que deseja receber notícias de {domain} no lançamento:\n\n{url}\n\nSe você não se inscreveu, ignore este e-mail.",
+    "notFound.title": "Página não encontrada",
+    "notFound.message": "A página que você procura não existe em {domain}.",
+    "notFound.home": "Voltar ao início",
+    "redirect.badge": "Redirecionando",
+    "redirect.message": "Você será redirecionado para {host} em {seconds} s.",
+    "redirect.continue": "Continuar agora",
+    "seo.forSaleFor": "{domain} está à venda por {price}.",
+    "seo.forSale": "{domain} está à venda.",
+    "seo.comingSoon": "{domain} chega em breve.",
+    "seo.underOffer": "{domain} tem uma proposta aceite.",
+    "seo.sold": "{domain} foi vendido.",
+    "seo.notForSale": "{domain} não está à venda.",
+    "seo.portfolio": "Domínios à venda de {domain}.",
+  },
+
+  ja: {
+    "theme.toggle": "テーマを切り替え",
+    "footer.credit": "{product} で構築し、{host} でホストしています。",
+    "parking.yearsOld": "運用年数",
+    "parking.extension": "拡張子",
+    "parking.seoReady": "SEO対応",
+    "parking.registeredIn": "{year}年に登録",
+    "parking.availableFor": "販売価格 {price}",
+    "price.negotiable": "価格交渉可",
+    "price.leaseToOwn": "リース購入: 月額 {amount}",
+    "price.leaseToOwnMonths": "リース購入: 月額 {amount}（{months}か月）",
+    "parking.getInTouch": "お問い合わせ",
+    "parking.footer": "このプレミアムドメインは販売中です",
+    "parking.similar": "購入可能な類似ドメイン",
+    "status.available": "販売中",
+    "status.underOffer": "商談中",
+    "status.sold": "売約済み",
+    "status.notForSale": "非売品",
+    "status.underOfferNote":
+      "このドメインはオファーが成立しました。再び購入可能になった際のご連絡をご希望の方はお問い合わせください。",
+    "status.soldNote": "このドメインは売約済みです。",
+    "status.notForSaleNote": "このドメインは販売していません。",
+    "status.footer": "{domain} にご関心をお寄せいただきありがとうございます。",
+    "parking.viewPortfolio": "すべてのドメインを見る",
+    "portfolio.search": "ドメインを検索",
+    "portfolio.allExtensions": "すべての拡張子",
+    "portfolio.allTags": "すべてのタグ",
+    "portfolio.sortBy": "並べ替え",
+    "portfolio.sortName": "名前",
+    "portfolio.sortPriceAsc": "価格の安い順",
+    "portfolio.sortPriceDesc": "価格の高い順",
+    "portfolio.sortAge": "古い順",
+    "portfolio.makeOffer": "オファーする",
+    "portfolio.empty": "現在掲載中のドメインはありません。",
+    "portfolio.noMatches": "検索に一致するドメインはありません。",
+    "portfolio.footer": "掲載中のドメインはすべて購入可能です",
+    "offer.name": "お名前",
+    "offer.email": "メールアドレス",
+    "offer.amount": "希望購入価格",
+    "offer.message": "メッセージ（任意）",
+    "offer.submit": "オファーを送信",
+    "offer.received": "オファーを受け付けました",
+    "offer.failed": "問題が発生しました。もう一度お試しください。",
+    "offer.nameRequired": "お名前を入力してください。",
+    "offer.nameTooLong": "お名前は{max}文字以内で入力してください。",
+    "offer.emailRequired": "メールアドレスを入力してください。",
+    "offer.emailInvalid": "有効なメールアドレスを入力してください。",
+    "offer.amountInvalid": "有効な金額を入力してください。",
+    "offer.messageTooLong": "メッセージは{max}文字以内で入力してください。",
+    "offer.correctFields":
+      "入力内容をご確認のうえ、該当する項目を修正してください。",
+    "offer.belowMinimum":
+      "ご関心をお寄せいただきありがとうございます。申し訳ありませんが、{domain} については {amount} 未満のオファーはお受けできません。",
+    "offer.thanks":
+      "ありがとうございます。オファーを受け付けました。追ってご連絡いたします。",
+    "offer.unavailable":
+      "現在オファーを受け付けることができません。しばらくしてから再度お試しください。",
+    "offer.saveFailed":
+      "オファーを保存できませんでした。しばらくしてから再度お試しください。",
+    "comingSoon.badge": "近日公開",
+    "comingSoon.days": "日",
+    "comingSoon.hours": "時間",
+    "comingSoon.minutes": "分",
+    "comingSoon.seconds": "秒",
+    "comingSoon.live": "公開しました！",
+    "comingSoon.footerLaunch": "公開をお楽しみに",
+    "comingSoon.footer": "まもなく何かが始まります",
+    "waitlist.title": "公開時にお知らせを受け取る",
+    "waitlist.submit": "通知を受け取る",
+    "waitlist.thanks": "ありがとうございます！リストに登録されました。",
+    "waitlist.checkInbox":
+      "あと少しです！受信トレイを確認してメールアドレスを確認してください。",
+    "waitlist.confirmed": "メールアドレスが確認されました。公開をお楽しみに！",
+    "waitlist.invalidLink": "この確認リンクは無効か、有効期限が切れています。",
+    "protection.rateLimited":
+      "試行回数が多すぎます。しばらくしてからもう一度お試しください。",
+    "protection.expired":
+      "このページの有効期限が切れました。再読み込みしてもう一度お試しください。",
+    "protection.challengeFailed":
+      "セキュリティチェックに失敗しました。もう一度お試しください。",
+    "waitlist.failed":
+      "リストに登録できませんでした。しばらくしてからもう一度お試しください。",
+    "waitlist.confirmSubject": "{domain} の登録を確認してください",
+    "waitlist.confirmBody":
+      "{domain} の公開時にお知らせを受け取るには、以下のリンクで確認してください:\n\n{url}\n\n心当たりがない場合は、このメールを無視してください。",
+    "notFound.title": "ページが見つかりません",
+    "notFound.message": "お探しのページは {domain} に存在しません。",
+    "notFound.home": "ホームに戻る",
+    "redirect.badge": "リダイレクト中",
+    "redirect.message": "{seconds} 秒後に {host} へ移動します。",
+    "redirect.continue": "今すぐ移動",
+    "seo.forSaleFor": "{domain} は {price} で販売中です。",
+    "seo.forSale": "{domain} は販売中です。",
+    "seo.comingSoon": "{domain} はまもなく公開されます。",
+    "seo.underOffer": "{domain} は商談中です。",
+    "seo.sold": "{domain} は売約済みです。",
+    "seo.notForSale": "{domain} は販売していません。",
+    "seo.portfolio": "{domain} の販売中ドメイン。",
+  },
+
+  zh: {
+    "theme.toggle": "切换主题",
+    "footer.credit": "使用 {product} 构建，托管于 {host}。",
+    "parking.yearsOld": "年历史",
+    "parking.extension": "后缀",
+    "parking.seoReady": "SEO 友好",
+    "parking.registeredIn": "注册于 {year} 年",
+    "parking.availableFor": "售价 {price}",
+    "price.negotiable": "价格可议",
+    "price.leaseToOwn": "租购：每月 {amount}",
+    "price.leaseToOwnMonths": "租购：每月 {amount}，共 {months} 个月",
+    "parking.getInTouch": "联系我们",
+    "parking.footer": "此优质域名正在出售",
+    "parking.similar": "可购买的类似域名",
+    "status.available": "出售中",
+    "status.underOffer": "洽谈中",
+    "status.sold": "已售出",
+    "status.notForSale": "不出售",
+    "status.underOfferNote":
+      "此域名的报价已被接受。如希望在其重新可售时收到通知，请与我们联系。",
+    "status.soldNote": "此域名已售出。",
+    "status.notForSaleNote": "此域名不出售。",
+    "status.footer": "感谢您对 {domain} 的关注。",
+    "parking.viewPortfolio": "查看我们的所有域名",
+    "portfolio.search": "搜索域名",
+    "portfolio.allExtensions": "所有后缀",
+    "portfolio.allTags": "所有标签",
+    "portfolio.sortBy": "排序方式",
+    "portfolio.sortName": "名称",
+    "portfolio.sortPriceAsc": "价格从低到高",
+    "portfolio.sortPriceDesc": "价格从高到低",
+    "portfolio.sortAge": "最早注册",
+    "portfolio.makeOffer": "出价",
+    "portfolio.empty": "目前没有列出的域名。",
+    "portfolio.noMatches": "没有符合搜索条件的域名。",
+    "portfolio.footer": "此处列出的所有域名均可购买",
+    "offer.name": "姓名",
+    "offer.email": "电子邮箱",
+    "offer.amount": "您的报价",
+    "offer.message": "留言（可选）",
+    "offer.submit": "提交报价",
+    "offer.received": "报价已收到",
+    "offer.failed": "出现问题，请重试。",
+    "offer.nameRequired": "请输入您的姓名。",
+    "offer.nameTooLong": "姓名不能超过 {max} 个字符。",
+    "offer.emailRequired": "请输入您的电子邮箱地址。",
+    "offer.emailInvalid": "请输入有效的电子邮箱地址。",
+    "offer.amountInvalid": "请输入有效的报价金额。",
+    "offer.messageTooLong": "留言不能超过 {max} 个字符。",
+    "offer.correctFields": "请更正标出的字段。",
+    "offer.belowMinimum":
+      "感谢您的关注。很抱歉，{domain} 不接受低于 {amount} 的报价。",
+    "offer.thanks": "谢谢！我们已收到您的报价，会尽快与您联系。",
+    "offer.unavailable": "目前无法接收报价，请稍后再试。",
+    "offer.saveFailed": "无法保存您的报价，请稍后再试。",
+    "comingSoon.badge": "即将上线",
+    "comingSoon.days": "天",
+    "comingSoon.hours": "时",
+    "comingSoon.minutes": "分",
+    "comingSoon.seconds": "秒",
+    "comingSoon.live": "我们已上线！",
+    "comingSoon.footerLaunch": "敬请期待我们的发布",
+    "comingSoon.footer": "精彩即将到来",
+    "waitlist.title": "上线时通知我",
+    "waitlist.submit": "通知我",
+    "waitlist.thanks": "谢谢！您已加入名单。",
+    "waitlist.checkInbox": "就差一步！请查看收件箱并确认您的邮箱地址。",
+    "waitlist.confirmed": "您的邮箱地址已确认。上线见！",
+    "waitlist.invalidLink": "此确认链接无效或已过期。",
+    "protection.rateLimited": "尝试次数过多，请稍后再试。",
+    "protection.expired": "此页面已过期，请刷新后重试。",
+    "protection.challengeFailed": "安全验证失败，请重试。",
+    "waitlist.failed": "无法将您加入名单，请稍后再试。",
+    "waitlist.confirmSubject": "确认订阅 {domain}",
+    "waitlist.confirmBody":
+      "请确认您希望在 {domain} 上线时收到通知：\n\n{url}\n\n如果您没有订阅，请忽略此邮件。",
+    "notFound.title": "页面未找到",
+    "notFound.message": "您要查找的页面在 {domain} 上不存在。",
+    "notFound.home": "返回首页",
+    "redirect.badge": "正在跳转",
+    "redirect.message": "将在 {seconds} 秒后跳转到 {host}。",
+    "redirect.continue": "立即前往",
+    "seo.forSaleFor": "{domain} 正在出售，售价 {price}。",
+    "seo.forSale": "{domain} 正在出售。",
+    "seo.comingSoon": "{domain} 即将上线。",
+    "seo.underOffer": "{domain} 正在洽谈中。",
+    "seo.sold": "{domain} 已售出。",
+    "seo.notForSale": "{domain} 不出售。",
+    "seo.portfolio": "{domain} 出售的域名。",
+  },
+
+  ar: {
+    "theme.toggle": "تبديل المظهر",
+    "footer.credit": "تم الإنشاء باستخدام {product} والاستضافة على {host}.",
+    "parking.yearsOld": "سنوات",
+    "parking.extension": "الامتداد",
+    "parking.seoReady": "متوافق مع SEO",
+    "parking.registeredIn": "مسجل منذ {year}",
+    "parking.availableFor": "متاح مقابل {price}",
+    "price.negotiable": "السعر قابل للتفاوض",
+    "price.leaseToOwn": "الإيجار المنتهي بالتملك: {amount} شهريًا",
+    "price.leaseToOwnMonths":
+      "الإيجار المنتهي بالتملك: {amount} شهريًا لمدة {months} شهرًا",
+    "parking.getInTouch": "تواصل معنا",
+    "parking.footer": "هذا النطاق المميز معروض للبيع",
+    "parking.similar": "نطاقات مشابهة متاحة",
+    "status.available": "للبيع",
+    "status.underOffer": "قيد التفاوض",
+    "status.sold": "تم البيع",
+    "status.notForSale": "ليس للبيع",
+    "status.underOfferNote":
+      "تم قبول عرض على هذا النطاق. تواصل معنا لنخبرك إذا أصبح متاحًا مرة أخرى.",
+    "status.soldNote": "تم بيع هذا النطاق.",
+    "status.notForSaleNote": "هذا النطاق ليس للبيع.",
+    "status.footer": "شكرًا لاهتمامك بـ {domain}.",
+    "parking.viewPortfolio": "عرض جميع نطاقاتنا",
+    "portfolio.search": "ابحث عن نطاقات",
+    "portfolio.allExtensions": "كل الامتدادات",
+    "portfolio.allTags": "كل الوسوم",
+    "portfolio.sortBy": "ترتيب حسب",
+    "portfolio.sortName": "الاسم",
+    "portfolio.sortPriceAsc": "السعر: من الأقل إلى الأعلى",
+    "portfolio.sortPriceDesc": "السعر: من الأعلى إلى الأقل",
+    "portfolio.sortAge": "الأقدم أولًا",
+    "portfolio.makeOffer": "قدّم عرضًا",
+    "portfolio.empty": "لا توجد نطاقات معروضة حاليًا.",
+    "portfolio.noMatches": "لا توجد نطاقات تطابق بحثك.",
+    "portfolio.footer": "جميع النطاقات المعروضة هنا متاحة للشراء",
+    "offer.name": "الاسم",
+    "offer.email": "البريد الإلكتروني",
+    "offer.amount": "عرضك",
+    "offer.message": "رسالة (اختياري)",
+    "offer.submit": "قدّم عرضًا",
+    "offer.received": "تم استلام العرض",
+    "offer.failed": "حدث خطأ ما. يُرجى المحاولة مرة أخرى.",
+    "offer.nameRequired": "يُرجى إدخال اسمك.",
+    "offer.nameTooLong": "يجب ألا يتجاوز الاسم {max} حرفًا.",
+    "offer.emailRequired": "يُرجى إدخال بريدك الإلكتروني.",
+    "offer.emailInvalid": "يُرجى إدخال بريد إلكتروني صالح.",
+    "offer.amountInvalid": "يُرجى إدخال مبلغ عرض صالح.",
+    "offer.messageTooLong": "يجب ألا تتجاوز الرسالة {max} حرفًا.",
+    "offer.correctFields": "يُرجى تصحيح الحقول المحددة.",
+    "offer.belowMinimum":
+      "شكرًا لاهتمامك. للأسف لا يمكننا النظر في عروض أقل من {amount} للنطاق {domain}.",
+    "offer.thanks": "شكرًا لك! تم استلام عرضك وسنتواصل معك قريبًا.",
+    "offer.unavailable": "لا يمكن استلام العروض حاليًا. يُرجى المحاولة لاحقًا.",
+    "offer.saveFailed": "تعذّر حفظ عرضك. يُرجى المحاولة لاحقًا.",
+    "comingSoon.badge": "قريبًا",
+    "comingSoon.days": "أيام",
+    "comingSoon.hours": "ساعات",
+    "comingSoon.minutes": "دقائق",
+    "comingSoon.seconds": "ثوانٍ",
+    "comingSoon.live": "نحن متاحون الآن!",
+    "comingSoon.footerLaunch": "ترقبوا إطلاقنا",
+    "comingSoon.footer": "شيء مثير قادم",
+    "waitlist.title": "احصل على إشعار عند الإطلاق",
+    "waitlist.submit": "أبلغني",
+    "waitlist.thanks": "شكرًا! أنت الآن في القائمة.",
+    "waitlist.checkInbox":
+      "اقتربت! تحقق من بريدك الوارد لتأكيد عنوان بريدك الإلكتروني.",
+    "waitlist.confirmed": "تم تأكيد بريدك الإلكتروني. نراك عند الإطلاق!",
+    "waitlist.invalidLink": "رابط التأكيد هذا غير صالح أو منتهي الصلاحية.",
+    "protection.rateLimited": "محاولات كثيرة جدًا. يرجى المحاولة لاحقًا.",
+    "protection.expired":
+      "انتهت صلاحية هذه الصفحة. يرجى إعادة تحميلها والمحاولة مرة أخرى.",
+    "protection.challengeFailed": "فشل التحقق الأمني. يرجى المحاولة مرة أخرى.",
+    "waitlist.failed": "تعذر إضافتك إلى القائمة. يرجى المحاولة لاحقًا.",
+    "waitlist.confirmSubject": "أكّد اشتراكك في {domain}",
+    "waitlist.confirmBody":
+      "يرجى تأكيد رغبتك في تلقي إشعار عند إطلاق {domain}:\n\n{url}\n\nإذا لم تشترك، يمكنك تجاهل هذه الرسالة.",
+    "notFound.title": "الصفحة غير موجودة",
+    "notFound.message": "الصفحة التي تبحث عنها غير موجودة على {domain}.",
+    "notFound.home": "العودة إلى الرئيسية",
+    "redirect.badge": "جارٍ إعادة التوجيه",
+    "redirect.message": "ستتم إعادة توجيهك إلى {host} خلال {seconds} ث.",
+    "redirect.continue": "المتابعة الآن",
+    "seo.forSaleFor": "{domain} معروض للبيع مقابل {price}.",
+    "seo.forSale": "{domain} معروض للبيع.",
+    "seo.comingSoon": "{domain} قريبًا.",
+    "seo.underOffer": "{domain} قيد التفاوض.",
+    "seo.sold": "تم بيع {domain}.",
+    "seo.notForSale": "{domain} ليس للبيع.",
+    "seo.portfolio": "نطاقات للبيع من {domain}.",
+  },
+
+  he: {
+    "theme.toggle": "החלפת ערכת נושא",
+    "footer.credit": "נבנה עם {product} ומתארח ב-{host}.",
+    "parking.yearsOld": "שנים",
+    "parking.extension": "סיומת",
+    "parking.seoReady": "מותאם ל-SEO",
+    "parking.registeredIn": "נרשם ב-{year}",
+    "parking.availableFor": "זמין תמורת {price}",
+    "price.negotiable": "המחיר גמיש",
+    "price.leaseToOwn": "שכירות עם אופציה לרכישה: {amount} לחודש",
+    "price.leaseToOwnMonths":
+      "שכירות עם אופציה לרכישה: {amount} לחודש למשך {months} חודשים",
+    "parking.getInTouch": "צרו קשר",
+    "parking.footer": "הדומיין הפרימיום הזה עומד למכירה",
+    "parking.similar": "דומיינים דומים זמינים",
+    "status.available": "למכירה",
+    "status.underOffer": "בתהליך מכירה",
+    "status.sold": "נמכר",
+    "status.notForSale": "לא למכירה",
+    "status.underOfferNote":
+      "התקבלה הצעה עבור הדומיין הזה. צרו קשר כדי לשמוע אם הוא יחזור להיות זמין.",
+    "status.soldNote": "הדומיין הזה נמכר.",
+    "status.notForSaleNote": "הדומיין הזה אינו למכירה.",
+    "status.footer": "תודה על ההתעניינות ב-{domain}.",
+    "parking.viewPortfolio": "לכל הדומיינים שלנו",
+    "portfolio.search": "חיפוש דומיינים",
+    "portfolio.allExtensions": "כל הסיומות",
+    "portfolio.allTags": "כל התגיות",
+    "portfolio.sortBy": "מיון לפי",
+    "portfolio.sortName": "שם",
+    "portfolio.sortPriceAsc": "מחיר: מהנמוך לגבוה",
+    "portfolio.sortPriceDesc": "מחיר: מהגבוה לנמוך",
+    "portfolio.sortAge": "הוותיקים קודם",
+    "portfolio.makeOffer": "הגישו הצעה",
+    "portfolio.empty": "אין כרגע דומיינים ברשימה.",
+    "portfolio.noMatches": "אין דומיינים שתואמים לחיפוש.",
+    "portfolio.footer": "כל הדומיינים כאן זמינים לרכישה",
+    "offer.name": "שם",
+    "offer.email": "אימייל",
+    "offer.amount": "ההצעה שלך",
+    "offer.message": "הודעה (לא חובה)",
+    "offer.submit": "הגשת הצעה",
+    "offer.received": "ההצעה התקבלה",
+    "offer.failed": "משהו השתבש. נסו שוב.",
+    "offer.nameRequired": "נא להזין שם.",
+    "offer.nameTooLong": "השם יכול להכיל עד {max} תווים.",
+    "offer.emailRequired": "נא להזין כתובת אימייל.",
+    "offer.emailInvalid": "נא להזין כתובת אימייל תקינה.",
+    "offer.amountInvalid": "נא להזין סכום הצעה תקין.",
+    "offer.messageTooLong": "ההודעה יכולה להכיל עד {max} תווים.",
+    "offer.correctFields": "נא לתקן את השדות המסומנים.",
+    "offer.belowMinimum":
+      "תודה על ההתעניינות. לצערנו איננו יכולים לשקול הצעות מתחת ל-{amount} עבור {domain}.",
+    "offer.thanks": "תודה! ההצעה שלך התקבלה וניצור איתך קשר בקרוב.",
+    "offer.unavailable": "לא ניתן לקבל הצעות כרגע. נסו שוב מאוחר יותר.",
+    "offer.saveFailed": "לא ניתן היה לשמור את ההצעה. נסו שוב מאוחר יותר.",
+    "comingSoon.badge": "בקרוב",
+    "comingSoon.days": "ימים",
+    "comingSoon.hours": "שעות",
+    "comingSoon.minutes": "דק׳",
+    "comingSoon.seconds": "שנ׳",
+    "comingSoon.live": "עלינו לאוויר!",
+    "comingSoon.footerLaunch": "הישארו מעודכנים לקראת ההשקה",
+    "comingSoon.footer": "משהו מרגש בדרך",
+    "waitlist.title": "קבלו הודעה בהשקה",
+    "waitlist.submit": "עדכנו אותי",
+    "waitlist.thanks": "תודה! נרשמת לרשימה.",
+    "waitlist.checkInbox":
+      "כמעט סיימנו! בדקו את תיבת הדואר כדי לאשר את כתובת האימייל.",
+    "waitlist.confirmed": "כתובת האימייל אושרה. נתראה בהשקה!",
+    "waitlist.invalidLink": "קישור האישור אינו תקף או שפג תוקפו.",
+    "protection.rateLimited": "יותר מדי ניסיונות. נסו שוב מאוחר יותר.",
+    "protection.expired": "תוקף הדף פג. טענו אותו מחדש ונסו שוב.",
+    "protection.challengeFailed": "בדיקת האבטחה נכשלה. נסו שוב.",
+    "waitlist.failed": "לא הצלחנו להוסיף אותך לרשימה. נסו שוב מאוחר יותר.",
+    "waitlist.confirmSubject": "אשרו את ההרשמה ל-{domain}",
+    "waitlist.confirmBody":
+      "אנא אשרו שברצונכם לקבל עדכון כש-{domain} יושק:\n\n{url}\n\nאם לא נרשמתם, ניתן להתעלם מהודעה זו.",
+    "notFound.title": "הדף לא נמצא",
+    "notFound.message": "הדף שחיפשת לא קיים ב-{domain}.",
+    "notFound.home": "חזרה לדף הבית",
+    "redirect.badge": "מעביר",
+    "redirect.message": "מעבירים אותך אל {host} בעוד {seconds} שנ׳.",
+    "redirect.continue": "המשך עכשיו",
+    "seo.forSaleFor": "{domain} עומד למכירה תמורת {price}.",
+    "seo.forSale": "{domain} עומד למכירה.",
+    "seo.comingSoon": "{domain} יעלה בקרוב.",
+    "seo.underOffer": "{domain} בתהליך מכירה.",
+    "seo.sold": "{domain} נמכר.",
+    "seo.notForSale": "{domain} אינו למכירה.",
+    "seo.portfolio": "דומיינים למכירה מאת {domain}.",
+  },
+};
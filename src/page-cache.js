@@ -0,0 +1,340 @@
+import { cacheMaxAge } from "./schedule.js";
+import { parseAcceptLanguage } from "./i18n.js";
+import { systemColorScheme } from "./theme.js";
+
+/**
+ * Edge cache for rendered pages
+ *
+ * Pages are kept in the Workers Cache API (per data center), so repeat
+ * visits skip the config reads and the rendering. The lookup happens before
+ * any config is read, so the key is built from what decides the page:
+ *   hostname + path + requested languages + country + system color scheme
+ *   + config version
+ * Mode and locale follow from the config version and the languages, and a
+ * page is never kept past the next schedule transition.
+ *
+ * The config version is a value in DOMAIN_CONFIGS that the admin API
+ * changes on every write. Changing any config or profile therefore leaves
+ * every stored page unreachable at once; old entries simply expire.
+ */
+
+export const CONFIG_VERSION_KEY = "_config_version";
+
+// Seconds a page is fresh, then how long a stale copy is still served
+// while a fresh one renders in the background
+export const PAGE_MAX_AGE = 3600;
+export const STALE_WHILE_REVALIDATE = 3600;
+
+// Seconds a data center keeps the config version before reading it again
+const VERSION_CACHE_TTL = 60;
+
+// Countdown pages within a day of their launch are re-rendered every minute
+// (and served stale for at most another minute)
+const LAUNCH_WINDOW_MS = 24 * 60 * 60 * 1000;
+const LAUNCH_MAX_AGE = 60;
+
+// Stored with a page to serve it again; never sent to visitors
+const META_HEADERS = {
+  freshUntil: "x-parkour-fresh-until",
+  staleUntil: "x-parkour-stale-until",
+  formToken: "x-parkour-form-token",
+  analytics: "x-parkour-analytics",
+};
+
+/**
+ * Hex-encoded SHA-256
+ */
+async function sha256(text) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Read the current config version
+ * @param {object} env - Environment variables and KV bindings
+ * @returns {Promise<string>}
+ */
+async function configVersion(env) {
+  if (!env.DOMAIN_CONFIGS) return "0";
+  try {
+    const version = await env.DOMAIN_CONFIGS.get(CONFIG_VERSION_KEY, {
+      cacheTtl: VERSION_CACHE_TTL,
+    });
+    return version || "0";
+  } catch (e) {
+    console.error(`[Cache] Error reading config version: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Change the config version so no stored page is served again
+ * Called after every config write; also usable after editing KV by hand.
+ * @param {KVNamespace} kv - DOMAIN_CONFIGS namespace
+ * @returns {Promise<void>}
+ */
+export async function bumpConfigVersion(kv) {
+  try {
+    await kv.put(CONFIG_VERSION_KEY, Date.now().toString(36));
+  } catch (e) {
+    console.error(`[Cache] Error updating config version: ${e.message}`);
+  }
+}
+
+/**
+ * Cache key for what a visitor gets from the current configs: their
+ * requested languages and country, the config version and the deployment
+ */
+async function visitorCacheKey(request, env, route) {
+  if (typeof caches === "undefined") return null;
+
+  const version = await configVersion(env);
+  if (version === null) return null;
+
+  const url = new URL(request.url);
+  const languages = [
+    url.searchParams.get("lang") || "",
+    ...parseAcceptLanguage(request.headers.get("accept-language")).slice(0, 5),
+  ];
+  const key = new URL(`https://${url.hostname}${route}`);
+  key.searchParams.set("lang", languages.join(",").toLowerCase());
+  key.searchParams.set("country", request.cf?.country || "");
+  key.searchParams.set("config", version);
+  // New deployments (code or env var changes) start with an empty cache
+  key.searchParams.set(
+    "deploy",
+    env.CF_VERSION_METADATA ? env.CF_VERSION_METADATA.id : ""
+  );
+  return key;
+}
+
+/**
+ * Build the cache key for a page request
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and KV bindings
+ * @returns {Promise<string|null>} Key URL, or null if the request is not cacheable
+ */
+export async function pageCacheKey(request, env) {
+  if (request.method !== "GET") return null;
+
+  const url = new URL(request.url);
+  // Routes under /_parkour/ are APIs and assets; the dev theme switcher is per visitor
+  if (
+    url.pathname.startsWith("/_parkour/") ||
+    url.searchParams.has("themeIndex")
+  ) {
+    return null;
+  }
+
+  const key = await visitorCacheKey(request, env, "/_parkour/page-cache");
+  if (!key) return null;
+  key.searchParams.set("path", url.pathname);
+  // Pages in auto mode render in the scheme from the client hint
+  key.searchParams.set("scheme", systemColorScheme(request) || "");
+  return key.toString();
+}
+
+/**
+ * Build the cache key for a portfolio's list of domains
+ * The list follows every domain's config and, through prices, the visitor's
+ * languages and country; the path and color scheme don't change it.
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and KV bindings
+ * @returns {Promise<string|null>} Key URL, or null without the Cache API
+ */
+export async function portfolioCacheKey(request, env) {
+  const key = await visitorCacheKey(request, env, "/_parkour/portfolio-cache");
+  return key ? key.toString() : null;
+}
+
+/**
+ * Cache lifetime of a page
+ * @param {object} cfg - Final domain config
+ * @param {number|null} nextTransition - Time of the next schedule entry (ms)
+ * @param {number} now - Timestamp in ms (default: now)
+ * @returns {{maxAge: number, staleWindow: number}} Seconds the page is fresh,
+ *   and how long after that it may be served stale
+ */
+export function pageLifetime(cfg, nextTransition, now = Date.now()) {
+  let maxAge = cacheMaxAge(nextTransition, PAGE_MAX_AGE, now);
+  let staleFor = STALE_WHILE_REVALIDATE;
+
+  const launch =
+    cfg.mode === "coming-soon" && cfg.launchDate
+      ? new Date(cfg.launchDate).getTime()
+      : NaN;
+  if (Number.isFinite(launch) && Math.abs(launch - now) < LAUNCH_WINDOW_MS) {
+    maxAge = Math.min(maxAge, LAUNCH_MAX_AGE);
+    staleFor = LAUNCH_MAX_AGE;
+  }
+
+  // A stale copy must not outlive the next transition either
+  const staleWindow =
+    cacheMaxAge(nextTransition, maxAge + staleFor, now) - maxAge;
+
+  return { maxAge, staleWindow };
+}
+
+/**
+ * Page HTML with the form token taken out
+ */
+function withoutToken(html, formToken) {
+  return formToken ? html.split(formToken).join("") : html;
+}
+
+/**
+ * Headers that make a rendered page cacheable
+ * @param {object} cfg - Final domain config (mode, launchDate, formToken, analytics)
+ * @param {number|null} nextTransition - Time of the next schedule entry (ms)
+ * @param {string} html - Rendered page
+ * @returns {Promise<object>} cache-control, etag and the stored page metadata
+ */
+export async function pageCacheHeaders(cfg, nextTransition, html) {
+  const now = Date.now();
+  const { maxAge, staleWindow } = pageLifetime(cfg, nextTransition, now);
+  // Hashed without the form token, which changes on every render
+  const hash = await sha256(withoutToken(html, cfg.formToken));
+
+  return {
+    "cache-control":
+      maxAge > 0
+        ? `public, max-age=${maxAge}${
+            staleWindow > 0 ? `, stale-while-revalidate=${staleWindow}` : ""
+          }`
+        : "no-cache",
+    etag: `W/"${hash.slice(0, 32)}"`,
+    [META_HEADERS.freshUntil]: String(now + maxAge * 1000),
+    [META_HEADERS.staleUntil]: String(now + (maxAge + staleWindow) * 1000),
+    [META_HEADERS.formToken]: cfg.formToken || "",
+    [META_HEADERS.analytics]: cfg.analytics === false ? "0" : "1",
+  };
+}
+
+/**
+ * Remove the stored page metadata before a response goes out
+ */
+function withoutMeta(response, cacheStatus) {
+  const headers = new Headers(response.headers);
+  for (const name of Object.values(META_HEADERS)) headers.delete(name);
+  headers.set("x-page-cache", cacheStatus);
+  return { headers, status: response.status };
+}
+
+/**
+ * Check whether the visitor already has this version of the page
+ */
+function isNotModified(request, etag) {
+  const ifNoneMatch = request.headers.get("if-none-match");
+  if (!ifNoneMatch || !etag) return false;
+  return ifNoneMatch
+    .split(",")
+    .some((tag) => tag.trim() === etag || tag.trim() === "*");
+}
+
+/**
+ * 304 response for a page the visitor already has
+ */
+function notModified(headers) {
+  for (const name of ["content-type", "content-length"]) {
+    headers.delete(name);
+  }
+  return new Response(null, { status: 304, headers });
+}
+
+/**
+ * Store a freshly rendered page and prepare it for the visitor
+ * Responses without page metadata (APIs, 404s, redirects, dev mode) pass
+ * through uncached. Answers 304 when the visitor's copy is current.
+ * @param {Request} request - Incoming request
+ * @param {string|null} key - Key from pageCacheKey
+ * @param {Response} response - Response from the page handler
+ * @param {object} ctx - Execution context (for waitUntil)
+ * @returns {Response}
+ */
+export function cachePage(request, key, response, ctx) {
+  const freshUntil = Number(response.headers.get(META_HEADERS.freshUntil));
+  if (!freshUntil) return response;
+
+  const staleUntil = Number(response.headers.get(META_HEADERS.staleUntil));
+  const lifetime = Math.floor((staleUntil - Date.now()) / 1000);
+  if (key && response.status === 200 && lifetime > 0) {
+    // The stored copy lives through the stale window
+    const stored = response.clone();
+    const storedHeaders = new Headers(stored.headers);
+    storedHeaders.set("cache-control", `public, max-age=${lifetime}`);
+    ctx.waitUntil(
+      caches.default
+        .put(key, new Response(stored.body, { headers: storedHeaders }))
+        .catch((e) => {
+          console.error(`[Cache] Error storing page: ${e.message}`);
+        })
+    );
+  }
+
+  const { headers, status } = withoutMeta(response, "miss");
+  if (status === 200 && isNotModified(request, headers.get("etag"))) {
+    return notModified(headers);
+  }
+  return new Response(response.body, { status, headers });
+}
+
+/**
+ * Look up a stored page
+ * @param {string} key - Key from pageCacheKey
+ * @returns {Promise<{response: Response, stale: boolean, analytics: boolean}|null>}
+ */
+export async function matchCachedPage(key) {
+  try {
+    const response = await caches.default.match(key);
+    if (!response) return null;
+
+    return {
+      response,
+      stale:
+        Date.now() >= Number(response.headers.get(META_HEADERS.freshUntil)),
+      analytics: response.headers.get(META_HEADERS.analytics) !== "0",
+    };
+  } catch (e) {
+    console.error(`[Cache] Error reading page: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Serve a stored page
+ * Answers 304 when the visitor's copy is current; otherwise the page is
+ * sent with a new form token in place of the one it was rendered with.
+ * @param {Request} request - Incoming request
+ * @param {object} cached - Result of matchCachedPage
+ * @param {string|null} formToken - Token for this visitor (see protection.js)
+ * @returns {Promise<Response>}
+ */
+export async function serveCachedPage(request, cached, formToken) {
+  const { response, stale } = cached;
+  const { headers, status } = withoutMeta(response, stale ? "stale" : "hit");
+
+  const remaining = Math.floor(
+    (Number(response.headers.get(META_HEADERS.freshUntil)) - Date.now()) / 1000
+  );
+  headers.set(
+    "cache-control",
+    remaining > 0 ? `public, max-age=${remaining}` : "no-cache"
+  );
+
+  if (isNotModified(request, headers.get("etag"))) {
+    return notModified(headers);
+  }
+
+  let html = await response.text();
+  const storedToken = response.headers.get(META_HEADERS.formToken);
+  if (storedToken && formToken) {
+    html = html.split(storedToken).join(formToken);
+  }
+  headers.delete("content-length");
+  return new Response(html, { status, headers });
+}
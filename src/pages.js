@@ -0,0 +1,90 @@
+import { localizeValue } from "./i18n.js";
+
+/**
+ * Extra pages
+ *
+ * Besides its main page, a domain can serve pages defined in its config,
+ * keyed by path:
+ *   "pages": {
+ *     "/privacy": { "title": "Privacy Policy", "content": "## Data we keep\n..." },
+ *     "/about": { "title": {"en": "About", "de": "Über uns"}, "content": "...", "nav": false }
+ *   }
+ * `content` is Markdown (see templates/markdown.js); `title`, `content` and
+ * `description` also take per-locale maps. Pages are linked from the footer
+ * of every page unless `nav` is false, and listed in sitemap.xml.
+ */
+
+// Options a page can set (title and content are required)
+export const PAGE_FIELDS = ["title", "content", "description", "nav"];
+
+// Paths served by the Worker itself (see site-files.js)
+const RESERVED_PATHS = [
+  "/robots.txt",
+  "/sitemap.xml",
+  "/security.txt",
+  "/favicon.svg",
+  "/favicon.ico",
+];
+
+const PAGE_PATH_PATTERN = /^(\/[A-Za-z0-9._~-]+)+$/;
+
+/**
+ * Check whether a path can hold a page
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isPagePath(path) {
+  return (
+    PAGE_PATH_PATTERN.test(path) &&
+    !path.startsWith("/_parkour/") &&
+    !path.startsWith("/.well-known/") &&
+    !RESERVED_PATHS.includes(path)
+  );
+}
+
+/**
+ * Get the paths of all pages
+ * @param {object} cfg - Final domain config
+ * @returns {string[]}
+ */
+export function pagePaths(cfg) {
+  return cfg.pages ? Object.keys(cfg.pages) : [];
+}
+
+/**
+ * Find the page for a request path
+ * A trailing slash is ignored, so /about/ serves /about.
+ * @param {object} cfg - Final domain config (pages, locale, defaultLocale)
+ * @param {string} pathname - Request path
+ * @returns {{path: string, title: string, content: string, description?: string}|null}
+ */
+export function findPage(cfg, pathname) {
+  const path = pathname.length > 1 ? pathname.replace(/\/+$/, "") : pathname;
+  const page = cfg.pages && Object.hasOwn(cfg.pages, path) && cfg.pages[path];
+  if (!page) return null;
+
+  return {
+    path,
+    title: localizeValue(page.title, cfg.locale, cfg.defaultLocale),
+    content: localizeValue(page.content, cfg.locale, cfg.defaultLocale),
+    description: localizeValue(page.description, cfg.locale, cfg.defaultLocale),
+  };
+}
+
+/**
+ * Links to the pages shown in navigation
+ * @param {object} cfg - Final domain config
+ * @returns {Array<{path: string, title: string}>}
+ */
+export function pageLinks(cfg) {
+  return pagePaths(cfg)
+    .filter((path) => cfg.pages[path].nav !== false)
+    .map((path) => ({
+      path,
+      title: localizeValue(
+        cfg.pages[path].title,
+        cfg.locale,
+        cfg.defaultLocale
+      ),
+    }));
+}
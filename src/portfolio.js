@@ -0,0 +1,161 @@
+import { isHostnameKey } from "./config-lookup.js";
+
+/**
+ * Portfolio mode: one page listing every domain for sale
+ *
+ * The hub domain enumerates the hostname keys in DOMAIN_CONFIGS and builds
+ * each one's final config with getConfig, so prices, extensions, ages and
+ * statuses match what the domain's own page shows. Parking domains that are
+ * "available" or "under-offer" are listed; the filtering, sorting and search
+ * happen in the browser.
+ *
+ * Building the list reads up to MAX_PORTFOLIO_DOMAINS configs, so the result
+ * is kept in the edge cache per config version and visitor variant (see
+ * portfolioCacheKey in page-cache.js) for PORTFOLIO_CACHE_TTL seconds.
+ */
+
+// Upper bound on configs loaded per portfolio list
+export const MAX_PORTFOLIO_DOMAINS = 200;
+
+// Seconds a built list is kept; bounds how late listed domains' scheduled
+// changes show up on the portfolio
+const PORTFOLIO_CACHE_TTL = 600;
+
+const LISTED_STATUSES = ["available", "under-offer"];
+
+/**
+ * List the hostname keys in DOMAIN_CONFIGS (at most MAX_PORTFOLIO_DOMAINS)
+ * Pages through the keys; wildcards, profiles and other reserved keys are skipped.
+ * @param {KVNamespace} kv - DOMAIN_CONFIGS namespace
+ * @returns {Promise<string[]>}
+ */
+export async function listHostnames(kv) {
+  const hostnames = [];
+  let cursor;
+  do {
+    const page = await kv.list({ cursor });
+    for (const key of page.keys) {
+      if (isHostnameKey(key.name)) hostnames.push(key.name);
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor && hostnames.length < MAX_PORTFOLIO_DOMAINS);
+
+  return hostnames.slice(0, MAX_PORTFOLIO_DOMAINS);
+}
+
+/**
+ * Domain age in years for sorting
+ * From registrationDate when set, else the leading number of domainAgeYears ("15+")
+ */
+function ageInYears(config) {
+  if (config.registrationDate) {
+    const age =
+      (Date.now() - new Date(config.registrationDate).getTime()) /
+      (1000 * 60 * 60 * 24 * 365.25);
+    if (Number.isFinite(age)) return Math.floor(age);
+  }
+  const years = parseInt(config.domainAgeYears, 10);
+  return Number.isFinite(years) ? years : null;
+}
+
+/**
+ * Build the portfolio card data for one domain's final config
+ * @param {string} hostname - Config key the domain is stored under
+ * @param {object} config - Final config from getConfig
+ * @returns {object}
+ */
+function portfolioItem(hostname, config) {
+  const price = config.price;
+  return {
+    domain: hostname,
+    title: config.domainTitle || hostname,
+    headline: config.title,
+    extension: config.domainExtension || "",
+    ageLabel: config.domainAgeYears || null,
+    age: ageInYears(config),
+    status: config.status,
+    tags: config.tags || [],
+    price: price ? price.display : null,
+    // Sort in the visitor's currency when the price was converted
+    priceAmount: price
+      ? price.converted
+        ? price.converted.amount
+        : price.amount
+      : null,
+  };
+}
+
+/**
+ * Read a list stored by loadPortfolio
+ */
+async function matchCachedList(cacheKey) {
+  try {
+    const response = await caches.default.match(cacheKey);
+    return response ? await response.json() : null;
+  } catch (e) {
+    console.error(`[Portfolio] Error reading cached list: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Load the domains listed on a portfolio page
+ * @param {object} cfg - Final config of the portfolio domain
+ * @param {object} env - Environment variables and KV bindings
+ * @param {(hostname: string) => Promise<{config: object}>} loadConfig - getConfig for another host
+ * @param {object} [cache] - Edge cache to keep the list in
+ * @param {string|null} cache.cacheKey - Key from portfolioCacheKey (null: not cached)
+ * @param {object} cache.ctx - Execution context (for waitUntil)
+ * @returns {Promise<Array<object>>} Cards sorted by domain name
+ */
+export async function loadPortfolio(
+  cfg,
+  env,
+  loadConfig,
+  { cacheKey = null, ctx = null } = {}
+) {
+  if (!env.DOMAIN_CONFIGS) return [];
+
+  if (cacheKey) {
+    const cached = await matchCachedList(cacheKey);
+    if (cached) return cached;
+  }
+
+  try {
+    const hostnames = (await listHostnames(env.DOMAIN_CONFIGS)).filter(
+      (hostname) => hostname !== cfg.domain
+    );
+
+    const items = await Promise.all(
+      hostnames.map(async (hostname) => {
+        const { config } = await loadConfig(hostname);
+        if (
+          config.mode !== "parking" ||
+          !LISTED_STATUSES.includes(config.status)
+        ) {
+          return null;
+        }
+        return portfolioItem(hostname, config);
+      })
+    );
+
+    const list = items
+      .filter(Boolean)
+      .sort((a, b) => a.domain.localeCompare(b.domain));
+
+    if (cacheKey) {
+      const stored = Response.json(list, {
+        headers: { "cache-control": `public, max-age=${PORTFOLIO_CACHE_TTL}` },
+      });
+      ctx.waitUntil(
+        caches.default.put(cacheKey, stored).catch((e) => {
+          console.error(`[Portfolio] Error storing list: ${e.message}`);
+        })
+      );
+    }
+    return list;
+  } catch (e) {
+    console.error(`[Portfolio] Error loading domains: ${e.message}`);
+    return [];
+  }
+}
@@ -0,0 +1,366 @@
+/**
+ * Sale price parsing, formatting and currency conversion
+ *
+ * `salePrice` is either free-form text ("30,000 USD", shown as written) or a
+ * structured price:
+ *   { amount, currency, minimumOffer?, negotiable?, leaseToOwn?: {monthly, months?} }
+ * Structured prices are formatted with Intl.NumberFormat for the page locale.
+ * With `convertPrice` enabled, the price is also shown in the visitor's
+ * currency using the static rate table stored in DOMAIN_CONFIGS under
+ * RATES_KEY:
+ *   { "base": "USD", "rates": { "EUR": 0.92, "GBP": 0.79 } }
+ */
+
+export const RATES_KEY = "_rates";
+
+const CURRENCY_SYMBOLS = {
+  $: "USD",
+  "€": "EUR",
+  "£": "GBP",
+  "¥": "JPY",
+  "₹": "INR",
+};
+
+// Visitor country (request.cf.country) -> local currency
+const COUNTRY_CURRENCIES = {
+  US: "USD",
+  CA: "CAD",
+  MX: "MXN",
+  BR: "BRL",
+  GB: "GBP",
+  CH: "CHF",
+  SE: "SEK",
+  NO: "NOK",
+  DK: "DKK",
+  PL: "PLN",
+  CZ: "CZK",
+  HU: "HUF",
+  RO: "RON",
+  TR: "TRY",
+  IL: "ILS",
+  AE: "AED",
+  SA: "SAR",
+  IN: "INR",
+  CN: "CNY",
+  HK: "HKD",
+  JP: "JPY",
+  KR: "KRW",
+  SG: "SGD",
+  AU: "AUD",
+  NZ: "NZD",
+  ZA: "ZAR",
+};
+const EURO_COUNTRIES = [
+  "AT",
+  "BE",
+  "CY",
+  "DE",
+  "EE",
+  "ES",
+  "FI",
+  "FR",
+  "GR",
+  "HR",
+  "IE",
+  "IT",
+  "LT",
+  "LU",
+  "LV",
+  "MT",
+  "NL",
+  "PT",
+  "SI",
+  "SK",
+];
+
+// A whole amount: an optional currency symbol or code around digits, with
+// optional comma thousands separators and at most two decimals ("$25,000",
+// "25000 USD", "1,500.50 €"). Signs, exponents and other separators are
+// rejected: "30.000 €" could mean 30 or 30,000, so it is not guessed.
+const AMOUNT_PATTERN =
+  /^(?:[$€£¥₹]|[A-Z]{3})?\s*(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?\s*(?:[$€£¥₹]|[A-Z]{3})?$/;
+
+/**
+ * Parse a money-like value ("25,000", "25000 USD", 25000) into a number
+ * Shared by config validation and submitted offers.
+ * @param {*} value - Raw value
+ * @returns {number|null} Parsed amount, or null if not a valid amount
+ */
+export function parseAmount(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== "string") return null;
+
+  const match = AMOUNT_PATTERN.exec(value.trim());
+  if (!match) return null;
+
+  return parseFloat(`${match[1].replace(/,/g, "")}${match[2] || ""}`);
+}
+
+/**
+ * Extract a numeric price and ISO currency code from free-form price text
+ * @param {string} salePrice - e.g. "30,000 USD" or "$25,000"
+ * @returns {{price: number, currency: string|null}|null}
+ */
+export function parsePrice(salePrice) {
+  const price = parseAmount(salePrice);
+  if (price === null) return null;
+
+  const text = String(salePrice);
+  const code = /\b([A-Z]{3})\b/.exec(text);
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find((s) => text.includes(s));
+
+  return {
+    price,
+    currency: code ? code[1] : symbol ? CURRENCY_SYMBOLS[symbol] : null,
+  };
+}
+
+/**
+ * Format an amount of money for a locale
+ * Whole amounts are shown without decimals ("$30,000", "30.000 €").
+ * @param {number} amount
+ * @param {string|null} currency - ISO 4217 code; plain number if missing
+ * @param {string} locale - Page locale
+ * @returns {string}
+ */
+export function formatMoney(amount, currency, locale = "en") {
+  const digits = Number.isInteger(amount) ? 0 : 2;
+  const options = {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  };
+
+  try {
+    return new Intl.NumberFormat(
+      locale,
+      currency ? { ...options, style: "currency", currency } : options
+    ).format(amount);
+  } catch (e) {
+    const number = amount.toLocaleString("en-US", options);
+    return currency ? `${number} ${currency}` : number;
+  }
+}
+
+/**
+ * Normalize the configured sale price
+ * @param {string|object|null} salePrice - Validated `salePrice`
+ * @param {*} minimumOffer - Top-level `minimumOffer` (used when the price has none)
+ * @returns {object|null} { amount, currency, text, minimumOffer, negotiable, leaseToOwn }
+ *   `text` is the verbatim price text for the string form, null otherwise
+ */
+export function normalizePrice(salePrice, minimumOffer = null) {
+  if (typeof salePrice === "string" && salePrice) {
+    const parsed = parsePrice(salePrice);
+    return {
+      amount: parsed ? parsed.price : null,
+      currency: parsed ? parsed.currency : null,
+      text: salePrice,
+      minimumOffer: parseAmount(minimumOffer),
+      negotiable: false,
+      leaseToOwn: null,
+    };
+  }
+
+  if (salePrice === null || typeof salePrice !== "object") return null;
+
+  return {
+    amount: salePrice.amount,
+    currency: salePrice.currency || null,
+    text: null,
+    minimumOffer:
+      salePrice.minimumOffer !== undefined
+        ? salePrice.minimumOffer
+        : parseAmount(minimumOffer),
+    negotiable: salePrice.negotiable === true,
+    leaseToOwn: salePrice.leaseToOwn || null,
+  };
+}
+
+/**
+ * Display text of a normalized price
+ * @param {object} price - Result of normalizePrice
+ * @param {string} locale - Page locale
+ * @returns {string}
+ */
+export function formatPrice(price, locale) {
+  if (price.text !== null) return price.text;
+  return formatMoney(price.amount, price.currency, locale);
+}
+
+/**
+ * Guess the visitor's currency from the Cloudflare country code
+ * @param {Request|null} request
+ * @returns {string|null}
+ */
+export function visitorCurrency(request) {
+  const country = request?.cf?.country;
+  if (!country) return null;
+  if (EURO_COUNTRIES.includes(country)) return "EUR";
+  return COUNTRY_CURRENCIES[country] || null;
+}
+
+/**
+ * Convert an amount between currencies with a rate table
+ * @param {number} amount
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Target currency
+ * @param {{base: string, rates: Object<string, number>}} table - Units of each currency per 1 base
+ * @returns {number|null} Rounded to whole units, or null if a rate is missing
+ */
+export function convertAmount(amount, from, to, table) {
+  const rate = (currency) =>
+    currency === table.base ? 1 : Number(table.rates[currency]);
+
+  const fromRate = rate(from);
+  const toRate = rate(to);
+  if (!(fromRate > 0) || !(toRate > 0)) return null;
+
+  return Math.round((amount / fromRate) * toRate);
+}
+
+/**
+ * Check a rate table before it is stored under RATES_KEY
+ * @param {*} table - e.g. { "base": "USD", "rates": { "EUR": 0.92 } }
+ * @returns {Array<{field: string, code: string, message: string}>} Empty if valid
+ */
+export function validateRatesTable(table) {
+  const isCode = (code) => typeof code === "string" && /^[A-Z]{3}$/.test(code);
+
+  if (!table || typeof table !== "object" || Array.isArray(table)) {
+    return [
+      {
+        field: "",
+        code: "invalid_type",
+        message: 'The rate table must be {"base": "USD", "rates": {...}}.',
+      },
+    ];
+  }
+
+  const errors = [];
+  if (!isCode(table.base)) {
+    errors.push({
+      field: "base",
+      code: "invalid_currency",
+      message: "base must be an ISO 4217 code like USD.",
+    });
+  }
+  if (
+    !table.rates ||
+    typeof table.rates !== "object" ||
+    Array.isArray(table.rates)
+  ) {
+    errors.push({
+      field: "rates",
+      code: "invalid_type",
+      message: 'rates must be an object like {"EUR": 0.92}.',
+    });
+  } else {
+    for (const [code, rate] of Object.entries(table.rates)) {
+      if (!isCode(code) || !(typeof rate === "number" && rate > 0)) {
+        errors.push({
+          field: `rates.${code}`,
+          code: "invalid_rate",
+          message: `rates.${code} must be a positive number keyed by an ISO 4217 code.`,
+        });
+      }
+    }
+  }
+  for (const field of Object.keys(table)) {
+    if (field !== "base" && field !== "rates") {
+      errors.push({
+        field,
+        code: "unknown_field",
+        message: `Unknown rate table field "${field}".`,
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Load the rate table from KV
+ * @param {object} env - Environment variables and KV bindings
+ * @returns {Promise<object|null>}
+ */
+async function loadRates(env) {
+  if (!env.DOMAIN_CONFIGS) return null;
+
+  try {
+    const table = await env.DOMAIN_CONFIGS.get(RATES_KEY, {
+      type: "json",
+      // Static table: let the edge keep it for an hour
+      cacheTtl: 3600,
+    });
+    if (table && typeof table.base === "string" && table.rates) {
+      return table;
+    }
+    if (table) console.error(`[Pricing] Ignoring malformed ${RATES_KEY}`);
+  } catch (e) {
+    console.error(`[Pricing] Error loading ${RATES_KEY}: ${e.message}`);
+  }
+  return null;
+}
+
+/**
+ * Build the display price for a page
+ * @param {object} cfg - Final domain config (salePrice, minimumOffer, convertPrice, locale)
+ * @param {object} env - Environment variables and KV bindings
+ * @param {Request|null} request - Incoming request (for the visitor's country)
+ * @returns {Promise<object|null>} Normalized price plus `display`, `leaseToOwn.display`
+ *   and `converted` ({amount, currency, display} or null)
+ */
+export async function resolvePrice(cfg, env, request) {
+  const price = normalizePrice(cfg.salePrice, cfg.minimumOffer);
+  if (!price) return null;
+
+  const result = {
+    ...price,
+    display: formatPrice(price, cfg.locale),
+    converted: null,
+  };
+
+  if (price.leaseToOwn) {
+    result.leaseToOwn = {
+      ...price.leaseToOwn,
+      display: formatMoney(
+        price.leaseToOwn.monthly,
+        price.currency,
+        cfg.locale
+      ),
+    };
+  }
+
+  const target = visitorCurrency(request);
+  if (
+    cfg.convertPrice &&
+    price.amount !== null &&
+    price.currency &&
+    target &&
+    target !== price.currency
+  ) {
+    const rates = await loadRates(env);
+    const amount = rates
+      ? convertAmount(price.amount, price.currency, target, rates)
+      : null;
+    if (amount !== null) {
+      result.converted = {
+        amount,
+        currency: target,
+        display: formatMoney(amount, target, cfg.locale),
+      };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Lowest acceptable offer for a domain
+ * @param {object} cfg - Final domain config
+ * @returns {number|null}
+ */
+export function minimumOfferFor(cfg) {
+  return cfg.price ? cfg.price.minimumOffer : parseAmount(cfg.minimumOffer);
+}
@@ -0,0 +1,345 @@
+import { jsonResponse, jsonError } from "./http.js";
+import { timingSafeEqual } from "./auth.js";
+import { t } from "./i18n.js";
+
+/**
+ * Bot and spam protection for form submissions and API routes
+ *
+ * protectSubmission runs every check a public form needs:
+ *   1. Honeypot - a hidden field people never fill in (HONEYPOT_FIELD)
+ *   2. Rate limits - per IP and per domain, counted in fixed windows by the
+ *      RateLimiter Durable Object (skipped if RATE_LIMITER is not bound).
+ *      checkRateLimit is also used on its own for APIs and click beacons.
+ *   3. Time token - renderBase adds a token signed with PARKOUR_SIGNING_SECRET
+ *      holding the render time; submissions sooner than MIN_FORM_AGE_MS
+ *      after it are treated as bots (skipped if the secret is not set)
+ *   4. Turnstile - verified when the domain sets `turnstileSiteKey` (needs
+ *      the TURNSTILE_SECRET_KEY secret). The verifier can be swapped with
+ *      setTurnstileVerifier, e.g. for a local stub or in tests.
+ */
+
+export const HONEYPOT_FIELD = "website";
+export const TOKEN_FIELD = "_token";
+export const TURNSTILE_FIELD = "cf-turnstile-response";
+export const TURNSTILE_SCRIPT_URL =
+  "https://challenges.cloudflare.com/turnstile/v0/api.js";
+
+const TURNSTILE_VERIFY_URL =
+  "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+const MIN_FORM_AGE_MS = 3000;
+const MAX_FORM_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Limits per scope: at most `max` requests per `window` seconds
+ */
+export const RATE_LIMITS = {
+  offer: {
+    ip: { max: 5, window: 3600 },
+    domain: { max: 100, window: 3600 },
+  },
+  waitlist: {
+    ip: { max: 5, window: 3600 },
+    domain: { max: 500, window: 3600 },
+  },
+  // Click beacons from the page (analytics.js)
+  collect: {
+    ip: { max: 30, window: 60 },
+  },
+  // Authenticated APIs (slows down token guessing)
+  api: {
+    ip: { max: 120, window: 60 },
+  },
+};
+
+/**
+ * Hex-encoded SHA-256
+ */
+async function sha256(text) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Base64url-encoded HMAC-SHA256 of a message
+ * @param {string} secret - Signing key
+ * @param {string} message - Data to sign
+ * @returns {Promise<string>}
+ */
+export async function sign(secret, message) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(message)
+  );
+  return btoa(String.fromCharCode(...new Uint8Array(signature)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Check a signature made with sign()
+ * @param {string} secret - Signing key
+ * @param {string} message - Signed data
+ * @param {string} signature - Signature to check
+ * @returns {Promise<boolean>}
+ */
+export async function verifySignature(secret, message, signature) {
+  return timingSafeEqual(await sign(secret, message), String(signature));
+}
+
+// Seconds to wait when the counters can't be reached
+const RATE_LIMIT_UNAVAILABLE_RETRY = 60;
+
+/**
+ * Durable Object counting the requests of one subject (scope + IP or domain)
+ * A single instance serializes its requests, so counts are exact. Storage
+ * holds the current window and is cleared by an alarm when it ends.
+ */
+export class RateLimiter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  /**
+   * Count one request: POST {max, window}
+   * Answers {retryAfter}: seconds to wait if the limit is reached, else null.
+   */
+  async fetch(request) {
+    const { max, window } = await request.json();
+    const now = Math.floor(Date.now() / 1000);
+    const bucket = Math.floor(now / window);
+
+    const stored = await this.storage.get("window");
+    const count = stored && stored.bucket === bucket ? stored.count : 0;
+    if (count >= max) {
+      return Response.json({ retryAfter: (bucket + 1) * window - now });
+    }
+
+    await this.storage.put("window", { bucket, count: count + 1 });
+    if (count === 0) {
+      await this.storage.setAlarm((bucket + 1) * window * 1000);
+    }
+    return Response.json({ retryAfter: null });
+  }
+
+  async alarm() {
+    await this.storage.deleteAll();
+  }
+}
+
+/**
+ * Count a request against a scope's limits
+ * Fails closed: if a counter can't be reached, the request is refused.
+ * @param {object} env - Environment variables and bindings
+ * @param {string} scope - Key of RATE_LIMITS
+ * @param {Request} request - Incoming request (for the client IP)
+ * @param {string} hostname - Domain the request was made on
+ * @returns {Promise<number|null>} Seconds to wait if a limit is exceeded, else null
+ */
+export async function checkRateLimit(env, scope, request, hostname) {
+  const limits = RATE_LIMITS[scope];
+  if (!env.RATE_LIMITER || !limits) return null;
+
+  const ip = request.headers.get("cf-connecting-ip");
+  const subjects = [];
+  if (limits.ip && ip) {
+    subjects.push([`ip:${await sha256(ip)}`, limits.ip]);
+  }
+  if (limits.domain) {
+    subjects.push([`domain:${hostname}`, limits.domain]);
+  }
+
+  try {
+    for (const [subject, { max, window }] of subjects) {
+      const stub = env.RATE_LIMITER.get(
+        env.RATE_LIMITER.idFromName(`${scope}:${subject}`)
+      );
+      const response = await stub.fetch("https://rate-limiter/", {
+        method: "POST",
+        body: JSON.stringify({ max, window }),
+      });
+      const { retryAfter } = await response.json();
+      if (retryAfter !== null) return retryAfter;
+    }
+  } catch (e) {
+    console.error(`[Protection] Rate limit check failed: ${e.message}`);
+    return RATE_LIMIT_UNAVAILABLE_RETRY;
+  }
+  return null;
+}
+
+/**
+ * Build the 429 response for a rate-limited request
+ * @param {number} retryAfter - Seconds until the window resets
+ * @param {string} message - Human-readable message
+ * @returns {Response}
+ */
+export function rateLimitedResponse(retryAfter, message) {
+  return jsonResponse(
+    { ok: false, error: { code: "rate_limited", message } },
+    429,
+    { "retry-after": String(retryAfter) }
+  );
+}
+
+/**
+ * Issue a signed time token for the forms on a page
+ * @param {object} env - Environment variables and secrets
+ * @param {string} hostname - Domain the page is served on
+ * @returns {Promise<string|null>} "<issuedAt>.<signature>", or null without a signing secret
+ */
+export async function issueFormToken(env, hostname) {
+  if (!env.PARKOUR_SIGNING_SECRET) return null;
+
+  const issuedAt = Date.now();
+  const signature = await sign(
+    env.PARKOUR_SIGNING_SECRET,
+    `form:${hostname}:${issuedAt}`
+  );
+  return `${issuedAt}.${signature}`;
+}
+
+/**
+ * Check a form's time token
+ * @returns {Promise<"ok"|"too_fast"|"invalid">}
+ */
+async function checkFormToken(env, hostname, token) {
+  const [issuedAt, signature] = String(token || "").split(".");
+  const age = Date.now() - Number(issuedAt);
+
+  if (
+    !signature ||
+    !(age >= 0 && age <= MAX_FORM_AGE_MS) ||
+    !(await verifySignature(
+      env.PARKOUR_SIGNING_SECRET,
+      `form:${hostname}:${issuedAt}`,
+      signature
+    ))
+  ) {
+    return "invalid";
+  }
+  return age < MIN_FORM_AGE_MS ? "too_fast" : "ok";
+}
+
+/**
+ * Verify a Turnstile response with Cloudflare's siteverify API
+ * @param {string} token - Value of the cf-turnstile-response field
+ * @param {object} env - Environment variables and secrets
+ * @param {Request} request - Incoming request (for the client IP)
+ * @returns {Promise<boolean>}
+ */
+async function siteverify(token, env, request) {
+  if (!env.TURNSTILE_SECRET_KEY) {
+    console.error(
+      "[Protection] turnstileSiteKey is set but TURNSTILE_SECRET_KEY is missing"
+    );
+    return false;
+  }
+
+  const form = new FormData();
+  form.append("secret", env.TURNSTILE_SECRET_KEY);
+  form.append("response", token);
+  const ip = request.headers.get("cf-connecting-ip");
+  if (ip) form.append("remoteip", ip);
+
+  try {
+    const response = await fetch(TURNSTILE_VERIFY_URL, {
+      method: "POST",
+      body: form,
+    });
+    const result = await response.json();
+    return result.success === true;
+  } catch (e) {
+    console.error(`[Protection] Turnstile verification failed: ${e.message}`);
+    return false;
+  }
+}
+
+let turnstileVerifier = siteverify;
+
+/**
+ * Replace the Turnstile verifier
+ * @param {((token: string, env: object, request: Request) => Promise<boolean>)|null} verifier - null restores the default
+ */
+export function setTurnstileVerifier(verifier) {
+  turnstileVerifier = verifier || siteverify;
+}
+
+/**
+ * Run the bot and spam checks for a form submission
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and KV bindings
+ * @param {object} cfg - Final domain config from getConfig
+ * @param {string} hostname - Domain the form was submitted on
+ * @param {object} body - Submitted fields
+ * @param {string} scope - Key of RATE_LIMITS
+ * @returns {Promise<{error?: Response, spam?: boolean}>} `error` is the response
+ *   to send; `spam` means the caller should pretend to succeed without storing
+ */
+export async function protectSubmission(
+  request,
+  env,
+  cfg,
+  hostname,
+  body,
+  scope
+) {
+  if (body[HONEYPOT_FIELD]) {
+    return { spam: true };
+  }
+
+  const retryAfter = await checkRateLimit(env, scope, request, hostname);
+  if (retryAfter !== null) {
+    return {
+      error: rateLimitedResponse(
+        retryAfter,
+        t(cfg.locale, "protection.rateLimited")
+      ),
+    };
+  }
+
+  if (env.PARKOUR_SIGNING_SECRET) {
+    const result = await checkFormToken(env, hostname, body[TOKEN_FIELD]);
+    if (result === "too_fast") {
+      return { spam: true };
+    }
+    if (result === "invalid") {
+      return {
+        error: jsonError(
+          400,
+          "invalid_token",
+          t(cfg.locale, "protection.expired")
+        ),
+      };
+    }
+  }
+
+  if (cfg.turnstileSiteKey) {
+    const token = body[TURNSTILE_FIELD];
+    if (!token || !(await turnstileVerifier(token, env, request))) {
+      return {
+        error: jsonError(
+          403,
+          "challenge_failed",
+          t(cfg.locale, "protection.challengeFailed")
+        ),
+      };
+    }
+  }
+
+  return {};
+}
@@ -0,0 +1,148 @@
+import { safeUrl } from "./templates/escape.js";
+import { generateRedirectHTML } from "./templates/redirect.js";
+
+/**
+ * Redirect / forwarding mode
+ *
+ * Requests are forwarded to `redirectUrl`, optionally keeping the path and
+ * query. `redirectRules` are checked first, in order; the first match wins:
+ *   { "from": "/blog/*", "to": "https://blog.example.com/$1" }
+ *   { "from": "^/p/(\\d+)$", "regex": true, "to": "/products/$1", "permanent": true }
+ * `*` in wildcard patterns (and groups in regex patterns) are available as
+ * $1, $2, ... in `to`. A `to` starting with "/" is resolved against redirectUrl.
+ */
+
+/**
+ * Compile a rule's `from` pattern
+ * @param {{from: string, regex?: boolean}} rule
+ * @returns {RegExp}
+ */
+export function compileRulePattern(rule) {
+  if (rule.regex) return new RegExp(rule.from);
+
+  const pattern = rule.from
+    .split("*")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("(.*)");
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Substitute $1, $2, ... in a rule target
+ */
+function substitute(template, match) {
+  return template.replace(/\$(\d+)/g, (_, index) => match[index] || "");
+}
+
+/**
+ * Append the request query to a target URL
+ */
+function appendQuery(target, requestUrl) {
+  for (const [key, value] of requestUrl.searchParams) {
+    target.searchParams.append(key, value);
+  }
+}
+
+/**
+ * Resolve where a request should be forwarded
+ * @param {URL} url - Request URL
+ * @param {object} cfg - Final domain config
+ * @returns {{location: string, permanent: boolean}|null} null if there is no valid target
+ */
+export function resolveRedirect(url, cfg) {
+  const base = safeUrl(cfg.redirectUrl, ["http", "https"]);
+  let permanent = cfg.redirectPermanent === true;
+  let target = null;
+
+  for (const rule of cfg.redirectRules || []) {
+    const match = compileRulePattern(rule).exec(url.pathname);
+    if (!match) continue;
+
+    const to = substitute(rule.to, match);
+    try {
+      target = new URL(to, base || url.origin);
+    } catch (e) {
+      console.error(`[Redirect] Invalid rule target "${to}": ${e.message}`);
+      return null;
+    }
+    if (rule.permanent !== undefined) permanent = rule.permanent === true;
+    break;
+  }
+
+  if (!target) {
+    if (!base) return null;
+    target = new URL(base);
+    if (cfg.preservePath !== false && url.pathname !== "/") {
+      target.pathname = `${target.pathname.replace(/\/$/, "")}${url.pathname}`;
+    }
+  }
+
+  if (!safeUrl(target.href, ["http", "https"])) return null;
+
+  if (cfg.preserveQuery !== false) {
+    appendQuery(target, url);
+  }
+
+  return { location: target.href, permanent };
+}
+
+/**
+ * Handle a request for a domain in redirect mode
+ * @param {Request} request - Incoming request
+ * @param {object} cfg - Final domain config
+ * @param {object} options
+ * @param {object} options.headers - Base response headers (debug headers etc.)
+ * @param {number} options.maxAge - Cache lifetime of permanent redirects in seconds
+ * @param {Array} options.allThemes - Dev themes for the theme switcher
+ * @param {Array} options.diagnostics - Config issues for the dev panel
+ * @returns {Response}
+ */
+export function handleRedirect(
+  request,
+  cfg,
+  { headers = {}, maxAge = 86400, allThemes = null, diagnostics = null } = {}
+) {
+  const url = new URL(request.url);
+  const redirect = resolveRedirect(url, cfg);
+
+  if (!redirect || redirect.location === url.href) {
+    console.error(
+      `[Redirect] ${url.hostname}: ${
+        redirect ? "redirect loop" : "no valid target"
+      } for ${url.pathname}`
+    );
+    return new Response("Redirect target is not configured.", {
+      status: 502,
+      headers: {
+        ...headers,
+        "content-type": "text/plain;charset=UTF-8",
+        "cache-control": "no-store",
+      },
+    });
+  }
+
+  const cacheControl =
+    redirect.permanent && maxAge > 0 ? `public, max-age=${maxAge}` : "no-store";
+
+  if (cfg.interstitial) {
+    return new Response(
+      generateRedirectHTML(cfg, redirect.location, allThemes, diagnostics),
+      {
+        headers: {
+          ...headers,
+          "content-type": "text/html;charset=UTF-8",
+          "cache-control": cacheControl,
+        },
+      }
+    );
+  }
+
+  return new Response(null, {
+    status: redirect.permanent ? 301 : 302,
+    headers: {
+      ...headers,
+      location: redirect.location,
+      "cache-control": cacheControl,
+    },
+  });
+}
@@ -0,0 +1,72 @@
+import { deepMerge } from "./config-lookup.js";
+
+/**
+ * Scheduled config overrides
+ *
+ * A config can list overrides that take effect at a given time:
+ *   "schedule": [
+ *     { "at": "2026-03-01T09:00:00Z", "mode": "redirect", "redirectUrl": "https://..." }
+ *   ]
+ * On every request, entries whose `at` has passed are merged over the config
+ * in time order (later entries win, objects are deep-merged). The time of the
+ * next entry is returned so responses are not cached past it.
+ */
+
+// Fields an entry cannot override
+export const UNSCHEDULABLE_FIELDS = ["at", "schedule", "extends", "aliasOf"];
+
+/**
+ * Parse and sort the entries of a schedule, skipping malformed ones
+ * @param {*} schedule - Raw `schedule` value
+ * @returns {Array<{time: number, overrides: object}>}
+ */
+function scheduleEntries(schedule) {
+  if (!Array.isArray(schedule)) return [];
+
+  return schedule
+    .filter((entry) => entry && typeof entry === "object")
+    .map((entry) => {
+      const overrides = { ...entry };
+      for (const field of UNSCHEDULABLE_FIELDS) delete overrides[field];
+      return { time: new Date(entry.at).getTime(), overrides };
+    })
+    .filter((entry) => Number.isFinite(entry.time))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Apply the schedule entries that are active at a given time
+ * @param {object} config - Domain config with an optional `schedule`
+ * @param {number} now - Timestamp in ms (default: now)
+ * @returns {{config: object, nextTransition: number|null}} Config with active
+ *   overrides applied, and the time of the next entry (ms) if there is one
+ */
+export function applySchedule(config, now = Date.now()) {
+  let result = config;
+  let nextTransition = null;
+
+  for (const entry of scheduleEntries(config.schedule)) {
+    if (entry.time > now) {
+      nextTransition = entry.time;
+      break;
+    }
+    result = deepMerge(result, entry.overrides);
+  }
+
+  return { config: result, nextTransition };
+}
+
+/**
+ * Cache lifetime for a response, shortened before the next transition
+ * @param {number|null} nextTransition - Time of the next schedule entry (ms)
+ * @param {number} maxAge - Normal lifetime in seconds
+ * @param {number} now - Timestamp in ms (default: now)
+ * @returns {number} Seconds
+ */
+export function cacheMaxAge(nextTransition, maxAge, now = Date.now()) {
+  if (nextTransition === null) return maxAge;
+  return Math.max(
+    0,
+    Math.min(maxAge, Math.floor((nextTransition - now) / 1000))
+  );
+}
@@ -0,0 +1,1089 @@
+import { isLocaleCode, isLocalizedMap, localizeValue } from "./i18n.js";
+import { UNSCHEDULABLE_FIELDS } from "./schedule.js";
+import { BLOCK_TYPES, LAYOUT_BLOCKS } from "./layout.js";
+import { PAGE_FIELDS, isPagePath } from "./pages.js";
+import { parseColor, toHex } from "./colors.js";
+import { parseAmount } from "./pricing.js";
+import {
+  COLOR_SCHEMES,
+  COLOR_TOKENS,
+  PRESET_NAMES,
+  SCHEMES,
+  THEME_FIELDS,
+  isBackground,
+  isFont,
+  isRadius,
+} from "./theme.js";
+
+/**
+ * Declarative domain configuration schema, validation and coercion
+ *
+ * Every config field is described by a type (see FIELD_TYPES) and, for
+ * mode-specific fields, the modes it applies to. Validation never throws:
+ * it returns a cleaned config plus a list of typed issues:
+ *   { level: "error" | "warning", code, field, message }
+ * Errors mean the value was unusable and was dropped (or replaced by the
+ * field default); warnings mean the value was kept but probably isn't what
+ * the author intended.
+ */
+
+export const MODES = [
+  "parking",
+  "coming-soon",
+  "landing",
+  "redirect",
+  "portfolio",
+];
+
+// Sale status of a parking page
+export const STATUSES = ["available", "under-offer", "sold", "not-for-sale"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Keys accepted in the `seo` override object -> accepted JSON types
+ * ("localized" is a per-locale map of strings)
+ */
+const SEO_FIELDS = {
+  title: ["string", "localized"],
+  description: ["string", "localized"],
+  canonical: ["string"],
+  image: ["string"],
+  favicon: ["string"],
+  noindex: ["boolean"],
+  twitterSite: ["string"],
+  jsonLd: ["object", "boolean"],
+};
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value
+ * @returns {string} "null", "array", "object", "string", "number" or "boolean"
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Build a failed coercion result
+ */
+function invalid(code, message) {
+  return { error: { code, message } };
+}
+
+/**
+ * Check for a string, or a per-locale map of strings
+ */
+function isText(value) {
+  return (
+    typeof value === "string" ||
+    (isLocalizedMap(value) &&
+      Object.values(value).every((text) => typeof text === "string"))
+  );
+}
+
+/**
+ * Keys accepted in a structured `salePrice`
+ */
+const PRICE_FIELDS = [
+  "amount",
+  "currency",
+  "minimumOffer",
+  "negotiable",
+  "leaseToOwn",
+];
+
+/**
+ * Validate {amount, currency, minimumOffer?, negotiable?, leaseToOwn?}
+ * `leaseToOwn` is {monthly, months?} or just the monthly amount.
+ */
+function validateStructuredPrice(value) {
+  const unknown = Object.keys(value).find((key) => !PRICE_FIELDS.includes(key));
+  if (unknown) {
+    return invalid("unknown_field", `Unknown salePrice field "${unknown}".`);
+  }
+  if (value.amount === undefined || value.currency === undefined) {
+    return invalid(
+      "invalid_price",
+      'A structured price needs "amount" and "currency", e.g. {"amount": 30000, "currency": "USD"}.'
+    );
+  }
+
+  const price = {};
+  const checks = [
+    ["amount", "amount"],
+    ["currency", "currency"],
+    ["minimumOffer", "amount"],
+    ["negotiable", "boolean"],
+  ];
+  for (const [key, type] of checks) {
+    if (value[key] === undefined) continue;
+    const { value: coerced, error } = FIELD_TYPES[type](value[key]);
+    if (error) return invalid(error.code, `salePrice.${key}: ${error.message}`);
+    price[key] = coerced;
+  }
+
+  if (value.leaseToOwn !== undefined) {
+    const lease =
+      typeOf(value.leaseToOwn) === "object"
+        ? value.leaseToOwn
+        : { monthly: value.leaseToOwn };
+    const monthly = FIELD_TYPES.amount(lease.monthly);
+    const months =
+      lease.months === undefined
+        ? { value: null }
+        : FIELD_TYPES.amount(lease.months);
+    if (monthly.error || months.error) {
+      return invalid(
+        "invalid_price",
+        'salePrice.leaseToOwn must be {"monthly": 1500, "months": 24} or a monthly amount.'
+      );
+    }
+    price.leaseToOwn = {
+      monthly: monthly.value,
+      ...(months.value && { months: Math.round(months.value) }),
+    };
+  }
+
+  return { value: price };
+}
+
+/**
+ * Build a validator for one of a fixed list of values
+ * Input is normalized first: "Under Offer" -> "under-offer".
+ * @param {string[]} values - Accepted values
+ * @param {string} name - What the value is, for error messages ("status")
+ * @param {Object<string, string>} aliases - Other accepted spellings -> value
+ * @returns {function(*): object}
+ */
+function enumField(values, name, aliases = {}) {
+  return (value) => {
+    if (typeof value !== "string") {
+      return invalid(
+        "invalid_type",
+        `Expected a string, got ${typeOf(value)}.`
+      );
+    }
+    const normalized = value
+      .trim()
+      .toLowerCase()
+      .replace(/[\s_]+/g, "-");
+    if (Object.hasOwn(aliases, normalized)) {
+      return { value: aliases[normalized] };
+    }
+    if (!values.includes(normalized)) {
+      return invalid(
+        `invalid_${name.replace(/ /g, "_")}`,
+        `Unknown ${name} "${value}". Expected one of: ${values.join(", ")}.`
+      );
+    }
+    return { value: normalized };
+  };
+}
+
+/**
+ * Field type validators
+ * Each takes a raw value and returns { value } (possibly coerced) or { error }
+ */
+const FIELD_TYPES = {
+  string(value) {
+    if (typeof value === "string") return { value };
+    if (typeof value === "number") return { value: String(value) };
+    return invalid("invalid_type", `Expected a string, got ${typeOf(value)}.`);
+  },
+
+  // Text fields: plain string, Markdown as {"markdown": "..."}, or trusted
+  // rich text as {"html": "..."}
+  text(value) {
+    if (
+      typeOf(value) === "object" &&
+      (typeof value.html === "string" || typeof value.markdown === "string")
+    ) {
+      return { value };
+    }
+    return FIELD_TYPES.string(value);
+  },
+
+  boolean(value) {
+    if (typeof value === "boolean") return { value };
+    if (value === "true" || value === "1" || value === 1)
+      return { value: true };
+    if (value === "false" || value === "0" || value === 0) {
+      return { value: false };
+    }
+    return invalid(
+      "invalid_type",
+      `Expected true or false, got ${typeOf(value)}.`
+    );
+  },
+
+  mode: enumField(MODES, "mode", { comingsoon: "coming-soon" }),
+
+  // Parking sale status: "Under Offer" -> "under-offer"
+  status: enumField(STATUSES, "status"),
+
+  // Color scheme: "Dark Only" -> "dark-only"
+  colorScheme: enumField(COLOR_SCHEMES, "color scheme"),
+
+  // Tags accept ["short", "brandable"] or a comma-separated string
+  tags(value) {
+    const items = typeof value === "string" ? value.split(",") : value;
+    if (
+      !Array.isArray(items) ||
+      !items.every((item) => typeof item === "string")
+    ) {
+      return invalid(
+        "invalid_type",
+        `Expected a list of tags, got ${typeOf(value)}.`
+      );
+    }
+    return {
+      value: [...new Set(items.map((item) => item.trim()).filter(Boolean))],
+    };
+  },
+
+  // true (pick from the other configs) or a list of hostnames
+  similarDomains(value) {
+    const boolean = FIELD_TYPES.boolean(value);
+    if (!boolean.error) return boolean;
+    if (
+      !Array.isArray(value) ||
+      !value.every((item) => typeof item === "string")
+    ) {
+      return invalid(
+        "invalid_type",
+        `Expected true or a list of hostnames, got ${typeOf(value)}.`
+      );
+    }
+    return {
+      value: value.map((item) => item.trim().toLowerCase()).filter(Boolean),
+    };
+  },
+
+  // Hex, rgb(), hsl() or a color name; stored as hex
+  color(value) {
+    if (typeof value !== "string") {
+      return invalid("invalid_type", `Expected a color, got ${typeOf(value)}.`);
+    }
+    const rgb = parseColor(value);
+    if (!rgb) {
+      return invalid(
+        "invalid_color",
+        `"${value}" is not a color like "#3b82f6", "rgb(59 130 246)", "hsl(217 91% 60%)" or "royalblue".`
+      );
+    }
+    return { value: toHex(rgb) };
+  },
+
+  date(value) {
+    if (typeof value !== "string" && typeof value !== "number") {
+      return invalid(
+        "invalid_type",
+        `Expected an ISO 8601 date, got ${typeOf(value)}.`
+      );
+    }
+    if (Number.isNaN(new Date(value).getTime())) {
+      return invalid(
+        "invalid_date",
+        `"${value}" is not a valid date. Use ISO 8601, e.g. "2025-12-31T00:00:00".`
+      );
+    }
+    return { value };
+  },
+
+  email(value) {
+    if (typeof value !== "string") {
+      return invalid(
+        "invalid_type",
+        `Expected an email address, got ${typeOf(value)}.`
+      );
+    }
+    const email = value.trim();
+    if (!EMAIL_PATTERN.test(email)) {
+      return invalid(
+        "invalid_email",
+        `"${value}" is not a valid email address.`
+      );
+    }
+    return { value: email };
+  },
+
+  // Free-form price text; numbers are formatted ("30000" stays as given, 30000 -> "30,000")
+  // or a structured price (see pricing.js)
+  price(value) {
+    if (typeof value === "string") return { value };
+    if (typeof value === "number" && Number.isFinite(value)) {
+      return { value: value.toLocaleString("en-US") };
+    }
+    if (typeOf(value) === "object") return validateStructuredPrice(value);
+    return invalid("invalid_type", `Expected a price, got ${typeOf(value)}.`);
+  },
+
+  // ISO 4217 currency code: "USD", "eur" -> "EUR"
+  currency(value) {
+    if (typeof value !== "string" || !/^[a-z]{3}$/i.test(value.trim())) {
+      return invalid(
+        "invalid_currency",
+        `"${value}" is not a currency code like "USD".`
+      );
+    }
+    return { value: value.trim().toUpperCase() };
+  },
+
+  // Absolute http(s) URL
+  url(value) {
+    if (typeof value !== "string") {
+      return invalid("invalid_type", `Expected a URL, got ${typeOf(value)}.`);
+    }
+    if (!/^https?:\/\/[^\s/?#]+[^\s]*$/i.test(value.trim())) {
+      return invalid(
+        "invalid_url",
+        `"${value}" is not an absolute http(s) URL.`
+      );
+    }
+    return { value: value.trim() };
+  },
+
+  // Plain amount; strings like "5,000" or "5000 USD" are parsed to numbers
+  // Non-negative amounts: 25000, "25,000", "$1,500.50" (see parseAmount)
+  amount(value) {
+    const amount = parseAmount(value);
+    if (amount === null) {
+      return invalid(
+        "invalid_amount",
+        `"${value}" is not a valid amount. Use digits like 25000 or "25,000", without signs or exponents.`
+      );
+    }
+    return { value: amount };
+  },
+
+  // Features accept [{title, description}], ["Fast", "Secure"] or a newline-separated string
+  features(value) {
+    const items =
+      typeof value === "string"
+        ? value
+            .split("\n")
+            .map((item) => item.trim())
+            .filter(Boolean)
+        : value;
+    if (!Array.isArray(items)) {
+      return invalid(
+        "invalid_type",
+        `Expected a list of features, got ${typeOf(value)}.`
+      );
+    }
+    const features = [];
+    for (const item of items) {
+      if (typeof item === "string") {
+        features.push({ title: item });
+      } else if (
+        typeOf(item) === "object" &&
+        typeof item.title === "string" &&
+        (item.description === undefined ||
+          !FIELD_TYPES.text(item.description).error)
+      ) {
+        features.push(item);
+      } else {
+        return invalid(
+          "invalid_feature",
+          'Each feature must be a string or {"title": "...", "description": "..."} (description can be {"markdown": "..."}).'
+        );
+      }
+    }
+    return { value: features };
+  },
+
+  // Links accept [{title, url}] or a list of URL strings
+  links(value) {
+    if (!Array.isArray(value)) {
+      return invalid(
+        "invalid_type",
+        `Expected a list of links, got ${typeOf(value)}.`
+      );
+    }
+    const links = [];
+    for (const item of value) {
+      if (typeof item === "string") {
+        links.push({ title: item, url: item });
+      } else if (
+        typeOf(item) === "object" &&
+        typeof item.url === "string" &&
+        typeof item.title === "string"
+      ) {
+        links.push(item);
+      } else {
+        return invalid(
+          "invalid_link",
+          'Each link must be a URL string or {"title": "...", "url": "..."}.'
+        );
+      }
+    }
+    return { value: links };
+  },
+
+  // FAQ entries: [{question, answer}], each text optionally per locale
+  faq(value) {
+    if (
+      !Array.isArray(value) ||
+      !value.every(
+        (item) =>
+          typeOf(item) === "object" &&
+          isText(item.question) &&
+          isText(item.answer)
+      )
+    ) {
+      return invalid(
+        "invalid_faq",
+        'FAQ items must be a list of {"question": "...", "answer": "..."}.'
+      );
+    }
+    return { value };
+  },
+
+  // Page blocks: ["hero", {"type": "markdown", "content": "..."}] (see layout.js)
+  layout(value) {
+    if (!Array.isArray(value)) {
+      return invalid(
+        "invalid_type",
+        `Expected a list of blocks, got ${typeOf(value)}.`
+      );
+    }
+    const blocks = [];
+    for (const [index, item] of value.entries()) {
+      const block = typeof item === "string" ? { type: item } : item;
+      if (typeOf(block) !== "object" || !LAYOUT_BLOCKS[block.type]) {
+        return invalid(
+          "invalid_block",
+          `layout[${index}] must be one of ${BLOCK_TYPES.join(
+            ", "
+          )}, or an object with one of them as "type".`
+        );
+      }
+      const options = LAYOUT_BLOCKS[block.type].options || {};
+      const coerced = { type: block.type };
+      for (const [key, option] of Object.entries(block)) {
+        if (key === "type") continue;
+        if (!options[key]) {
+          return invalid(
+            "unknown_field",
+            `layout[${index}]: unknown ${block.type} option "${key}".`
+          );
+        }
+        // Options can be given per locale, like localized fields
+        const translations = isLocalizedMap(option)
+          ? Object.entries(option)
+          : [[null, option]];
+        for (const [locale, text] of translations) {
+          const { value: coercedText, error } = FIELD_TYPES[options[key]](text);
+          if (error) {
+            return invalid(
+              error.code,
+              `layout[${index}].${key}: ${error.message}`
+            );
+          }
+          if (locale) {
+            coerced[key] = { ...coerced[key], [locale]: coercedText };
+          } else {
+            coerced[key] = coercedText;
+          }
+        }
+      }
+      blocks.push(coerced);
+    }
+    return { value: blocks };
+  },
+
+  // Extra pages: {"/privacy": {"title": "...", "content": "..."}} (see pages.js)
+  pages(value) {
+    if (typeOf(value) !== "object") {
+      return invalid(
+        "invalid_type",
+        `Expected an object of pages keyed by path, got ${typeOf(value)}.`
+      );
+    }
+    for (const [path, page] of Object.entries(value)) {
+      if (!isPagePath(path)) {
+        return invalid(
+          "invalid_page",
+          `"${path}" is not a valid page path. Use paths like "/privacy" (not /, site files or /_parkour/).`
+        );
+      }
+      if (typeOf(page) !== "object") {
+        return invalid(
+          "invalid_page",
+          `pages["${path}"] must be an object with "title" and "content".`
+        );
+      }
+      const unknown = Object.keys(page).find(
+        (key) => !PAGE_FIELDS.includes(key)
+      );
+      if (unknown) {
+        return invalid(
+          "unknown_field",
+          `pages["${path}"]: unknown option "${unknown}".`
+        );
+      }
+      if (!isText(page.title) || !isText(page.content)) {
+        return invalid(
+          "invalid_page",
+          `pages["${path}"] needs "title" and "content" text (or per-locale maps of text).`
+        );
+      }
+      if (page.description !== undefined && !isText(page.description)) {
+        return invalid(
+          "invalid_page",
+          `pages["${path}"].description must be text.`
+        );
+      }
+      if (page.nav !== undefined && typeof page.nav !== "boolean") {
+        return invalid(
+          "invalid_page",
+          `pages["${path}"].nav must be true or false.`
+        );
+      }
+    }
+    return { value };
+  },
+
+  // Preset name or design tokens: {"preset": "glass", "radius": "1rem", "dark": {...}} (see theme.js)
+  theme(value) {
+    if (typeof value === "string") value = { preset: value };
+    if (typeOf(value) !== "object") {
+      return invalid(
+        "invalid_type",
+        `Expected a preset name or an object of theme tokens, got ${typeOf(
+          value
+        )}.`
+      );
+    }
+    const unknown = Object.keys(value).find(
+      (key) => !THEME_FIELDS.includes(key)
+    );
+    if (unknown) {
+      return invalid("unknown_field", `theme: unknown option "${unknown}".`);
+    }
+
+    const theme = { ...value };
+    if (value.preset !== undefined && !PRESET_NAMES.includes(value.preset)) {
+      return invalid(
+        "invalid_theme",
+        `theme.preset must be one of ${PRESET_NAMES.join(", ")}.`
+      );
+    }
+    if (value.font !== undefined && !isFont(value.font)) {
+      return invalid(
+        "invalid_theme",
+        'theme.font must be system, serif, mono, rounded or a font-family list like "Inter, sans-serif".'
+      );
+    }
+    if (typeof value.radius === "number" && value.radius >= 0) {
+      theme.radius = value.radius === 0 ? "0" : `${value.radius}px`;
+    }
+    if (theme.radius !== undefined && !isRadius(theme.radius)) {
+      return invalid(
+        "invalid_theme",
+        'theme.radius must be a length like "0", "12px" or "0.75rem".'
+      );
+    }
+    if (value.background !== undefined && !isBackground(value.background)) {
+      return invalid(
+        "invalid_theme",
+        "theme.background must be a CSS gradient or an http(s) image URL."
+      );
+    }
+    for (const scheme of SCHEMES) {
+      if (value[scheme] === undefined) continue;
+      if (typeOf(value[scheme]) !== "object") {
+        return invalid(
+          "invalid_theme",
+          `theme.${scheme} must be an object of colors (${COLOR_TOKENS.join(
+            ", "
+          )}).`
+        );
+      }
+      const colors = {};
+      for (const [token, color] of Object.entries(value[scheme])) {
+        if (!COLOR_TOKENS.includes(token)) {
+          return invalid(
+            "unknown_field",
+            `theme.${scheme}: unknown color "${token}".`
+          );
+        }
+        const { value: hex, error } = FIELD_TYPES.color(color);
+        if (error) {
+          return invalid(
+            error.code,
+            `theme.${scheme}.${token}: ${error.message}`
+          );
+        }
+        colors[token] = hex;
+      }
+      theme[scheme] = colors;
+    }
+    // A bare preset stays a string
+    return {
+      value:
+        Object.keys(theme).length === 1 && theme.preset ? theme.preset : theme,
+    };
+  },
+
+  // BCP 47 language tag: "en", "de", "pt-BR"
+  locale(value) {
+    if (!isLocaleCode(value)) {
+      return invalid(
+        "invalid_locale",
+        `"${value}" is not a language code like "en" or "pt-BR".`
+      );
+    }
+    return { value };
+  },
+
+  locales(value) {
+    if (!Array.isArray(value)) {
+      return invalid(
+        "invalid_type",
+        `Expected a list of language codes, got ${typeOf(value)}.`
+      );
+    }
+    const invalidLocale = value.find((locale) => !isLocaleCode(locale));
+    if (invalidLocale !== undefined) {
+      return FIELD_TYPES.locale(invalidLocale);
+    }
+    return { value };
+  },
+
+  // Profile names: "brokerage" or ["brokerage", "dark-blue"]
+  profiles(value) {
+    const names = typeof value === "string" ? [value] : value;
+    if (
+      !Array.isArray(names) ||
+      !names.every((name) => typeof name === "string" && name.trim())
+    ) {
+      return invalid(
+        "invalid_type",
+        `Expected a profile name or a list of profile names, got ${typeOf(
+          value
+        )}.`
+      );
+    }
+    return { value };
+  },
+
+  // Redirect rules: [{from, to, regex?, permanent?}]
+  redirectRules(value) {
+    if (!Array.isArray(value)) {
+      return invalid(
+        "invalid_type",
+        `Expected a list of redirect rules, got ${typeOf(value)}.`
+      );
+    }
+    for (const rule of value) {
+      if (
+        typeOf(rule) !== "object" ||
+        typeof rule.from !== "string" ||
+        typeof rule.to !== "string"
+      ) {
+        return invalid(
+          "invalid_redirect_rule",
+          'Each redirect rule must be {"from": "/path/*", "to": "https://..."}.'
+        );
+      }
+      if (rule.regex) {
+        try {
+          new RegExp(rule.from);
+        } catch (e) {
+          return invalid(
+            "invalid_redirect_rule",
+            `Redirect rule pattern "${rule.from}" is not a valid regular expression.`
+          );
+        }
+      }
+    }
+    return { value };
+  },
+
+  // Scheduled overrides: [{at, ...fields}] (see schedule.js)
+  schedule(value) {
+    if (!Array.isArray(value)) {
+      return invalid(
+        "invalid_type",
+        `Expected a list of scheduled overrides, got ${typeOf(value)}.`
+      );
+    }
+    for (const [index, entry] of value.entries()) {
+      if (typeOf(entry) !== "object") {
+        return invalid(
+          "invalid_schedule",
+          'Each schedule entry must be {"at": "<ISO date>", ...fields}.'
+        );
+      }
+      const at = FIELD_TYPES.date(entry.at);
+      if (entry.at === undefined || at.error) {
+        return invalid(
+          "invalid_schedule",
+          `schedule[${index}].at must be an ISO 8601 date.`
+        );
+      }
+      for (const [field, item] of Object.entries(entry)) {
+        if (field === "at") continue;
+        if (UNSCHEDULABLE_FIELDS.includes(field)) {
+          return invalid(
+            "invalid_schedule",
+            `schedule[${index}] cannot change "${field}".`
+          );
+        }
+        // Objects are merged into the config, so they can be partial;
+        // they are validated once the entry is active
+        if (typeOf(item) === "object" && !isLocalizedMap(item)) continue;
+        const { error } = validateField(field, item);
+        if (error) {
+          return invalid(
+            error.code,
+            `schedule[${index}].${field}: ${error.message}`
+          );
+        }
+      }
+    }
+    return { value };
+  },
+
+  seo(value) {
+    if (typeOf(value) !== "object") {
+      return invalid(
+        "invalid_type",
+        `Expected an object, got ${typeOf(value)}.`
+      );
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const accepted = SEO_FIELDS[key];
+      const type = isLocalizedMap(item) ? "localized" : typeOf(item);
+      if (!accepted) {
+        return invalid("unknown_field", `Unknown seo field "${key}".`);
+      }
+      if (!accepted.includes(type)) {
+        return invalid(
+          "invalid_type",
+          `seo.${key} must be ${accepted.join(" or ")}, got ${type}.`
+        );
+      }
+    }
+    return { value };
+  },
+
+  socialLinks(value) {
+    if (typeOf(value) !== "object") {
+      return invalid(
+        "invalid_type",
+        `Expected an object of {"platform": "url"}, got ${typeOf(value)}.`
+      );
+    }
+    for (const [platform, url] of Object.entries(value)) {
+      if (typeof url !== "string") {
+        return invalid(
+          "invalid_social_link",
+          `Social link "${platform}" must be a URL string.`
+        );
+      }
+    }
+    return { value };
+  },
+};
+
+/**
+ * Config schema: field name -> { type, modes?, default?, localized? }
+ * `modes` limits a field to the modes that render it; `localized` fields also
+ * accept a per-locale map ({"en": ..., "de": ...}, see i18n.js).
+ */
+export const CONFIG_SCHEMA = {
+  // Dev theme switcher label
+  name: { type: "string" },
+  // Use the config stored under another key instead (see config-lookup.js)
+  aliasOf: { type: "string" },
+  // Inherit from _profile:<name> keys (see config-lookup.js)
+  extends: { type: "profiles" },
+  mode: { type: "mode", default: "landing" },
+  domain: { type: "string" },
+  domainTitle: { type: "string", localized: true },
+  title: { type: "text", localized: true },
+  description: { type: "text", localized: true },
+  registrationDate: { type: "date" },
+  domainAgeYears: { type: "string", modes: ["parking"] },
+  domainRegistration: { type: "string", modes: ["parking"], localized: true },
+  domainExtension: { type: "string", modes: ["parking"] },
+  salePrice: { type: "price", modes: ["parking"], localized: true },
+  minimumOffer: { type: "amount", modes: ["parking"] },
+  convertPrice: { type: "boolean", modes: ["parking"], default: false },
+  offerForm: { type: "boolean", modes: ["parking"], default: true },
+  status: { type: "status", modes: ["parking"], default: "available" },
+  // Other parked domains to suggest (see similar.js)
+  similarDomains: {
+    type: "similarDomains",
+    modes: ["parking"],
+    default: false,
+  },
+  tags: { type: "tags", modes: ["parking"] },
+  // Link back to the portfolio page that lists this domain
+  portfolioUrl: { type: "url", modes: ["parking"] },
+  contactEmail: { type: "email" },
+  // Cloudflare Turnstile site key for the offer/waitlist forms
+  turnstileSiteKey: { type: "string" },
+  accentColor: { type: "color" },
+  // Preset name or design tokens (see theme.js)
+  theme: { type: "theme" },
+  colorScheme: { type: "colorScheme", default: "auto" },
+  launchDate: { type: "date", modes: ["coming-soon"] },
+  tagline: { type: "text", modes: ["coming-soon"], localized: true },
+  features: { type: "features", modes: ["coming-soon"], localized: true },
+  waitlist: { type: "boolean", modes: ["coming-soon"], default: true },
+  waitlistDoubleOptIn: {
+    type: "boolean",
+    modes: ["coming-soon"],
+    default: false,
+  },
+  socialLinks: { type: "socialLinks" },
+  subtitle: { type: "text", modes: ["landing"], localized: true },
+  links: { type: "links", modes: ["landing"], localized: true },
+  redirectUrl: { type: "url", modes: ["redirect"] },
+  redirectPermanent: { type: "boolean", modes: ["redirect"], default: false },
+  preservePath: { type: "boolean", modes: ["redirect"], default: true },
+  preserveQuery: { type: "boolean", modes: ["redirect"], default: true },
+  redirectRules: { type: "redirectRules", modes: ["redirect"] },
+  interstitial: { type: "boolean", modes: ["redirect"], default: false },
+  redirectDelay: { type: "amount", modes: ["redirect"], default: 5 },
+  footerText: { type: "text", localized: true },
+  showCredit: { type: "boolean" },
+  analytics: { type: "boolean", default: true },
+  seo: { type: "seo" },
+  robotsTxt: { type: "string" },
+  catchAll: { type: "boolean", default: false },
+  // Time-based overrides (see schedule.js)
+  schedule: { type: "schedule" },
+  // Page sections in order; defaults to the mode's preset (see layout.js)
+  layout: { type: "layout" },
+  // Extra pages keyed by path (see pages.js)
+  pages: {
+    type: "pages",
+    modes: ["parking", "coming-soon", "landing", "portfolio"],
+  },
+  defaultLocale: { type: "locale", default: "en" },
+  locales: { type: "locales" },
+};
+
+/**
+ * Check whether a value counts as "not set"
+ */
+function isUnset(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeOf(value) === "object" && Object.keys(value).length === 0)
+  );
+}
+
+/**
+ * Validate a single field value against the schema
+ * @param {string} field - Field name
+ * @param {*} value - Raw value
+ * @returns {{value?: *, error?: {code: string, message: string}}}
+ */
+function validateField(field, value) {
+  const rule = CONFIG_SCHEMA[field];
+  if (!rule) {
+    return invalid("unknown_field", `Unknown config field "${field}".`);
+  }
+
+  // Per-locale maps: validate each translation
+  if (rule.localized && isLocalizedMap(value)) {
+    const localized = {};
+    for (const [locale, item] of Object.entries(value)) {
+      const { value: coerced, error } = FIELD_TYPES[rule.type](item);
+      if (error) {
+        return invalid(error.code, `${locale}: ${error.message}`);
+      }
+      localized[locale] = coerced;
+    }
+    return { value: localized };
+  }
+
+  return FIELD_TYPES[rule.type](value);
+}
+
+/**
+ * Resolve per-locale maps in localized fields (and seo.title/description)
+ * @param {object} config - Merged config from getConfig
+ * @param {string} locale - Page locale
+ * @param {string} fallback - Domain default locale
+ * @returns {object} Config with plain values
+ */
+export function localizeConfig(config, locale, fallback) {
+  const result = { ...config };
+
+  for (const [field, rule] of Object.entries(CONFIG_SCHEMA)) {
+    if (rule.localized && result[field] !== undefined) {
+      result[field] = localizeValue(result[field], locale, fallback);
+    }
+  }
+
+  if (typeOf(result.seo) === "object") {
+    result.seo = { ...result.seo };
+    for (const key of ["title", "description"]) {
+      if (result.seo[key] !== undefined) {
+        result.seo[key] = localizeValue(result.seo[key], locale, fallback);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Report fields that are not part of the schema (usually typos)
+ * @param {object} rawConfig - Config as stored in KV/env, before merging
+ * @returns {Array<object>} Warning issues
+ */
+export function findUnknownFields(rawConfig) {
+  if (typeOf(rawConfig) !== "object") return [];
+
+  return Object.keys(rawConfig)
+    .filter((field) => !CONFIG_SCHEMA[field])
+    .map((field) => ({
+      level: "warning",
+      code: "unknown_field",
+      field,
+      message: `Unknown config field "${field}" is ignored.`,
+    }));
+}
+
+/**
+ * Check whether a block on the page reads a mode-specific field
+ */
+function layoutReads(config, field) {
+  return (config.layout || []).some((block) =>
+    (LAYOUT_BLOCKS[block.type].fields || []).includes(field)
+  );
+}
+
+/**
+ * Validate and coerce a merged config
+ * Invalid values are replaced by the field default (or removed) so templates
+ * always receive well-formed data.
+ * @param {object} config - Merged config from getConfig
+ * @returns {{config: object, issues: Array<object>}}
+ */
+export function validateConfig(config) {
+  const result = { ...config };
+  const issues = [];
+
+  // Mode and layout first: mode-specific checks below depend on them
+  const fields = [
+    "mode",
+    "layout",
+    ...Object.keys(result).filter((f) => f !== "mode" && f !== "layout"),
+  ];
+
+  for (const field of fields) {
+    const rule = CONFIG_SCHEMA[field];
+    if (!rule || isUnset(result[field])) continue;
+
+    const { value, error } = validateField(field, result[field]);
+
+    if (error) {
+      issues.push({ level: "error", field, ...error });
+      if (rule.default !== undefined) {
+        result[field] = rule.default;
+      } else {
+        delete result[field];
+      }
+      continue;
+    }
+
+    result[field] = value;
+
+    if (
+      rule.modes &&
+      !rule.modes.includes(result.mode) &&
+      value !== rule.default &&
+      !layoutReads(result, field)
+    ) {
+      issues.push({
+        level: "warning",
+        code: "unused_field",
+        field,
+        message: `"${field}" is only used in ${rule.modes.join(
+          ", "
+        )} mode and has no effect in ${result.mode} mode.`,
+      });
+    }
+  }
+
+  for (const block of result.layout || []) {
+    const modes = LAYOUT_BLOCKS[block.type].modes;
+    if (modes && !modes.includes(result.mode)) {
+      issues.push({
+        level: "warning",
+        code: "unused_block",
+        field: "layout",
+        message: `The ${block.type} block only works in ${modes.join(
+          ", "
+        )} mode and is not shown in ${result.mode} mode.`,
+      });
+    }
+  }
+
+  if (result.mode === "redirect" && !result.redirectUrl) {
+    issues.push({
+      level: "warning",
+      code: "missing_field",
+      field: "redirectUrl",
+      message:
+        "Redirect mode without a redirectUrl only forwards paths matched by redirectRules.",
+    });
+  }
+
+  return { config: result, issues };
+}
+
+/**
+ * Validate a domain config payload before it is written to KV
+ * Unknown fields and values that cannot be coerced are rejected.
+ * @param {*} payload - Parsed JSON body
+ * @returns {Array<{field: string, code: string, message: string}>} Validation errors (empty if valid)
+ */
+export function validateConfigPayload(payload) {
+  if (typeOf(payload) !== "object") {
+    return [
+      {
+        field: "",
+        code: "invalid_type",
+        message: "Config must be a JSON object.",
+      },
+    ];
+  }
+
+  const errors = [];
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (isUnset(value) && CONFIG_SCHEMA[field]) continue;
+
+    const { error } = validateField(field, value);
+    if (error) errors.push({ field, ...error });
+  }
+
+  return errors;
+}
+
+/**
+ * Summarize issues for a response header, e.g. "errors=1; warnings=2; fields=accentColor,launchDate"
+ * @param {Array<object>} issues
+ * @returns {string}
+ */
+export function summarizeIssues(issues) {
+  const errors = issues.filter((issue) => issue.level === "error").length;
+  const warnings = issues.length - errors;
+  const fields = [...new Set(issues.map((issue) => issue.field))].join(",");
+  return `errors=${errors}; warnings=${warnings}; fields=${fields}`;
+}
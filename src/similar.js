@@ -0,0 +1,73 @@
+import { listHostnames } from "./portfolio.js";
+
+/**
+ * "Similar domains available" for parking pages
+ *
+ * `similarDomains` is either a list of hostnames or `true` to pick from the
+ * other configs in DOMAIN_CONFIGS (same extension first). Each candidate is
+ * resolved with getConfig, like the portfolio (see portfolio.js), so title,
+ * status and price match the domain's own page. Only parking pages with
+ * status "available" are shown.
+ */
+
+const MAX_SIMILAR = 6;
+// Configs loaded per page view when picking automatically
+const MAX_CANDIDATES = 12;
+
+/**
+ * Extension of a hostname ("example.co.uk" -> "uk")
+ */
+function extensionOf(hostname) {
+  return hostname.split(".").pop();
+}
+
+/**
+ * Pick candidate hostnames from the DOMAIN_CONFIGS keys
+ */
+async function listCandidates(kv, domain) {
+  const hostnames = (await listHostnames(kv)).filter((name) => name !== domain);
+
+  const extension = extensionOf(domain);
+  return [
+    ...hostnames.filter((name) => extensionOf(name) === extension),
+    ...hostnames.filter((name) => extensionOf(name) !== extension),
+  ];
+}
+
+/**
+ * Load the similar domains to show on a parking page
+ * @param {object} cfg - Final domain config (similarDomains, domain)
+ * @param {object} env - Environment variables and KV bindings
+ * @param {(hostname: string) => Promise<{config: object}>} loadConfig - getConfig for another host
+ * @returns {Promise<Array<{domain: string, title: string, price: string|null}>>}
+ */
+export async function findSimilarDomains(cfg, env, loadConfig) {
+  const kv = env.DOMAIN_CONFIGS;
+  if (!kv || !cfg.similarDomains) return [];
+
+  try {
+    const candidates = Array.isArray(cfg.similarDomains)
+      ? cfg.similarDomains.filter((name) => name !== cfg.domain)
+      : await listCandidates(kv, cfg.domain);
+
+    const results = await Promise.all(
+      candidates.slice(0, MAX_CANDIDATES).map(async (hostname) => {
+        const { config } = await loadConfig(hostname);
+        if (config.mode !== "parking" || config.status !== "available") {
+          return null;
+        }
+
+        return {
+          domain: hostname,
+          title: config.domainTitle || hostname,
+          price: config.price ? config.price.display : null,
+        };
+      })
+    );
+
+    return results.filter(Boolean).slice(0, MAX_SIMILAR);
+  } catch (e) {
+    console.error(`[Similar] Error loading similar domains: ${e.message}`);
+    return [];
+  }
+}
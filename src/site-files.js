@@ -0,0 +1,169 @@
+import { escapeHtml } from "./templates/escape.js";
+import { pagePaths } from "./pages.js";
+import { hexColor } from "./colors.js";
+import { OFFER_ROUTE } from "./leads.js";
+import { WAITLIST_ROUTE } from "./waitlist.js";
+import { COLLECT_ROUTE } from "./analytics.js";
+
+/**
+ * Well-known site files generated from the domain config
+ *
+ *   /robots.txt                   robotsTxt override, or generated (honours seo.noindex)
+ *                                 APIs and form routes are disallowed; the
+ *                                 stylesheet and the OG card stay crawlable
+ *   /sitemap.xml                  Main page and extra pages (see pages.js)
+ *   /.well-known/security.txt     RFC 9116, built from contactEmail
+ *   /favicon.svg                  Initial letter on the accent color
+ *   /favicon.ico                  Empty 404: there is no raster icon, and
+ *                                 pages link the SVG one
+ */
+
+const SECURITY_TXT_TTL_DAYS = 365;
+
+// Worker routes crawlers have no business with (prefixes)
+const DISALLOWED_ROUTES = [
+  "/_parkour/api/",
+  OFFER_ROUTE,
+  WAITLIST_ROUTE,
+  COLLECT_ROUTE,
+];
+
+/**
+ * Base URL for absolute links in site files
+ */
+function siteUrl(cfg) {
+  return `https://${cfg.domain}`;
+}
+
+/**
+ * Build a plain-text response
+ */
+function textResponse(
+  body,
+  contentType,
+  cacheControl = "public, max-age=3600"
+) {
+  return new Response(body, {
+    headers: {
+      "content-type": `${contentType};charset=UTF-8`,
+      "cache-control": cacheControl,
+    },
+  });
+}
+
+/**
+ * Generate robots.txt
+ */
+function renderRobotsTxt(cfg) {
+  if (cfg.robotsTxt) return cfg.robotsTxt;
+
+  if (cfg.seo && cfg.seo.noindex) {
+    return "User-agent: *\nDisallow: /\n";
+  }
+
+  return [
+    "User-agent: *",
+    "Allow: /",
+    ...DISALLOWED_ROUTES.map((route) => `Disallow: ${route}`),
+    "",
+    `Sitemap: ${siteUrl(cfg)}/sitemap.xml`,
+    "",
+  ].join("\n");
+}
+
+/**
+ * Generate sitemap.xml
+ */
+function renderSitemap(cfg) {
+  const urls =
+    cfg.seo && cfg.seo.noindex
+      ? []
+      : ["/", ...pagePaths(cfg)].map((path) => `${siteUrl(cfg)}${path}`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map((url) => `  <url><loc>${escapeHtml(url)}</loc></url>`).join("\n")}
+</urlset>
+`;
+}
+
+/**
+ * Generate security.txt (RFC 9116)
+ * @returns {string|null} null when there is no contact address
+ */
+function renderSecurityTxt(cfg) {
+  if (!cfg.contactEmail) return null;
+
+  const expires = new Date(
+    Date.now() + SECURITY_TXT_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+  // Round to the start of the day so the file is stable within a day
+  expires.setUTCHours(0, 0, 0, 0);
+
+  return [
+    `Contact: mailto:${cfg.contactEmail}`,
+    `Expires: ${expires.toISOString()}`,
+    "Preferred-Languages: en",
+    `Canonical: ${siteUrl(cfg)}/.well-known/security.txt`,
+    "",
+  ].join("\n");
+}
+
+/**
+ * Generate the favicon: the first letter of the domain on the accent color
+ * @param {object} cfg - Final domain config
+ * @returns {string} SVG markup
+ */
+export function renderFavicon(cfg) {
+  const accent = hexColor(cfg.accentColor, "#3b82f6");
+  const letter = (cfg.domainTitle || cfg.domain || "?")
+    .trim()
+    .charAt(0)
+    .toUpperCase();
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">
+  <rect width="64" height="64" rx="14" fill="${accent}"/>
+  <text x="32" y="44" text-anchor="middle" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif" font-size="36" font-weight="700" fill="#ffffff">${escapeHtml(
+    letter
+  )}</text>
+</svg>`;
+}
+
+/**
+ * Serve a well-known site file, if the path is one
+ * @param {URL} url - Request URL
+ * @param {object} cfg - Final domain config
+ * @returns {Response|null} null if the path is not a site file (or the file does not apply)
+ */
+export function handleSiteFile(url, cfg) {
+  switch (url.pathname) {
+    case "/robots.txt":
+      return textResponse(renderRobotsTxt(cfg), "text/plain");
+
+    case "/sitemap.xml":
+      return textResponse(renderSitemap(cfg), "application/xml");
+
+    case "/.well-known/security.txt":
+    case "/security.txt": {
+      const securityTxt = renderSecurityTxt(cfg);
+      return securityTxt ? textResponse(securityTxt, "text/plain") : null;
+    }
+
+    case "/favicon.svg":
+      return textResponse(
+        renderFavicon(cfg),
+        "image/svg+xml",
+        "public, max-age=86400"
+      );
+
+    // Browsers ask for it by default; answer without rendering a 404 page
+    case "/favicon.ico":
+      return new Response(null, {
+        status: 404,
+        headers: { "cache-control": "public, max-age=86400" },
+      });
+
+    default:
+      return null;
+  }
+}
@@ -1,13 +1,43 @@
-import coreStyles from "../styles/core.css?raw";
+import { STYLESHEET_PATH } from "../assets.js";
+import { COLLECT_ROUTE } from "../analytics.js";
+import { TOKEN_FIELD, TURNSTILE_SCRIPT_URL } from "../protection.js";
+import { escapeAttr, escapeHtml, jsString, jsonScript } from "./escape.js";
+import { renderSeoTags } from "./seo.js";
+import { t, textDirection } from "../i18n.js";
+import { hexColor, parseColor } from "../colors.js";
+import {
+  initialColorScheme,
+  isLockedColorScheme,
+  renderThemeStyles,
+} from "../theme.js";
 
 /**
- * Convert hex color to RGB values
+ * Convert a color (hex, rgb(), hsl() or a color name) to RGB values
  */
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result
-    ? `${parseInt(result[1], 16)}, ${parseInt(result[2], 16)}, ${parseInt(result[3], 16)}`
-    : '59, 130, 246'; // Default blue RGB
+function hexToRgb(color) {
+  const rgb = parseColor(color);
+  return rgb ? rgb.join(', ') : '59, 130, 246'; // Default blue RGB
+}
+
+/**
+ * Render the dark/light toggle (left out when the color scheme is locked)
+ */
+function renderThemeToggle(locale) {
+  return `
+    <!-- Theme Toggle - Minimalist -->
+    <div class="fixed top-6 end-6 z-50">
+        <button id="theme-toggle"
+                class="p-2 rounded-md dark:text-gray-400 text-gray-600 dark:hover:text-gray-200 hover:text-gray-900 dark:hover:bg-gray-800 hover:bg-gray-100 transition-all duration-200"
+                aria-label="${escapeAttr(t(locale, "theme.toggle"))}">
+            <svg id="theme-toggle-dark-icon" class="hidden w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                <path d="M17.293 13.293A8 8 0 016.707 2.707a8.001 8.001 0 1010.586 10.586z"></path>
+            </svg>
+            <svg id="theme-toggle-light-icon" class="hidden w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                <path d="M10 2a1 1 0 011 1v1a1 1 0 11-2 0V3a1 1 0 011-1zm4 8a4 4 0 11-8 0 4 4 0 018 0zm-.464 4.95l.707.707a1 1 0 001.414-1.414l-.707-.707a1 1 0 00-1.414 1.414zm2.12-10.607a1 1 0 010 1.414l-.706.707a1 1 0 11-1.414-1.414l.707-.707a1 1 0 011.414 0zM17 11a1 1 0 100-2h-1a1 1 0 100 2h1zm-7 4a1 1 0 011 1v1a1 1 0 11-2 0v-1a1 1 0 011-1zM5.05 6.464A1 1 0 106.465 5.05l-.708-.707a1 1 0 00-1.414 1.414l.707.707zm1.414 8.486l-.707.707a1 1 0 01-1.414-1.414l.707-.707a1 1 0 011.414 1.414zM4 11a1 1 0 100-2H3a1 1 0 000 2h1z" fill-rule="evenodd" clip-rule="evenodd"></path>
+            </svg>
+        </button>
+    </div>
+  `;
 }
 
 /**
@@ -18,16 +48,16 @@ function renderThemeSwitcher(allThemes) {
 
   return `
     <!-- Theme Switcher (Dev Mode Only) -->
-    <div class="fixed top-6 left-6 z-50">
+    <div class="fixed top-6 start-6 z-50">
       <div class="relative">
         <select id="theme-switcher"
-                class="px-4 py-2 pr-8 rounded-md dark:bg-gray-800 bg-white dark:text-gray-200 text-gray-800 border dark:border-gray-700 border-gray-300 text-sm font-medium appearance-none cursor-pointer hover:dark:bg-gray-700 hover:bg-gray-50 transition-all duration-200"
+                class="px-4 py-2 pe-8 rounded-md dark:bg-gray-800 bg-white dark:text-gray-200 text-gray-800 border dark:border-gray-700 border-gray-300 text-sm font-medium appearance-none cursor-pointer hover:dark:bg-gray-700 hover:bg-gray-50 transition-all duration-200"
                 style="min-width: 200px;">
           ${allThemes.map((theme, index) => `
-            <option value="${index}">${theme.name}</option>
+            <option value="${index}">${escapeHtml(theme.name)}</option>
           `).join('')}
         </select>
-        <div class="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 dark:text-gray-400 text-gray-600">
+        <div class="pointer-events-none absolute inset-y-0 end-0 flex items-center px-2 dark:text-gray-400 text-gray-600">
           <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
           </svg>
@@ -37,92 +67,180 @@ function renderThemeSwitcher(allThemes) {
   `;
 }
 
+/**
+ * Render click tracking script
+ * Sends an anonymous beacon for clicks on elements marked with data-track
+ */
+function renderAnalyticsScript(analytics) {
+  if (!analytics) return '';
+
+  return `
+        // Click analytics - no cookies, just the target type and label
+        document.addEventListener('click', function(event) {
+            const el = event.target.closest('[data-track]');
+            if (!el || !navigator.sendBeacon) return;
+            navigator.sendBeacon(${jsString(COLLECT_ROUTE)}, JSON.stringify({
+                target: el.dataset.track,
+                label: el.dataset.trackLabel || '',
+            }));
+        });
+  `;
+}
+
+/**
+ * Render form time-token script
+ * Adds the signed render time to every POST form (checked in protection.js)
+ */
+function renderFormTokenScript(formToken) {
+  if (!formToken) return '';
+
+  return `
+        // Signed render time - lets the server reject instant bot submissions
+        document.querySelectorAll('form[method="POST"]').forEach(function(form) {
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = ${jsString(TOKEN_FIELD)};
+            input.value = ${jsString(formToken)};
+            form.appendChild(input);
+        });
+  `;
+}
+
+/**
+ * Render config diagnostics panel for dev mode
+ * @param {Array<object>} issues - Validation issues from getConfig
+ */
+function renderDiagnosticsPanel(issues) {
+  if (!issues || issues.length === 0) return '';
+
+  const errorCount = issues.filter((issue) => issue.level === 'error').length;
+  const warningCount = issues.length - errorCount;
+
+  return `
+    <!-- Config Diagnostics (Dev Mode Only) -->
+    <details class="fixed bottom-6 start-6 z-50 max-w-md text-xs rounded-md border dark:border-gray-700 border-gray-300 dark:bg-gray-900 bg-white dark:text-gray-300 text-gray-700 shadow-lg" open>
+      <summary class="px-3 py-2 cursor-pointer font-medium">
+        Config: ${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'}
+      </summary>
+      <ul class="px-3 pb-3 space-y-1.5">
+        ${issues.map((issue) => `
+        <li>
+          <span class="font-semibold ${issue.level === 'error' ? 'text-red-500' : 'text-yellow-500'}">${issue.level}</span>
+          <code class="dark:text-gray-400 text-gray-500">${escapeHtml(issue.field)}</code>
+          <span class="dark:text-gray-500 text-gray-400">(${escapeHtml(issue.code)})</span>
+          <div>${escapeHtml(issue.message)}</div>
+        </li>
+        `).join('')}
+      </ul>
+    </details>
+  `;
+}
+
 export function renderBase({
   title,
   accentColor,
+  theme = null,
+  colorScheme = "auto",
+  systemScheme = null,
   content,
   scripts = "",
   additionalStyles = "",
   allThemes = null,
+  diagnostics = null,
+  analytics = false,
+  seo = null,
+  locale = "en",
+  formToken = null,
+  turnstileSiteKey = null,
 }) {
-  const accent = accentColor || "#3b82f6";
-  const accentRgb = hexToRgb(accent);
+  // Colors reach the <style> block as hex; anything unparseable falls back to the default
+  const accent = hexColor(accentColor, "#3b82f6");
+  const accentRgb = hexToRgb(accentColor);
+  const isDark = initialColorScheme(colorScheme, systemScheme) === "dark";
 
   return `<!DOCTYPE html>
-<html lang="en" class="dark">
+<html lang="${escapeAttr(locale)}" dir="${textDirection(locale)}"${isDark ? ' class="dark"' : ''}>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
-    <script src="https://cdn.tailwindcss.com"></script>
+    <title>${escapeHtml(seo ? seo.title : title)}</title>
+    ${renderSeoTags(seo)}
+    <link rel="stylesheet" href="${STYLESHEET_PATH}">
     <script>
-        tailwind.config = {
-            darkMode: 'class',
-        }
+        // Color scheme before the first paint: the visitor's choice, else the config's
+        (function() {
+            const colorScheme = ${jsString(colorScheme)};
+            if (colorScheme.endsWith('-only')) return;
+            const savedScheme = localStorage.getItem('theme');
+            const systemDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+            const scheme = savedScheme || (colorScheme === 'auto' ? (systemDark ? 'dark' : 'light') : colorScheme);
+            document.documentElement.classList.toggle('dark', scheme === 'dark');
+        })();
     </script>
+    ${turnstileSiteKey ? `<script src="${TURNSTILE_SCRIPT_URL}" async defer></script>` : ''}
     <style>
         :root {
             --accent-color: ${accent};
             --accent-color-rgb: ${accentRgb};
         }
 
-        ${coreStyles}
+        ${renderThemeStyles(theme)}
 
         ${additionalStyles}
     </style>
 </head>
-<body class="min-h-screen dark:bg-[#191919] bg-white transition-colors duration-300">
+<body class="min-h-screen bg-page transition-colors duration-300">
 
     <!-- Theme Switcher (Dev Mode) -->
     ${renderThemeSwitcher(allThemes)}
 
-    <!-- Theme Toggle - Minimalist -->
-    <div class="fixed top-6 right-6 z-50">
-        <button id="theme-toggle"
-                class="p-2 rounded-md dark:text-gray-400 text-gray-600 dark:hover:text-gray-200 hover:text-gray-900 dark:hover:bg-gray-800 hover:bg-gray-100 transition-all duration-200"
-                aria-label="Toggle theme">
-            <svg id="theme-toggle-dark-icon" class="hidden w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                <path d="M17.293 13.293A8 8 0 016.707 2.707a8.001 8.001 0 1010.586 10.586z"></path>
-            </svg>
-            <svg id="theme-toggle-light-icon" class="hidden w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                <path d="M10 2a1 1 0 011 1v1a1 1 0 11-2 0V3a1 1 0 011-1zm4 8a4 4 0 11-8 0 4 4 0 018 0zm-.464 4.95l.707.707a1 1 0 001.414-1.414l-.707-.707a1 1 0 00-1.414 1.414zm2.12-10.607a1 1 0 010 1.414l-.706.707a1 1 0 11-1.414-1.414l.707-.707a1 1 0 011.414 0zM17 11a1 1 0 100-2h-1a1 1 0 100 2h1zm-7 4a1 1 0 011 1v1a1 1 0 11-2 0v-1a1 1 0 011-1zM5.05 6.464A1 1 0 106.465 5.05l-.708-.707a1 1 0 00-1.414 1.414l.707.707zm1.414 8.486l-.707.707a1 1 0 01-1.414-1.414l.707-.707a1 1 0 011.414 1.414zM4 11a1 1 0 100-2H3a1 1 0 000 2h1z" fill-rule="evenodd" clip-rule="evenodd"></path>
-            </svg>
-        </button>
-    </div>
+    <!-- Config Diagnostics (Dev Mode) -->
+    ${renderDiagnosticsPanel(diagnostics)}
+
+    ${isLockedColorScheme(colorScheme) ? '' : renderThemeToggle(locale)}
 
     ${content}
 
     <script>
         // Embed theme data for dev mode
-        ${allThemes ? `window.__ALL_THEMES__ = ${JSON.stringify(allThemes)};` : ''}
+        ${allThemes ? `window.__ALL_THEMES__ = ${jsonScript(allThemes)};` : ''}
 
-        // Dark mode toggle
+        // Dark mode toggle (not rendered when the color scheme is locked)
         const themeToggleBtn = document.getElementById('theme-toggle');
-        const themeToggleDarkIcon = document.getElementById('theme-toggle-dark-icon');
-        const themeToggleLightIcon = document.getElementById('theme-toggle-light-icon');
-
-        const currentTheme = localStorage.getItem('theme') || 'dark';
+        if (themeToggleBtn) {
+            const colorScheme = ${jsString(colorScheme)};
+            const systemDark = window.matchMedia('(prefers-color-scheme: dark)');
+            const themeToggleDarkIcon = document.getElementById('theme-toggle-dark-icon');
+            const themeToggleLightIcon = document.getElementById('theme-toggle-light-icon');
 
-        if (currentTheme === 'dark') {
-            document.documentElement.classList.add('dark');
-            themeToggleLightIcon.classList.remove('hidden');
-        } else {
-            document.documentElement.classList.remove('dark');
-            themeToggleDarkIcon.classList.remove('hidden');
-        }
+            // Show the icon of the scheme a click switches to
+            function showThemeToggleIcon() {
+                const isDark = document.documentElement.classList.contains('dark');
+                themeToggleLightIcon.classList.toggle('hidden', !isDark);
+                themeToggleDarkIcon.classList.toggle('hidden', isDark);
+            }
+            showThemeToggleIcon();
 
-        themeToggleBtn.addEventListener('click', function() {
-            themeToggleDarkIcon.classList.toggle('hidden');
-            themeToggleLightIcon.classList.toggle('hidden');
+            themeToggleBtn.addEventListener('click', function() {
+                const scheme = document.documentElement.classList.toggle('dark') ? 'dark' : 'light';
+                // In auto mode, picking the system scheme goes back to following it
+                if (colorScheme === 'auto' && scheme === (systemDark.matches ? 'dark' : 'light')) {
+                    localStorage.removeItem('theme');
+                } else {
+                    localStorage.setItem('theme', scheme);
+                }
+                showThemeToggleIcon();
+            });
 
-            if (document.documentElement.classList.contains('dark')) {
-                document.documentElement.classList.remove('dark');
-                localStorage.setItem('theme', 'light');
-            } else {
-                document.documentElement.classList.add('dark');
-                localStorage.setItem('theme', 'dark');
+            // Follow system changes in auto mode until the visitor picks a scheme
+            if (colorScheme === 'auto') {
+                systemDark.addEventListener('change', function(event) {
+                    if (localStorage.getItem('theme')) return;
+                    document.documentElement.classList.toggle('dark', event.matches);
+                    showThemeToggleIcon();
+                });
             }
-        });
+        }
 
         // Theme switcher for dev mode
         const themeSwitcher = document.getElementById('theme-switcher');
@@ -147,6 +265,10 @@ export function renderBase({
             });
         }
 
+        ${renderAnalyticsScript(analytics)}
+
+        ${renderFormTokenScript(formToken)}
+
         ${scripts}
     </script>
 </body>
@@ -0,0 +1,1476 @@
+import {
+  renderSocialLinks,
+  renderFooter,
+  renderHoneypot,
+  renderTurnstile,
+} from "./components.js";
+import { renderMarkdown } from "./markdown.js";
+import {
+  escapeAttr,
+  escapeHtml,
+  jsString,
+  plainText,
+  renderText,
+  safeUrl,
+} from "./escape.js";
+import { layoutFor } from "../layout.js";
+import { pageLinks } from "../pages.js";
+import { OFFER_ROUTE } from "../leads.js";
+import { WAITLIST_ROUTE } from "../waitlist.js";
+import { minimumOfferFor } from "../pricing.js";
+import { localizeValue, t, tHtml } from "../i18n.js";
+
+/**
+ * Page blocks
+ *
+ * Each block renders one section of a page from the config and its own
+ * options (see layout.js for the list and the mode presets). A block that
+ * has nothing to show renders "", and only the blocks on the page add their
+ * scripts and styles.
+ */
+
+// Where a block takes the `slot` block after it (escaped text can't contain it)
+const BLOCK_SLOT = "<!-- block slot -->";
+
+// Locale key and badge dot color per sale status
+const STATUS_DISPLAY = {
+  available: { key: "available", dot: "bg-green-500" },
+  "under-offer": { key: "underOffer", dot: "bg-yellow-500" },
+  sold: { key: "sold", dot: "bg-red-500" },
+  "not-for-sale": { key: "notForSale", dot: "bg-gray-500" },
+};
+
+/**
+ * Check whether the domain is still for sale (price, offers)
+ */
+export function isAvailable(cfg) {
+  return cfg.status === "available";
+}
+
+/**
+ * Check whether the page takes offers through the form
+ */
+function acceptsOffers(cfg) {
+  return cfg.mode === "parking" && cfg.offerForm && isAvailable(cfg);
+}
+
+/**
+ * Check whether the contact button is shown (kept while under offer for backup offers)
+ */
+function showsContact(cfg) {
+  return (
+    Boolean(cfg.contactEmail) &&
+    (isAvailable(cfg) || cfg.status === "under-offer")
+  );
+}
+
+/**
+ * Generate the sale status badge
+ */
+function renderStatusBadge(cfg) {
+  const display = STATUS_DISPLAY[cfg.status] || STATUS_DISPLAY.available;
+
+  return `
+                <div class="inline-flex items-center gap-2 px-3 py-1.5 rounded-full border dark:border-gray-800 border-gray-200 dark:bg-gray-900/50 bg-gray-50 mb-8">
+                    <div class="w-1.5 h-1.5 rounded-full ${display.dot}"></div>
+                    <span class="text-xs font-medium dark:text-gray-400 text-gray-600">${escapeHtml(t(cfg.locale, `status.${display.key}`))}</span>
+                </div>`;
+}
+
+/**
+ * Generate the note explaining why the domain can't be bought
+ */
+function renderStatusNote(cfg) {
+  if (cfg.mode !== "parking" || isAvailable(cfg)) return "";
+  const display = STATUS_DISPLAY[cfg.status];
+  if (!display) return "";
+
+  return `
+                    <p class="text-base font-medium dark:text-gray-300 text-gray-700">
+                        ${escapeHtml(t(cfg.locale, `status.${display.key}Note`))}
+                    </p>`;
+}
+
+/**
+ * Generate the badge above the domain name
+ * A `badge` option replaces the mode's badge; "" hides it.
+ */
+function renderHeroBadge(cfg, options) {
+  // Coming soon pages fade the badge in on its own
+  const fade = cfg.mode === "coming-soon" ? " fade-in" : "";
+
+  if (options.badge !== undefined) {
+    if (options.badge === "") return "";
+    return `
+                <div class="inline-flex items-center gap-2 px-3 py-1.5 rounded-full border dark:border-gray-800 border-gray-200 dark:bg-gray-900/50 bg-gray-50 mb-8${fade}">
+                    <div class="w-1.5 h-1.5 rounded-full bg-green-500"></div>
+                    <span class="text-xs font-medium dark:text-gray-400 text-gray-600">${renderText(options.badge)}</span>
+                </div>`;
+  }
+
+  if (cfg.mode === "parking") return renderStatusBadge(cfg);
+  if (cfg.mode === "coming-soon") {
+    return `
+                <div class="inline-flex items-center gap-2 px-3 py-1.5 rounded-full border dark:border-gray-800 border-gray-200 dark:bg-gray-900/50 bg-gray-50 mb-8${fade}">
+                    <div class="w-1.5 h-1.5 rounded-full bg-yellow-500 animate-pulse"></div>
+                    <span class="text-xs font-medium dark:text-gray-400 text-gray-600">${escapeHtml(t(cfg.locale, "comingSoon.badge"))}</span>
+                </div>`;
+  }
+  return "";
+}
+
+/**
+ * Generate the badge, domain name and registration note
+ */
+function renderHero(cfg, options) {
+  const size =
+    cfg.mode === "portfolio"
+      ? "text-4xl sm:text-5xl"
+      : "text-4xl sm:text-5xl md:text-6xl";
+  const heading = `
+                <h1 class="${size} font-bold tracking-tight dark:text-white text-gray-900 mb-4 accent-underline">
+                    ${escapeHtml(options.title || cfg.domainTitle)}
+                </h1>`;
+
+  return `
+                ${renderHeroBadge(cfg, options)}
+
+                <!-- Domain Name -->
+                ${
+                  cfg.mode === "coming-soon"
+                    ? `<div class="fade-in">${heading}
+                </div>`
+                    : heading
+                }
+
+                ${
+                  cfg.mode === "parking" && cfg.domainRegistration
+                    ? `
+                <!-- Registration Note -->
+                <p class="text-xs dark:text-gray-600 text-gray-400 mt-2">
+                    ${escapeHtml(cfg.domainRegistration)}
+                </p>
+                `
+                    : ""
+                }`;
+}
+
+/**
+ * Generate the title and description, arranged the way each mode shows them
+ * `title` and `description` options replace the config values. On parking
+ * pages the price is shown in the description group (see BLOCK_SLOT).
+ */
+function renderIntro(cfg, options) {
+  const title = options.title !== undefined ? options.title : cfg.title;
+  const description =
+    options.description !== undefined ? options.description : cfg.description;
+
+  if (cfg.mode === "parking") {
+    return `
+                <!-- Title -->
+                <h2 class="text-xl sm:text-2xl font-semibold dark:text-gray-200 text-gray-800 mt-12 mb-4">
+                    ${renderText(title)}
+                </h2>
+
+                <!-- Description & Price -->
+                <div class="space-y-3 mb-8">
+                    <div class="text-base dark:text-gray-400 text-gray-600 max-w-xl mx-auto">
+                        ${renderText(description)}
+                    </div>
+                    ${renderStatusNote(cfg)}
+                    ${BLOCK_SLOT}
+                </div>`;
+  }
+
+  if (cfg.mode === "coming-soon") {
+    return `
+                ${
+                  cfg.tagline
+                    ? `
+                <!-- Tagline -->
+                <h2 class="text-xl sm:text-2xl font-semibold dark:text-gray-200 text-gray-800 mt-8 mb-4 fade-in-delay-1">
+                    ${renderText(cfg.tagline)}
+                </h2>
+                `
+                    : ""
+                }
+
+                <!-- Title/Subtitle -->
+                <div class="text-base sm:text-lg dark:text-gray-400 text-gray-600 max-w-2xl mx-auto fade-in-delay-1">
+                    ${renderText(title)}
+                </div>
+
+                ${
+                  description
+                    ? `
+                <!-- Description -->
+                <div class="text-sm dark:text-gray-500 text-gray-500 max-w-xl mx-auto mt-3 fade-in-delay-1">
+                    ${renderText(description)}
+                </div>
+                `
+                    : ""
+                }`;
+  }
+
+  // Landing and portfolio pages: a lighter header under the domain name
+  const subtitle = cfg.mode === "landing" ? cfg.subtitle : null;
+  const descriptionClasses =
+    cfg.mode === "portfolio"
+      ? "text-sm dark:text-gray-500 text-gray-500 mt-3 max-w-xl mx-auto"
+      : "text-sm dark:text-gray-600 text-gray-400 mt-3 max-w-lg mx-auto leading-relaxed";
+  return `
+                ${
+                  title
+                    ? `
+                <div class="text-lg sm:text-xl dark:text-gray-400 text-gray-600 mt-6">
+                    ${renderText(title)}
+                </div>
+                `
+                    : ""
+                }
+
+                ${
+                  subtitle
+                    ? `
+                <div class="text-base dark:text-gray-500 text-gray-500 mt-3 max-w-xl mx-auto">
+                    ${renderText(subtitle)}
+                </div>
+                `
+                    : ""
+                }
+
+                ${
+                  description
+                    ? `
+                <div class="${descriptionClasses}">
+                    ${renderText(description)}
+                </div>
+                `
+                    : ""
+                }`;
+}
+
+/**
+ * Generate the domain stats badges
+ */
+function renderDomainStats(cfg) {
+  const stats = [];
+
+  if (cfg.domainAgeYears) {
+    stats.push({
+      label: t(cfg.locale, "parking.yearsOld"),
+      value: cfg.domainAgeYears,
+    });
+  }
+
+  if (cfg.domainExtension) {
+    stats.push({
+      label: t(cfg.locale, "parking.extension"),
+      value: cfg.domainExtension,
+    });
+  }
+
+  stats.push({ label: t(cfg.locale, "parking.seoReady"), value: "✓" });
+
+  return `
+    <div class="flex flex-wrap justify-center gap-3 mt-8">
+      ${stats
+        .map(
+          (stat) => `
+        <div class="stat-badge px-4 py-2 rounded-lg border dark:border-gray-800 border-gray-200 dark:bg-transparent bg-white">
+          <div class="text-sm font-semibold dark:text-white text-gray-900">${escapeHtml(stat.value)}</div>
+          <div class="text-xs dark:text-gray-500 text-gray-500 mt-0.5">${escapeHtml(stat.label)}</div>
+        </div>
+      `
+        )
+        .join("")}
+    </div>`;
+}
+
+/**
+ * Generate the sale price with its conversion and terms
+ * In the slot of a parking intro it joins the description group.
+ */
+function renderPrice(cfg, options, inSlot) {
+  const price = cfg.price;
+  if (cfg.mode !== "parking" || !price || !isAvailable(cfg)) return "";
+
+  const terms = [];
+  if (price.negotiable) {
+    terms.push(t(cfg.locale, "price.negotiable"));
+  }
+  if (price.leaseToOwn) {
+    terms.push(
+      price.leaseToOwn.months
+        ? t(cfg.locale, "price.leaseToOwnMonths", {
+            amount: price.leaseToOwn.display,
+            months: price.leaseToOwn.months,
+          })
+        : t(cfg.locale, "price.leaseToOwn", { amount: price.leaseToOwn.display })
+    );
+  }
+
+  const lines = `
+                    <p class="text-lg dark:text-gray-300 text-gray-700">
+                        ${tHtml(cfg.locale, "parking.availableFor", {
+                          price: `<strong class="price-highlight dark:text-white text-gray-900">${escapeHtml(price.display)}</strong>`,
+                        })}
+                        ${
+                          price.converted
+                            ? `<span class="text-sm dark:text-gray-500 text-gray-500">(≈ ${escapeHtml(price.converted.display)})</span>`
+                            : ""
+                        }
+                    </p>
+                    ${
+                      terms.length > 0
+                        ? `
+                    <p class="text-sm dark:text-gray-500 text-gray-500">
+                        ${terms.map(escapeHtml).join(" · ")}
+                    </p>
+                    `
+                        : ""
+                    }`;
+
+  return inSlot
+    ? lines
+    : `
+                <div class="space-y-3 mt-3">${lines}
+                </div>`;
+}
+
+/**
+ * Generate the call-to-action button
+ * Without a `url` option it is the contact button (mailto added by script).
+ */
+function renderCta(cfg, options) {
+  const url = safeUrl(options.url);
+  if (!url && !showsContact(cfg)) return "";
+
+  const label = options.label || t(cfg.locale, "parking.getInTouch");
+  const target = url
+    ? `href="${escapeAttr(url)}" data-track="link" data-track-label="${escapeAttr(label)}"`
+    : 'href="#" data-track="contact"';
+
+  // Parking pages keep the spacing they had under the description group
+  const spacing = cfg.mode === "parking" ? "pt-4" : "mt-8 pt-4";
+
+  return `
+                <div class="${spacing} fade-in-delay-2">
+                    <a ${target}
+                       class="${url ? "" : "contact-link "}accent-button inline-flex items-center justify-center gap-2 px-6 py-3 rounded-lg text-white font-medium">
+                        <span>${escapeHtml(label)}</span>
+                        <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            ${
+                              url
+                                ? '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path>'
+                                : '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"></path>'
+                            }
+                        </svg>
+                    </a>
+                </div>`;
+}
+
+/**
+ * Generate email protection script
+ */
+function renderEmailScript(cfg) {
+  if (!showsContact(cfg)) return "";
+
+  return `
+    // Email protection - inject mailto links via JavaScript
+    (function() {
+        const user = ${jsString(cfg.contactEmail.split("@")[0])};
+        const domain = ${jsString(cfg.contactEmail.split("@")[1])};
+        const email = user + '@' + domain;
+        document.querySelectorAll('.contact-link').forEach(function(link) {
+            link.href = 'mailto:' + email;
+        });
+    })();
+  `;
+}
+
+/**
+ * Generate the buyer offer form
+ */
+function renderOfferForm(cfg) {
+  if (!acceptsOffers(cfg)) return "";
+
+  const minimumOffer = minimumOfferFor(cfg);
+  const currency = cfg.price && cfg.price.currency;
+  // Carry the page language so server messages come back in it
+  const action = `${OFFER_ROUTE}?lang=${encodeURIComponent(cfg.locale || "en")}`;
+  const inputClasses =
+    "w-full px-3 py-2 rounded-lg border dark:border-gray-800 border-gray-200 dark:bg-transparent bg-white dark:text-gray-200 text-gray-900 text-sm focus:outline-none offer-input";
+
+  return `
+    <!-- Offer Form -->
+    <div id="offer-container" class="max-w-md mx-auto mt-10 text-start">
+      <form id="offer-form" action="${escapeAttr(action)}" method="POST" class="space-y-3" novalidate>
+        <div class="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label for="offer-name" class="block text-xs dark:text-gray-500 text-gray-500 mb-1">${escapeHtml(t(cfg.locale, "offer.name"))}</label>
+            <input id="offer-name" name="name" type="text" required maxlength="100" autocomplete="name" class="${inputClasses}">
+            <p class="offer-error hidden text-xs text-red-500 mt-1" data-field="name"></p>
+          </div>
+          <div>
+            <label for="offer-email" class="block text-xs dark:text-gray-500 text-gray-500 mb-1">${escapeHtml(t(cfg.locale, "offer.email"))}</label>
+            <input id="offer-email" name="email" type="email" required maxlength="254" autocomplete="email" class="${inputClasses}">
+            <p class="offer-error hidden text-xs text-red-500 mt-1" data-field="email"></p>
+          </div>
+        </div>
+        <div>
+          <label for="offer-amount" class="block text-xs dark:text-gray-500 text-gray-500 mb-1">${escapeHtml(t(cfg.locale, "offer.amount"))}${currency ? ` (${escapeHtml(currency)})` : ""}</label>
+          <input id="offer-amount" name="offer" type="number" required step="any" ${
+            minimumOffer !== null ? `min="${minimumOffer}"` : 'min="1"'
+          } inputmode="decimal" class="${inputClasses}">
+          <p class="offer-error hidden text-xs text-red-500 mt-1" data-field="offer"></p>
+        </div>
+        <div>
+          <label for="offer-message" class="block text-xs dark:text-gray-500 text-gray-500 mb-1">${escapeHtml(t(cfg.locale, "offer.message"))}</label>
+          <textarea id="offer-message" name="message" rows="3" maxlength="2000" class="${inputClasses}"></textarea>
+          <p class="offer-error hidden text-xs text-red-500 mt-1" data-field="message"></p>
+        </div>
+        ${renderHoneypot()}
+        ${renderTurnstile(cfg.turnstileSiteKey)}
+        <p id="offer-status" class="hidden text-sm dark:text-gray-400 text-gray-600"></p>
+        <button type="submit" class="accent-button w-full inline-flex items-center justify-center gap-2 px-6 py-3 rounded-lg text-white font-medium">
+          <span>${escapeHtml(t(cfg.locale, "offer.submit"))}</span>
+        </button>
+      </form>
+      <div id="offer-success" class="hidden text-center px-4 py-6 rounded-lg border dark:border-gray-800 border-gray-200">
+        <p class="text-base font-semibold dark:text-white text-gray-900">${escapeHtml(t(cfg.locale, "offer.received"))}</p>
+        <p id="offer-success-message" class="text-sm dark:text-gray-400 text-gray-600 mt-1"></p>
+      </div>
+    </div>`;
+}
+
+/**
+ * Generate offer form submission script (submits without reloading the page)
+ */
+function renderOfferScript(cfg) {
+  if (!acceptsOffers(cfg)) return "";
+
+  const failedMessage = jsString(t(cfg.locale, "offer.failed"));
+
+  return `
+    // Offer form - submit via fetch and show the result in place
+    (function() {
+        const form = document.getElementById('offer-form');
+        if (!form) return;
+
+        const status = document.getElementById('offer-status');
+        const button = form.querySelector('button[type="submit"]');
+
+        function showStatus(message) {
+            status.textContent = message;
+            status.classList.toggle('hidden', !message);
+        }
+
+        function showFieldErrors(errors) {
+            form.querySelectorAll('.offer-error').forEach(function(el) {
+                const message = errors[el.dataset.field];
+                el.textContent = message || '';
+                el.classList.toggle('hidden', !message);
+            });
+        }
+
+        form.addEventListener('submit', async function(event) {
+            event.preventDefault();
+            showFieldErrors({});
+            showStatus('');
+            button.disabled = true;
+
+            try {
+                const response = await fetch(form.action, {
+                    method: 'POST',
+                    headers: { 'content-type': 'application/json' },
+                    body: JSON.stringify(Object.fromEntries(new FormData(form).entries())),
+                });
+                const result = await response.json();
+
+                if (result.ok) {
+                    form.classList.add('hidden');
+                    document.getElementById('offer-success-message').textContent = result.message;
+                    document.getElementById('offer-success').classList.remove('hidden');
+                    return;
+                }
+
+                if (result.error && result.error.details) {
+                    showFieldErrors(result.error.details);
+                }
+                showStatus(result.message || (result.error && result.error.message) || ${failedMessage});
+                // Turnstile tokens are single-use
+                if (window.turnstile) window.turnstile.reset();
+            } catch (e) {
+                showStatus(${failedMessage});
+            } finally {
+                button.disabled = false;
+            }
+        });
+    })();
+  `;
+}
+
+/**
+ * Generate the countdown HTML
+ */
+function renderCountdown(cfg) {
+  if (!cfg.launchDate) return "";
+
+  return `
+    <!-- Countdown Timer -->
+    <div id="countdown" class="flex justify-center gap-3 sm:gap-6 mt-12">
+      <div class="px-4 py-3 rounded-lg border dark:border-gray-800 border-gray-200 dark:bg-transparent bg-white">
+        <div class="text-3xl sm:text-4xl font-bold dark:text-white text-gray-900" id="days">00</div>
+        <div class="text-xs dark:text-gray-500 text-gray-500 mt-1 text-center">${escapeHtml(t(cfg.locale, "comingSoon.days"))}</div>
+      </div>
+      <div class="px-4 py-3 rounded-lg border dark:border-gray-800 border-gray-200 dark:bg-transparent bg-white">
+        <div class="text-3xl sm:text-4xl font-bold dark:text-white text-gray-900" id="hours">00</div>
+        <div class="text-xs dark:text-gray-500 text-gray-500 mt-1 text-center">${escapeHtml(t(cfg.locale, "comingSoon.hours"))}</div>
+      </div>
+      <div class="px-4 py-3 rounded-lg border dark:border-gray-800 border-gray-200 dark:bg-transparent bg-white">
+        <div class="text-3xl sm:text-4xl font-bold dark:text-white text-gray-900" id="minutes">00</div>
+        <div class="text-xs dark:text-gray-500 text-gray-500 mt-1 text-center">${escapeHtml(t(cfg.locale, "comingSoon.minutes"))}</div>
+      </div>
+      <div class="px-4 py-3 rounded-lg border dark:border-gray-800 border-gray-200 dark:bg-transparent bg-white">
+        <div class="text-3xl sm:text-4xl font-bold dark:text-white text-gray-900" id="seconds">00</div>
+        <div class="text-xs dark:text-gray-500 text-gray-500 mt-1 text-center">${escapeHtml(t(cfg.locale, "comingSoon.seconds"))}</div>
+      </div>
+    </div>`;
+}
+
+/**
+ * Generate the countdown JavaScript
+ */
+function renderCountdownScript(cfg) {
+  if (!cfg.launchDate) return "";
+
+  return `
+    // Countdown Timer
+    const launchDate = new Date(${jsString(cfg.launchDate)}).getTime();
+
+    function updateCountdown() {
+      const now = new Date().getTime();
+      const distance = launchDate - now;
+
+      if (distance < 0) {
+        document.getElementById('countdown').innerHTML = '<div class="text-2xl dark:text-white text-black font-bold">' + ${jsString(escapeHtml(t(cfg.locale, "comingSoon.live")))} + '</div>';
+        return;
+      }
+
+      const days = Math.floor(distance / (1000 * 60 * 60 * 24));
+      const hours = Math.floor((distance % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+      const minutes = Math.floor((distance % (1000 * 60 * 60)) / (1000 * 60));
+      const seconds = Math.floor((distance % (1000 * 60)) / 1000);
+
+      document.getElementById('days').textContent = days.toString().padStart(2, '0');
+      document.getElementById('hours').textContent = hours.toString().padStart(2, '0');
+      document.getElementById('minutes').textContent = minutes.toString().padStart(2, '0');
+      document.getElementById('seconds').textContent = seconds.toString().padStart(2, '0');
+    }
+
+    updateCountdown();
+    setInterval(updateCountdown, 1000);
+  `;
+}
+
+/**
+ * Generate the waitlist signup form
+ */
+function renderWaitlistForm(cfg) {
+  if (cfg.mode !== "coming-soon" || !cfg.waitlist) return "";
+
+  // Carry the page language so server messages come back in it
+  const action = `${WAITLIST_ROUTE}?lang=${encodeURIComponent(cfg.locale || "en")}`;
+
+  return `
+    <!-- Waitlist Signup -->
+    <div id="waitlist-container" class="max-w-md mx-auto mt-12">
+      <p class="text-sm font-medium dark:text-gray-300 text-gray-700 mb-3">${escapeHtml(t(cfg.locale, "waitlist.title"))}</p>
+      <form id="waitlist-form" action="${escapeAttr(action)}" method="POST" class="space-y-3" novalidate>
+        <div class="flex flex-col sm:flex-row gap-2">
+          <label for="waitlist-email" class="sr-only">${escapeHtml(t(cfg.locale, "offer.email"))}</label>
+          <input id="waitlist-email" name="email" type="email" required maxlength="254" autocomplete="email" placeholder="you@example.com"
+                 class="flex-1 px-3 py-2 rounded-lg border dark:border-gray-800 border-gray-200 dark:bg-transparent bg-white dark:text-gray-200 text-gray-900 text-sm focus:outline-none">
+          <button type="submit" class="accent-button inline-flex items-center justify-center px-5 py-2 rounded-lg text-white text-sm font-medium">
+            ${escapeHtml(t(cfg.locale, "waitlist.submit"))}
+          </button>
+        </div>
+        ${renderHoneypot()}
+        ${renderTurnstile(cfg.turnstileSiteKey)}
+      </form>
+      <p id="waitlist-status" class="hidden text-sm dark:text-gray-400 text-gray-600 mt-3" role="status"></p>
+    </div>`;
+}
+
+/**
+ * Generate the waitlist form script (submits without reloading the page)
+ */
+function renderWaitlistScript(cfg) {
+  if (cfg.mode !== "coming-soon" || !cfg.waitlist) return "";
+
+  const failedMessage = jsString(t(cfg.locale, "waitlist.failed"));
+
+  return `
+    // Waitlist form - submit via fetch and show the result in place
+    (function() {
+        const form = document.getElementById('waitlist-form');
+        if (!form) return;
+
+        const status = document.getElementById('waitlist-status');
+        const button = form.querySelector('button[type="submit"]');
+
+        function showStatus(message) {
+            status.textContent = message;
+            status.classList.toggle('hidden', !message);
+        }
+
+        // Result of a confirmation link (see handleWaitlistConfirm)
+        const confirmMessages = {
+            '#waitlist-confirmed': ${jsString(t(cfg.locale, "waitlist.confirmed"))},
+            '#waitlist-invalid': ${jsString(t(cfg.locale, "waitlist.invalidLink"))},
+        };
+        if (confirmMessages[window.location.hash]) {
+            showStatus(confirmMessages[window.location.hash]);
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+
+        form.addEventListener('submit', async function(event) {
+            event.preventDefault();
+            showStatus('');
+            button.disabled = true;
+
+            try {
+                const response = await fetch(form.action, {
+                    method: 'POST',
+                    headers: { 'content-type': 'application/json' },
+                    body: JSON.stringify(Object.fromEntries(new FormData(form).entries())),
+                });
+                const result = await response.json();
+
+                if (result.ok) {
+                    form.classList.add('hidden');
+                } else if (window.turnstile) {
+                    // Turnstile tokens are single-use
+                    window.turnstile.reset();
+                }
+                showStatus(result.message || (result.error && result.error.message) || ${failedMessage});
+            } catch (e) {
+                showStatus(${failedMessage});
+            } finally {
+                button.disabled = false;
+            }
+        });
+    })();
+  `;
+}
+
+/**
+ * Generate the features section
+ */
+function renderFeatures(cfg, options) {
+  const features = options.items || cfg.features;
+  if (!features || features.length === 0) return "";
+
+  const cards = features
+    .map(
+      (feature) => `
+      <div class="p-4 rounded-lg border dark:border-gray-800 border-gray-200 dark:bg-transparent bg-white text-start">
+        <div class="text-sm font-semibold dark:text-white text-gray-900 mb-1">${escapeHtml(
+          feature.title || feature
+        )}</div>
+        ${
+          feature.description
+            ? `<div class="text-xs dark:text-gray-500 text-gray-600">${renderText(feature.description)}</div>`
+            : ""
+        }
+      </div>
+      `
+    )
+    .join("");
+
+  if (!options.title) {
+    return `
+    <div class="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-3 max-w-3xl mx-auto mt-12">
+      ${cards}
+    </div>`;
+  }
+
+  return `
+    <div class="max-w-3xl mx-auto mt-12">
+      <h3 class="text-xs font-semibold uppercase tracking-wider dark:text-gray-500 text-gray-500 text-center mb-4">${escapeHtml(options.title)}</h3>
+      <div class="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-3">
+      ${cards}
+      </div>
+    </div>`;
+}
+
+/**
+ * Generate the links section with minimalist cards
+ */
+function renderLinks(cfg, options) {
+  // Drop links whose URL uses a disallowed scheme (e.g. javascript:)
+  const safeLinks = (options.items || cfg.links || [])
+    .map((link) => ({ ...link, url: safeUrl(link.url) }))
+    .filter((link) => link.url);
+
+  if (safeLinks.length === 0) return "";
+
+  return `
+    <div class="flex flex-col gap-2 mt-12 max-w-xl mx-auto">
+      ${safeLinks
+        .map(
+          (link) => `
+      <a href="${escapeAttr(link.url)}" target="_blank" rel="noopener noreferrer"
+         class="link-card group relative flex items-center justify-between px-4 py-3 rounded-md dark:bg-transparent bg-transparent"
+         data-track="link" data-track-label="${escapeAttr(link.title)}">
+        <span class="text-sm font-medium dark:text-gray-300 text-gray-700">${escapeHtml(link.title)}</span>
+        <svg class="arrow-icon w-3.5 h-3.5 dark:text-gray-600 text-gray-400 transition-all" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path>
+        </svg>
+      </a>
+      `
+        )
+        .join("")}
+    </div>`;
+}
+
+/**
+ * Generate the list of other parked domains that are for sale
+ */
+function renderSimilarDomains(cfg) {
+  if (!cfg.similar || cfg.similar.length === 0) return "";
+
+  return `
+    <!-- Similar Domains -->
+    <div class="max-w-md mx-auto mt-16 text-start">
+      <h3 class="text-xs font-semibold uppercase tracking-wider dark:text-gray-500 text-gray-500 text-center mb-4">${escapeHtml(t(cfg.locale, "parking.similar"))}</h3>
+      <ul class="space-y-2">
+        ${cfg.similar
+          .map(
+            (item) => `
+        <li>
+          <a href="https://${escapeAttr(item.domain)}/" data-track="similar" data-track-label="${escapeAttr(item.domain)}"
+             class="stat-badge flex items-center justify-between gap-4 px-4 py-3 rounded-lg border dark:border-gray-800 border-gray-200 dark:bg-transparent bg-white">
+            <span class="text-sm font-medium dark:text-white text-gray-900">${escapeHtml(item.title)}</span>
+            ${item.price ? `<span class="text-sm dark:text-gray-400 text-gray-600">${escapeHtml(item.price)}</span>` : ""}
+          </a>
+        </li>`
+          )
+          .join("")}
+      </ul>
+    </div>`;
+}
+
+/**
+ * Generate the link back to the portfolio page
+ */
+function renderPortfolioLink(cfg) {
+  if (!cfg.portfolioUrl) return "";
+
+  return `
+                <!-- Portfolio Link -->
+                <div class="mt-10 fade-in-delay-2">
+                    <a href="${escapeAttr(cfg.portfolioUrl)}" data-track="portfolio" data-track-label="back"
+                       class="text-sm font-medium dark:text-gray-400 text-gray-600 hover:underline">
+                        ${escapeHtml(t(cfg.locale, "parking.viewPortfolio"))}
+                    </a>
+                </div>`;
+}
+
+/**
+ * Values offered by a portfolio filter, in display order
+ */
+function distinctValues(items, pick) {
+  return [...new Set(items.flatMap(pick))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Generate the portfolio search, filter and sort controls
+ */
+function renderPortfolioControls(cfg, items) {
+  const extensions = distinctValues(items, (item) =>
+    item.extension ? [item.extension] : []
+  );
+  const tags = distinctValues(items, (item) => item.tags);
+  const selectClasses =
+    "px-3 py-2 rounded-lg border dark:border-gray-800 border-gray-200 dark:bg-gray-900 bg-white dark:text-gray-200 text-gray-900 text-sm focus:outline-none portfolio-input";
+  const sorts = [
+    ["name", "portfolio.sortName"],
+    ["price-asc", "portfolio.sortPriceAsc"],
+    ["price-desc", "portfolio.sortPriceDesc"],
+    ["age", "portfolio.sortAge"],
+  ];
+
+  return `
+    <div class="flex flex-col sm:flex-row flex-wrap gap-3 mb-8">
+      <input id="portfolio-search" type="search" placeholder="${escapeAttr(t(cfg.locale, "portfolio.search"))}" aria-label="${escapeAttr(t(cfg.locale, "portfolio.search"))}"
+             class="flex-1 min-w-0 ${selectClasses}">
+      ${
+        extensions.length > 1
+          ? `
+      <select id="portfolio-extension" aria-label="${escapeAttr(t(cfg.locale, "portfolio.allExtensions"))}" class="${selectClasses}">
+        <option value="">${escapeHtml(t(cfg.locale, "portfolio.allExtensions"))}</option>
+        ${extensions.map((extension) => `<option value="${escapeAttr(extension)}">${escapeHtml(extension)}</option>`).join("")}
+      </select>`
+          : ""
+      }
+      ${
+        tags.length > 0
+          ? `
+      <select id="portfolio-tag" aria-label="${escapeAttr(t(cfg.locale, "portfolio.allTags"))}" class="${selectClasses}">
+        <option value="">${escapeHtml(t(cfg.locale, "portfolio.allTags"))}</option>
+        ${tags.map((tag) => `<option value="${escapeAttr(tag)}">${escapeHtml(tag)}</option>`).join("")}
+      </select>`
+          : ""
+      }
+      <select id="portfolio-sort" aria-label="${escapeAttr(t(cfg.locale, "portfolio.sortBy"))}" class="${selectClasses}">
+        ${sorts.map(([value, key]) => `<option value="${value}">${escapeHtml(t(cfg.locale, key))}</option>`).join("")}
+      </select>
+    </div>`;
+}
+
+/**
+ * Generate one portfolio domain card
+ * Filter and sort values are carried in data attributes for the script.
+ */
+function renderPortfolioCard(cfg, item) {
+  const search = [item.domain, item.title, plainText(item.headline), ...item.tags]
+    .join(" ")
+    .toLowerCase();
+
+  return `
+      <a href="https://${escapeAttr(item.domain)}/" data-track="portfolio" data-track-label="${escapeAttr(item.domain)}"
+         class="portfolio-card flex flex-col gap-3 p-5 rounded-lg border dark:border-gray-800 border-gray-200 dark:bg-transparent bg-white text-start"
+         data-name="${escapeAttr(item.domain)}"
+         data-extension="${escapeAttr(item.extension)}"
+         data-tags="${escapeAttr(JSON.stringify(item.tags))}"
+         data-price="${item.priceAmount !== null ? item.priceAmount : ""}"
+         data-age="${item.age !== null ? item.age : ""}"
+         data-search="${escapeAttr(search)}">
+        <div class="flex items-start justify-between gap-3">
+          <span class="text-lg font-semibold dark:text-white text-gray-900 break-all">${escapeHtml(item.title)}</span>
+          ${
+            item.status === "under-offer"
+              ? `<span class="shrink-0 px-2 py-0.5 rounded-full text-xs font-medium border dark:border-gray-700 border-gray-300 dark:text-gray-400 text-gray-600">${escapeHtml(t(cfg.locale, "status.underOffer"))}</span>`
+              : ""
+          }
+        </div>
+        ${
+          item.headline
+            ? `<p class="text-sm dark:text-gray-400 text-gray-600">${escapeHtml(plainText(item.headline))}</p>`
+            : ""
+        }
+        <div class="flex flex-wrap items-center gap-2 text-xs dark:text-gray-500 text-gray-500">
+          ${item.extension ? `<span>${escapeHtml(item.extension)}</span>` : ""}
+          ${item.ageLabel ? `<span>· ${escapeHtml(item.ageLabel)} ${escapeHtml(t(cfg.locale, "parking.yearsOld"))}</span>` : ""}
+          ${item.tags.map((tag) => `<span class="px-2 py-0.5 rounded-full dark:bg-gray-900 bg-gray-100">${escapeHtml(tag)}</span>`).join("")}
+        </div>
+        <div class="mt-auto pt-2 text-sm font-semibold portfolio-price">
+          ${escapeHtml(item.price || t(cfg.locale, "portfolio.makeOffer"))}
+        </div>
+      </a>`;
+}
+
+/**
+ * Generate the portfolio listing
+ */
+function renderPortfolio(cfg) {
+  const items = cfg.portfolio || [];
+
+  if (items.length === 0) {
+    return `
+                <p class="text-center text-sm dark:text-gray-500 text-gray-500 py-12">
+                    ${escapeHtml(t(cfg.locale, "portfolio.empty"))}
+                </p>`;
+  }
+
+  return `
+                ${renderPortfolioControls(cfg, items)}
+                <div id="portfolio-grid" class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                    ${items.map((item) => renderPortfolioCard(cfg, item)).join("")}
+                </div>
+                <p id="portfolio-no-matches" class="hidden text-center text-sm dark:text-gray-500 text-gray-500 py-12">
+                    ${escapeHtml(t(cfg.locale, "portfolio.noMatches"))}
+                </p>`;
+}
+
+/**
+ * Generate the portfolio filter/sort script
+ * The state is mirrored in the query string (?q=&ext=&tag=&sort=) so
+ * filtered views can be shared.
+ */
+function renderPortfolioScript(cfg) {
+  if (!cfg.portfolio || cfg.portfolio.length === 0) return "";
+
+  return `
+    // Portfolio - search, filter and sort the cards in place
+    (function() {
+        const grid = document.getElementById('portfolio-grid');
+        if (!grid) return;
+
+        const cards = Array.from(grid.children);
+        const controls = {
+            q: document.getElementById('portfolio-search'),
+            ext: document.getElementById('portfolio-extension'),
+            tag: document.getElementById('portfolio-tag'),
+            sort: document.getElementById('portfolio-sort'),
+        };
+        const noMatches = document.getElementById('portfolio-no-matches');
+
+        // Missing prices and ages sort last
+        function numberOf(card, key, missing) {
+            const value = card.dataset[key];
+            return value === '' ? missing : Number(value);
+        }
+
+        const comparators = {
+            name: function(a, b) { return a.dataset.name.localeCompare(b.dataset.name); },
+            'price-asc': function(a, b) { return numberOf(a, 'price', Infinity) - numberOf(b, 'price', Infinity); },
+            'price-desc': function(a, b) { return numberOf(b, 'price', -Infinity) - numberOf(a, 'price', -Infinity); },
+            age: function(a, b) { return numberOf(b, 'age', -Infinity) - numberOf(a, 'age', -Infinity); },
+        };
+
+        function value(control) {
+            return control ? control.value : '';
+        }
+
+        function update() {
+            const query = value(controls.q).trim().toLowerCase();
+            const ext = value(controls.ext);
+            const tag = value(controls.tag);
+            let shown = 0;
+
+            cards.forEach(function(card) {
+                const visible =
+                    (!query || card.dataset.search.includes(query)) &&
+                    (!ext || card.dataset.extension === ext) &&
+                    (!tag || JSON.parse(card.dataset.tags).includes(tag));
+                card.classList.toggle('hidden', !visible);
+                if (visible) shown++;
+            });
+
+            const compare = comparators[value(controls.sort)] || comparators.name;
+            cards.slice().sort(function(a, b) {
+                return compare(a, b) || comparators.name(a, b);
+            }).forEach(function(card) {
+                grid.appendChild(card);
+            });
+            noMatches.classList.toggle('hidden', shown > 0);
+
+            const params = new URLSearchParams(location.search);
+            Object.keys(controls).forEach(function(key) {
+                const current = value(controls[key]);
+                if (current && !(key === 'sort' && current === 'name')) {
+                    params.set(key, current);
+                } else {
+                    params.delete(key);
+                }
+            });
+            const search = params.toString();
+            history.replaceState(null, '', location.pathname + (search ? '?' + search : ''));
+        }
+
+        // Restore a shared view
+        const initial = new URLSearchParams(location.search);
+        Object.keys(controls).forEach(function(key) {
+            const control = controls[key];
+            if (!control || !initial.has(key)) return;
+            control.value = initial.get(key);
+            // Unknown option values leave a select empty
+            if (control.tagName === 'SELECT' && control.selectedIndex === -1) {
+                control.selectedIndex = 0;
+            }
+        });
+
+        Object.keys(controls).forEach(function(key) {
+            if (controls[key]) {
+                controls[key].addEventListener(key === 'q' ? 'input' : 'change', update);
+            }
+        });
+        update();
+    })();
+  `;
+}
+
+/**
+ * Generate a Markdown text section
+ */
+function renderMarkdownBlock(cfg, options) {
+  const html = renderMarkdown(options.content);
+  if (!html) return "";
+
+  return `
+                <div class="markdown-block max-w-xl mx-auto mt-12 text-start text-base dark:text-gray-400 text-gray-600">
+                    ${html}
+                </div>`;
+}
+
+/**
+ * Generate an image with an optional caption
+ */
+function renderImage(cfg, options) {
+  const src = safeUrl(options.src);
+  if (!src) return "";
+
+  return `
+                <figure class="mt-12">
+                    <img src="${escapeAttr(src)}" alt="${escapeAttr(options.alt || "")}" loading="lazy"
+                         class="mx-auto max-h-96 rounded-lg border dark:border-gray-800 border-gray-200">
+                    ${
+                      options.caption
+                        ? `<figcaption class="text-xs dark:text-gray-500 text-gray-500 mt-3">${renderText(options.caption)}</figcaption>`
+                        : ""
+                    }
+                </figure>`;
+}
+
+/**
+ * Generate a list of questions that expand to their answers
+ * Answers are Markdown.
+ */
+function renderFaq(cfg, options) {
+  const items = (options.items || []).map((item) => ({
+    question: localizeValue(item.question, cfg.locale, cfg.defaultLocale),
+    answer: localizeValue(item.answer, cfg.locale, cfg.defaultLocale),
+  }));
+  if (items.length === 0) return "";
+
+  return `
+                <div class="max-w-xl mx-auto mt-12 text-start">
+                    ${
+                      options.title
+                        ? `<h3 class="text-xs font-semibold uppercase tracking-wider dark:text-gray-500 text-gray-500 text-center mb-4">${escapeHtml(options.title)}</h3>`
+                        : ""
+                    }
+                    ${items
+                      .map(
+                        (item) => `
+                    <details class="faq-item border-b dark:border-gray-800 border-gray-200">
+                        <summary class="cursor-pointer py-3 text-sm font-medium dark:text-gray-200 text-gray-800">${escapeHtml(item.question)}</summary>
+                        <div class="markdown-block pb-4 text-sm dark:text-gray-400 text-gray-600">${renderMarkdown(item.answer)}</div>
+                    </details>`
+                      )
+                      .join("")}
+                </div>`;
+}
+
+/**
+ * Default footer text for each mode
+ */
+function defaultFooterText(cfg) {
+  switch (cfg.mode) {
+    case "coming-soon":
+      return t(
+        cfg.locale,
+        cfg.launchDate ? "comingSoon.footerLaunch" : "comingSoon.footer"
+      );
+    case "landing":
+      return cfg.domainTitle;
+    case "portfolio":
+      return t(cfg.locale, "portfolio.footer");
+    default:
+      return isAvailable(cfg)
+        ? t(cfg.locale, "parking.footer")
+        : t(cfg.locale, "status.footer", { domain: cfg.domainTitle });
+  }
+}
+
+/**
+ * Generate the footer, with links to the domain's extra pages
+ * The `text` option replaces footerText for this page.
+ */
+function renderFooterBlock(cfg, options) {
+  const text =
+    options.text !== undefined
+      ? options.text
+      : cfg.footerText !== undefined
+      ? cfg.footerText
+      : defaultFooterText(cfg);
+
+  return renderFooter(
+    text,
+    cfg.showCredit !== false,
+    cfg.locale,
+    pageLinks(cfg)
+  );
+}
+
+/**
+ * Stat badges (also used for the similar domains list)
+ */
+const statBadgeStyles = `
+    /* Stat badge hover effects with accent color */
+    .stat-badge {
+        transition: all 0.3s ease;
+        position: relative;
+        overflow: hidden;
+    }
+
+    .stat-badge::before {
+        content: '';
+        position: absolute;
+        top: 0;
+        left: 0;
+        right: 0;
+        height: 2px;
+        background: var(--accent-color);
+        transform: scaleX(0);
+        transition: transform 0.3s ease;
+    }
+
+    .stat-badge:hover::before {
+        transform: scaleX(1);
+    }
+
+    .stat-badge:hover {
+        border-color: var(--accent-color);
+        box-shadow: 0 4px 12px rgba(var(--accent-color-rgb), 0.15);
+    }
+
+    .dark .stat-badge:hover {
+        background: rgba(255, 255, 255, 0.02) !important;
+    }
+`;
+
+const priceStyles = `
+    /* Accent color highlights for price */
+    .price-highlight {
+        color: var(--accent-color) !important;
+        position: relative;
+        display: inline-block;
+        font-weight: 700;
+        text-shadow: 0 0 30px rgba(var(--accent-color-rgb), 0.3);
+    }
+
+    .dark .price-highlight {
+        color: var(--accent-color) !important;
+    }
+`;
+
+const offerFormStyles = `
+    /* Offer form inputs pick up the accent color on focus */
+    .offer-input:focus {
+        border-color: var(--accent-color);
+        box-shadow: 0 0 0 3px rgba(var(--accent-color-rgb), 0.15);
+    }
+`;
+
+const linkStyles = `
+    /* Subtle minimal link cards */
+    a.link-card {
+        transition: all 0.2s ease;
+        border: 1px solid transparent;
+        position: relative;
+        overflow: hidden;
+    }
+
+    /* Subtle accent border on hover */
+    a.link-card::before {
+        content: '';
+        position: absolute;
+        bottom: 0;
+        left: 0;
+        right: 0;
+        height: 1px;
+        background: var(--accent-color);
+        opacity: 0;
+        transition: opacity 0.2s ease;
+    }
+
+    a.link-card:hover::before {
+        opacity: 0.5;
+    }
+
+    a.link-card:hover {
+        border-color: rgba(var(--accent-color-rgb), 0.3);
+        background: transparent !important;
+    }
+
+    .dark a.link-card:hover {
+        background: rgba(255, 255, 255, 0.02) !important;
+    }
+
+    /* Accent color for link arrow on hover */
+    a.link-card:hover .arrow-icon {
+        color: var(--accent-color);
+        transform: translateX(3px);
+    }
+
+    /* Point the arrow the other way in right-to-left layouts */
+    [dir="rtl"] a.link-card .arrow-icon {
+        transform: scaleX(-1);
+    }
+
+    [dir="rtl"] a.link-card:hover .arrow-icon {
+        transform: scaleX(-1) translateX(3px);
+    }
+
+    /* Smooth text color transition */
+    a.link-card span {
+        transition: color 0.2s ease;
+    }
+
+    a.link-card:hover span {
+        color: var(--accent-color);
+    }
+
+    .dark a.link-card:hover span {
+        color: var(--accent-color);
+    }
+`;
+
+const portfolioStyles = `
+    /* Cards pick up the accent color on hover */
+    .portfolio-card {
+        transition: all 0.2s ease;
+    }
+
+    .portfolio-card:hover {
+        border-color: var(--accent-color);
+        box-shadow: 0 4px 12px rgba(var(--accent-color-rgb), 0.15);
+    }
+
+    .dark .portfolio-card:hover {
+        background: rgba(255, 255, 255, 0.02) !important;
+    }
+
+    .portfolio-price {
+        color: var(--accent-color);
+    }
+
+    .portfolio-input:focus {
+        border-color: var(--accent-color);
+        box-shadow: 0 0 0 3px rgba(var(--accent-color-rgb), 0.15);
+    }
+`;
+
+// Tailwind resets element styles, so Markdown output needs its own
+export const markdownStyles = `
+    .markdown-block > * + * {
+        margin-top: 0.75rem;
+    }
+
+    .markdown-block h2,
+    .markdown-block h3,
+    .markdown-block h4 {
+        font-weight: 600;
+    }
+
+    .markdown-block h2 {
+        font-size: 1.25rem;
+    }
+
+    .markdown-block h3 {
+        font-size: 1.125rem;
+    }
+
+    .markdown-block h2::before {
+        content: none;
+    }
+
+    .markdown-block ul {
+        list-style: disc;
+        padding-inline-start: 1.25rem;
+    }
+
+    .markdown-block ol {
+        list-style: decimal;
+        padding-inline-start: 1.25rem;
+    }
+
+    .markdown-block a {
+        color: var(--accent-color);
+    }
+
+    .markdown-block code {
+        font-size: 0.875em;
+        padding: 0.1em 0.3em;
+        border-radius: 0.25rem;
+        background: rgba(127, 127, 127, 0.15);
+    }
+`;
+
+/**
+ * Block registry: type -> { render, script?, styles?, fade?, form?, unique?, aligned?, slot? }
+ * `fade` is the entrance animation class, `form` marks blocks that need the
+ * form token and Turnstile, and `unique` blocks (fixed element ids) are only
+ * rendered once per page. `aligned` blocks lay out their own text (others
+ * are centered on pages without a main wrapper), and `slot` blocks go into
+ * the slot of the block right before them when it has one.
+ */
+export const BLOCKS = {
+  // The hero and intro animate through their mode's wrappers (MODE_FRAMES)
+  hero: { render: renderHero },
+  intro: { render: renderIntro },
+  stats: {
+    render: renderDomainStats,
+    styles: statBadgeStyles,
+    fade: "fade-in-delay-1",
+  },
+  price: { render: renderPrice, styles: priceStyles, slot: true },
+  // The button and the portfolio link carry their fade-in themselves
+  cta: { render: renderCta, script: renderEmailScript },
+  offerForm: {
+    render: renderOfferForm,
+    script: renderOfferScript,
+    styles: offerFormStyles,
+    fade: "fade-in-delay-2",
+    form: true,
+    unique: true,
+  },
+  countdown: {
+    render: renderCountdown,
+    script: renderCountdownScript,
+    fade: "fade-in-delay-2",
+    unique: true,
+  },
+  waitlist: {
+    render: renderWaitlistForm,
+    script: renderWaitlistScript,
+    fade: "fade-in-delay-2",
+    form: true,
+    unique: true,
+  },
+  features: { render: renderFeatures, fade: "fade-in-delay-3" },
+  links: {
+    render: renderLinks,
+    styles: linkStyles,
+    fade: "fade-in-delay-1",
+    aligned: true,
+  },
+  similar: {
+    render: renderSimilarDomains,
+    styles: statBadgeStyles,
+    fade: "fade-in-delay-2",
+  },
+  portfolioLink: { render: renderPortfolioLink },
+  portfolio: {
+    render: renderPortfolio,
+    script: renderPortfolioScript,
+    styles: portfolioStyles,
+    fade: "fade-in-delay-1",
+    unique: true,
+    aligned: true,
+  },
+  social: {
+    render: (cfg) => renderSocialLinks(cfg.socialLinks),
+    fade: "fade-in-delay-2",
+    aligned: true,
+  },
+  markdown: {
+    render: renderMarkdownBlock,
+    styles: markdownStyles,
+    fade: "fade-in-delay-2",
+  },
+  image: { render: renderImage, fade: "fade-in-delay-2" },
+  faq: { render: renderFaq, styles: markdownStyles, fade: "fade-in-delay-2" },
+  // The footer has its own fade-in and stays out of the main wrapper
+  footer: { render: renderFooterBlock, aligned: true },
+};
+
+/**
+ * Wrappers per mode, as the pages were laid out before layouts existed
+ * `main` wraps the blocks up to the footer, and `header` is shared by the
+ * hero and intro blocks next to each other.
+ */
+const MODE_FRAMES = {
+  parking: { main: "text-center fade-in" },
+  "coming-soon": { main: "text-center" },
+  landing: { header: "text-center mb-16 fade-in" },
+  portfolio: { header: "text-center mb-12 fade-in" },
+};
+
+/**
+ * Resolve per-locale maps in a block's options
+ */
+function blockOptions(block, cfg) {
+  const options = {};
+  for (const [key, value] of Object.entries(block)) {
+    if (key !== "type") {
+      options[key] = localizeValue(value, cfg.locale, cfg.defaultLocale);
+    }
+  }
+  return options;
+}
+
+/**
+ * Get the wrapper a block shares with its neighbours and its own wrapper
+ */
+function blockFrame(type, block, frame) {
+  if (type === "footer") return {};
+  if (frame.header && (type === "hero" || type === "intro")) {
+    return { shared: frame.header };
+  }
+
+  const classes = [!frame.main && !block.aligned && "text-center", block.fade]
+    .filter(Boolean)
+    .join(" ");
+  return { shared: frame.main, own: classes };
+}
+
+/**
+ * Render the blocks of a page (config `layout` or the mode preset)
+ * @param {object} cfg - Final domain config
+ * @returns {{content: string, scripts: string, styles: string, forms: boolean}}
+ *   Page markup, the scripts and styles of the blocks shown, and whether the
+ *   page has a form (for the form token and Turnstile)
+ */
+export function renderLayout(cfg) {
+  const frame = MODE_FRAMES[cfg.mode] || {};
+  const rendered = new Set();
+  const scripts = new Set();
+  const styles = new Set();
+  const parts = [];
+  let forms = false;
+
+  for (const entry of layoutFor(cfg)) {
+    const block = BLOCKS[entry.type];
+    // Unknown types are reported by the schema
+    if (!block || (block.unique && rendered.has(entry.type))) continue;
+
+    const previous = parts[parts.length - 1];
+    const inSlot = Boolean(
+      block.slot && previous && previous.html.includes(BLOCK_SLOT)
+    );
+    const html = block.render(cfg, blockOptions(entry, cfg), inSlot);
+    if (!html) continue;
+
+    rendered.add(entry.type);
+    if (block.script) scripts.add(block.script(cfg));
+    if (block.styles) styles.add(block.styles);
+    if (block.form) forms = true;
+
+    if (inSlot) {
+      previous.html = previous.html.replace(BLOCK_SLOT, () => html);
+    } else {
+      parts.push({ html, ...blockFrame(entry.type, block, frame) });
+    }
+  }
+
+  // Neighbouring blocks with the same shared wrapper go in one element
+  const groups = [];
+  for (const part of parts) {
+    const html = part.html.replace(BLOCK_SLOT, "");
+    const wrapped = part.own ? `<div class="${part.own}">${html}</div>` : html;
+    const last = groups[groups.length - 1];
+    if (part.shared && last && last.shared === part.shared) {
+      last.html.push(wrapped);
+    } else {
+      groups.push({ shared: part.shared, html: [wrapped] });
+    }
+  }
+
+  return {
+    content: groups
+      .map((group) =>
+        group.shared
+          ? `<div class="${group.shared}">${group.html.join("\n")}</div>`
+          : group.html.join("\n")
+      )
+      .join("\n"),
+    scripts: [...scripts].join("\n"),
+    styles: [...styles].join("\n"),
+    forms,
+  };
+}
@@ -1,3 +1,7 @@
+import { escapeAttr, escapeHtml, renderText, safeUrl } from "./escape.js";
+import { tHtml } from "../i18n.js";
+import { HONEYPOT_FIELD } from "../protection.js";
+
 /**
  * Shared component templates
  */
@@ -27,16 +31,24 @@ const SOCIAL_ICONS = {
  * @returns {string} HTML for social links
  */
 export function renderSocialLinks(socialLinks) {
-  if (!socialLinks || Object.keys(socialLinks).length === 0) return "";
+  if (!socialLinks) return "";
+
+  // Drop links whose URL uses a disallowed scheme (e.g. javascript:)
+  const entries = Object.entries(socialLinks)
+    .map(([platform, url]) => [platform, safeUrl(url)])
+    .filter(([, url]) => url);
+
+  if (entries.length === 0) return "";
 
   return `
     <div class="flex justify-center gap-2 mt-8">
-      ${Object.entries(socialLinks)
+      ${entries
         .map(
           ([platform, url]) => `
-      <a href="${url}" target="_blank" rel="noopener noreferrer"
+      <a href="${escapeAttr(url)}" target="_blank" rel="noopener noreferrer"
          class="p-2.5 rounded-lg border dark:border-gray-800 border-gray-200 dark:bg-transparent bg-white dark:hover:bg-gray-900/30 hover:bg-gray-50 transition-all duration-200"
-         aria-label="${platform}">
+         aria-label="${escapeAttr(platform)}"
+         data-track="social" data-track-label="${escapeAttr(platform)}">
         <svg class="w-4 h-4 dark:text-gray-400 text-gray-600" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" viewBox="0 0 24 24">
           ${SOCIAL_ICONS[platform.toLowerCase()] || SOCIAL_ICONS.email}
         </svg>
@@ -47,28 +59,90 @@ export function renderSocialLinks(socialLinks) {
     </div>`;
 }
 
+/**
+ * Render links to the domain's extra pages
+ * @param {Array<{path: string, title: string}>} links - From pageLinks (see pages.js)
+ * @param {string|null} currentPath - Path of the page being shown
+ * @returns {string} HTML for the links, or "" if there are none
+ */
+export function renderPageLinks(links, currentPath = null) {
+  if (links.length === 0) return "";
+
+  return `
+      <nav class="flex flex-wrap justify-center gap-x-4 gap-y-1 text-xs mb-3 dark:text-gray-500 text-gray-500">
+        ${links
+          .map(
+            ({ path, title }) =>
+              `<a href="${escapeAttr(path)}" class="hover:underline"${
+                path === currentPath ? ' aria-current="page"' : ""
+              }>${escapeHtml(title)}</a>`
+          )
+          .join("\n        ")}
+      </nav>`;
+}
+
 /**
  * Render footer component with text and optional credit
- * @param {string} footerText - Footer text to display
+ * @param {string|{html: string}} footerText - Footer text to display
  * @param {boolean} showCredit - Whether to show "Powered by" credit line (default: true)
+ * @param {string} locale - Page locale for the credit line
+ * @param {Array<{path: string, title: string}>} links - Links to the domain's pages (see pages.js)
  * @returns {string} HTML for footer
  */
-export function renderFooter(footerText, showCredit = true) {
-  // If footerText is empty string, hide footer completely
-  if (footerText === "") return "";
+export function renderFooter(
+  footerText,
+  showCredit = true,
+  locale = "en",
+  links = []
+) {
+  // An empty footerText hides the footer (except for links to the domain's pages)
+  if (footerText === "" && links.length === 0) return "";
+
+  const textLine =
+    footerText !== ""
+      ? `
+      <div class="text-xs">
+        ${renderText(footerText)}
+      </div>`
+      : "";
 
-  const creditLine = showCredit
-    ? `
+  const creditLine =
+    footerText !== "" && showCredit
+      ? `
       <p class="text-xs mt-2">
-        Built with <a href="https://github.com/thinkdj/domain-parkour" target="_blank" rel="noopener noreferrer" class="hover:underline">Domain Parkour</a> and hosted on <a href="https://cloudflare.com" target="_blank" rel="noopener noreferrer" class="hover:underline">Cloudflare</a>.
+        ${tHtml(locale, "footer.credit", {
+          product:
+            '<a href="https://github.com/thinkdj/domain-parkour" target="_blank" rel="noopener noreferrer" class="hover:underline">Domain Parkour</a>',
+          host: '<a href="https://cloudflare.com" target="_blank" rel="noopener noreferrer" class="hover:underline">Cloudflare</a>',
+        })}
       </p>`
-    : "";
+      : "";
 
   return `
     <div class="text-center mt-20 fade-in-delay-3 dark:text-gray-700 text-gray-400">
-      <p class="text-xs">
-        ${footerText}
-      </p>
+      ${renderPageLinks(links)}${textLine}
       ${creditLine}
     </div>`;
 }
+
+/**
+ * Render the honeypot field for a form
+ * Hidden from people (and screen readers); bots that fill it in are ignored
+ * @returns {string} HTML for the field
+ */
+export function renderHoneypot() {
+  return `<input name="${HONEYPOT_FIELD}" type="text" tabindex="-1" autocomplete="off" aria-hidden="true" class="hidden">`;
+}
+
+/**
+ * Render the Turnstile widget for a form
+ * @param {string|null} siteKey - Domain's turnstileSiteKey
+ * @returns {string} HTML for the widget, or "" if Turnstile is off
+ */
+export function renderTurnstile(siteKey) {
+  if (!siteKey) return "";
+
+  return `<div class="cf-turnstile" data-sitekey="${escapeAttr(
+    siteKey
+  )}"></div>`;
+}
@@ -0,0 +1,151 @@
+import { markdownToText, renderMarkdownText } from "./markdown.js";
+
+/**
+ * Context-aware escaping for template interpolation
+ *
+ * Config values come from KV and env vars edited by several people, so every
+ * value must be escaped for the context it lands in:
+ *   escapeHtml  - element text
+ *   escapeAttr  - quoted attribute values
+ *   jsString    - string literals inside inline <script>
+ *   jsonScript  - JSON embedded inside inline <script>
+ *   safeUrl     - href/src values (scheme allowlist)
+ *
+ * Rich text is opt-in: a text field given as {"html": "..."} is trusted and
+ * rendered as-is by renderText. Only use it for markup you control.
+ * {"markdown": "..."} is the safe alternative: it is escaped first and
+ * formatted with a small Markdown subset (see markdown.js).
+ */
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+  "`": "&#96;",
+};
+
+export const SAFE_URL_SCHEMES = ["http", "https", "mailto", "tel"];
+
+/**
+ * Escape a value for use as HTML element text
+ * @param {*} value - Value to escape (null/undefined become "")
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).replace(/[&<>"'`]/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Escape a value for use inside a quoted HTML attribute
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+export function escapeAttr(value) {
+  return escapeHtml(value);
+}
+
+/**
+ * Serialize a value as a JavaScript string literal (including quotes) that is
+ * safe inside an inline <script>
+ * @param {*} value - Value to serialize (null/undefined become "")
+ * @returns {string} e.g. "\"O\\u0027Brien\""
+ */
+export function jsString(value) {
+  return jsonScript(value === null || value === undefined ? "" : String(value));
+}
+
+/**
+ * Serialize a value as JSON that is safe inside an inline <script>
+ * Escapes characters that could close the script tag or break JS parsing
+ * @param {*} value - JSON-serializable value
+ * @returns {string}
+ */
+export function jsonScript(value) {
+  return JSON.stringify(value)
+    .replace(/</g, "\\u003c")
+    .replace(/>/g, "\\u003e")
+    .replace(/&/g, "\\u0026")
+    .replace(/'/g, "\\u0027")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+/**
+ * Sanitize a URL against a scheme allowlist
+ * Relative URLs (/path, #anchor, ?query) are allowed.
+ * @param {*} value - URL from config
+ * @param {string[]} schemes - Allowed schemes (default: http, https, mailto, tel)
+ * @returns {string} The URL, or "" if it is not allowed
+ */
+export function safeUrl(value, schemes = SAFE_URL_SCHEMES) {
+  if (typeof value !== "string") return "";
+
+  // Browsers ignore whitespace and control characters inside schemes ("java\tscript:")
+  const url = value.replace(/[\u0000- \u007f-\u009f]/g, "");
+  if (!url) return "";
+
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+  if (scheme && !schemes.includes(scheme[1].toLowerCase())) {
+    return "";
+  }
+
+  return url;
+}
+
+/**
+ * Check whether a value is trusted rich text ({"html": "..."})
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isTrustedHtml(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    typeof value.html === "string"
+  );
+}
+
+/**
+ * Check whether a value is Markdown text ({"markdown": "..."})
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isMarkdownText(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    typeof value.markdown === "string"
+  );
+}
+
+/**
+ * Render a text field as HTML: trusted rich text as-is, Markdown formatted,
+ * everything else escaped
+ * @param {*} value - Plain string, {"html": "..."} or {"markdown": "..."}
+ * @returns {string}
+ */
+export function renderText(value) {
+  if (isTrustedHtml(value)) return value.html;
+  if (isMarkdownText(value)) return renderMarkdownText(value.markdown);
+  return escapeHtml(value);
+}
+
+/**
+ * Get the plain-text form of a text field (for <title>, meta tags, etc.)
+ * Rich text has its tags stripped; the result still needs escaping.
+ * @param {*} value - Plain string, {"html": "..."} or {"markdown": "..."}
+ * @returns {string}
+ */
+export function plainText(value) {
+  if (isTrustedHtml(value)) {
+    return value.html.replace(/<[^>]*>/g, "").replace(/\s+/g, " ").trim();
+  }
+  if (isMarkdownText(value)) return markdownToText(value.markdown);
+  if (value === null || value === undefined) return "";
+  return String(value);
+}
@@ -0,0 +1,161 @@
+import { escapeAttr, escapeHtml, safeUrl } from "./escape.js";
+
+/**
+ * Minimal Markdown renderer for config-provided text
+ *
+ * Supports a small subset: paragraphs, headings (# to ###), bullet and
+ * numbered lists, **bold**, *italic*, `code` and [links](https://...).
+ * Used for `markdown` blocks, extra pages and text fields given as
+ * {"markdown": "..."}.
+ * The source is escaped before any markup is added, so raw HTML in the
+ * input is shown as text, and link URLs go through safeUrl.
+ */
+
+// [label](url); the URL may contain balanced parentheses
+// (https://en.wikipedia.org/wiki/Foo_(bar))
+const LINK_PATTERN = /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+
+// Entities produced by escapeHtml, other than &amp;
+const ENTITIES = { lt: "<", gt: ">", quot: '"', "#39": "'", "#96": "`" };
+
+/**
+ * Apply **bold** and *italic* to escaped text
+ */
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(\S(?:.*?\S)??)\*\*(?!\*)/g, "<strong>$1</strong>")
+    .replace(/(^|[^*])\*([^*\s](?:[^*]*[^*\s])?)\*(?!\*)/g, "$1<em>$2</em>");
+}
+
+/**
+ * Render inline Markdown (emphasis, code, links) in one line of text
+ * @param {string} text - Raw text
+ * @returns {string} HTML
+ */
+export function renderInlineMarkdown(text) {
+  // Code spans and links are set aside first, so their content is not formatted
+  const tokens = [];
+  const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+  const restore = (html) =>
+    html.replace(/\u0000(\d+)\u0000/g, (match, i) => tokens[i]);
+
+  const html = escapeHtml(String(text).replace(/\u0000/g, ""))
+    // escapeHtml turns backticks into &#96;
+    .replace(/&#96;(.+?)&#96;/g, (match, code) => hold(`<code>${code}</code>`))
+    .replace(LINK_PATTERN, (match, label, href) => {
+      // href was escaped with the rest of the text: undo that before checking it
+      const url = safeUrl(
+        href
+          .replace(/&quot;/g, '"')
+          .replace(/&#39;/g, "'")
+          .replace(/&amp;/g, "&")
+      );
+      if (!url) return label;
+      const external = /^https?:/i.test(url);
+      return hold(
+        `<a href="${escapeAttr(url)}"${
+          external ? ' target="_blank" rel="noopener noreferrer"' : ""
+        } class="underline">${restore(renderEmphasis(label))}</a>`
+      );
+    });
+
+  return restore(renderEmphasis(html));
+}
+
+/**
+ * Render a Markdown document
+ * @param {string} text - Raw Markdown
+ * @param {object} options - { headings: allow # headings (default: true),
+ *   breaks: keep line breaks inside paragraphs (default: false) }
+ * @returns {string} HTML
+ */
+export function renderMarkdown(text, { headings = true, breaks = false } = {}) {
+  if (typeof text !== "string" || !text.trim()) return "";
+
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(
+        `<p>${paragraph
+          .map(renderInlineMarkdown)
+          .join(breaks ? "<br>" : " ")}</p>`
+      );
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      blocks.push(
+        `<${list.tag}>${list.items
+          .map((item) => `<li>${renderInlineMarkdown(item)}</li>`)
+          .join("")}</${list.tag}>`
+      );
+      list = null;
+    }
+  };
+
+  for (const line of text.replace(/\r\n?/g, "\n").split("\n")) {
+    const heading = headings && /^(#{1,3})\s+(.*)$/.exec(line);
+    const bullet = /^\s*[-*]\s+(.*)$/.exec(line);
+    const numbered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else if (heading) {
+      flushParagraph();
+      flushList();
+      // Page titles are h1, so document headings start at h2
+      const level = heading[1].length + 1;
+      blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? "ul" : "ol";
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else if (list && /^\s+\S/.test(line)) {
+      // Indented continuation of a list item
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  }
+  flushParagraph();
+  flushList();
+
+  return blocks.join("\n");
+}
+
+/**
+ * Render a Markdown text field ({"markdown": "..."}, see renderText in escape.js)
+ * Paragraphs, lists, line breaks and inline formatting, but no headings. A
+ * single paragraph is returned without its <p>, so it fits in any element.
+ * @param {string} text - Raw Markdown
+ * @returns {string} HTML
+ */
+export function renderMarkdownText(text) {
+  const html = renderMarkdown(text, { headings: false, breaks: true });
+  const paragraph = /^<p>((?:(?!<\/?p>).)*)<\/p>$/s.exec(html);
+  if (paragraph) return paragraph[1];
+  return html ? `<div class="markdown-text">${html}</div>` : "";
+}
+
+/**
+ * Get the plain text of a Markdown text field (for <title>, meta tags, etc.)
+ * @param {string} text - Raw Markdown
+ * @returns {string} Unescaped text
+ */
+export function markdownToText(text) {
+  return renderMarkdownText(text)
+    .replace(/<br>|<\/(p|li)>/g, " ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(lt|gt|quot|#39|#96);/g, (entity, name) => ENTITIES[name])
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
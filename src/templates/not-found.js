@@ -0,0 +1,61 @@
+import { renderBase } from "./base.js";
+import { renderFooter } from "./components.js";
+import { escapeHtml } from "./escape.js";
+import { buildSeo } from "./seo.js";
+import { pageLinks } from "../pages.js";
+import { t } from "../i18n.js";
+
+/**
+ * Generate the content for the 404 page
+ */
+function renderNotFoundContent(cfg) {
+  return `
+    <!-- Main Container -->
+    <div class="flex items-center justify-center min-h-screen px-6 py-20">
+        <div class="w-full max-w-2xl mx-auto">
+
+            <div class="text-center fade-in">
+                <p class="text-sm font-medium dark:text-gray-500 text-gray-500 mb-4">404</p>
+
+                <h1 class="text-4xl sm:text-5xl font-bold tracking-tight dark:text-white text-gray-900 mb-4 accent-underline">
+                    ${escapeHtml(t(cfg.locale, "notFound.title"))}
+                </h1>
+
+                <p class="text-base dark:text-gray-400 text-gray-600 mt-8">
+                    ${escapeHtml(t(cfg.locale, "notFound.message", { domain: cfg.domainTitle }))}
+                </p>
+
+                <div class="pt-8 fade-in-delay-1">
+                    <a href="/"
+                       class="accent-button inline-flex items-center justify-center gap-2 px-6 py-3 rounded-lg text-white font-medium">
+                        <span>${escapeHtml(t(cfg.locale, "notFound.home"))}</span>
+                    </a>
+                </div>
+            </div>
+
+            <!-- Footer -->
+            ${renderFooter(cfg.domainTitle, cfg.showCredit !== false, cfg.locale, pageLinks(cfg))}
+        </div>
+    </div>`;
+}
+
+/**
+ * Generate the HTML for the 404 page in the domain's theme
+ */
+export function generateNotFoundHTML(cfg, allThemes = null, diagnostics = null) {
+  const title = `${t(cfg.locale, "notFound.title")} - ${cfg.domainTitle}`;
+
+  return renderBase({
+    title,
+    seo: { ...buildSeo(cfg, title), noindex: true, jsonLd: null },
+    accentColor: cfg.accentColor,
+    theme: cfg.theme,
+    colorScheme: cfg.colorScheme,
+    systemScheme: cfg.systemScheme,
+    content: renderNotFoundContent(cfg),
+    scripts: "",
+    allThemes,
+    diagnostics,
+    locale: cfg.locale,
+  });
+}
@@ -0,0 +1,343 @@
+import { initWasm, Resvg } from "@resvg/resvg-wasm";
+import resvgWasm from "@resvg/resvg-wasm/index_bg.wasm";
+import interRegular from "@expo-google-fonts/inter/400Regular/Inter_400Regular.ttf";
+import interBold from "@expo-google-fonts/inter/700Bold/Inter_700Bold.ttf";
+import { contentHash } from "../assets.js";
+import { escapeHtml, plainText } from "./escape.js";
+import { formatPrice } from "../pricing.js";
+import { hexColor } from "../colors.js";
+
+/**
+ * Open Graph preview image (1200x630 PNG card)
+ *
+ * The card is drawn as SVG from the same config getConfig produces and
+ * rasterized with resvg (WASM) using the bundled Inter fonts, since most
+ * platforms don't show SVG previews. Its URL carries a version hash of the
+ * fields it shows, so a config change yields a new URL and the old image can
+ * be cached forever; the current version is also kept in the edge cache so
+ * it is rendered once per data center.
+ *
+ * Inter has no glyphs for scripts such as CJK, Arabic or Hebrew. A domain
+ * title Inter can't draw is replaced by the (ASCII) hostname, and a tagline
+ * or price line it can't draw is left out, rather than showing empty boxes.
+ */
+
+export const OG_IMAGE_ROUTE = "/_parkour/og.png";
+export const OG_IMAGE_WIDTH = 1200;
+export const OG_IMAGE_HEIGHT = 630;
+
+const STATUS_BADGES = {
+  available: "FOR SALE",
+  "under-offer": "UNDER OFFER",
+  sold: "SOLD",
+  "not-for-sale": "NOT FOR SALE",
+};
+
+// Only the bundled fonts are available to the renderer
+const FONT_FAMILY = "Inter";
+const FONTS = [new Uint8Array(interRegular), new Uint8Array(interBold)];
+
+// resvg can only be initialized once per isolate
+let rendererReady = null;
+
+// Code point ranges Inter has glyphs for (read from its cmap on first use)
+let fontRanges = null;
+
+/**
+ * Read the code point ranges of a TrueType font's Unicode cmap
+ * Uses the format 12 subtable when there is one, else format 4. Ranges are
+ * taken whole, which is close enough to decide whether a script is covered.
+ * @param {Uint8Array} font - TTF file
+ * @returns {Array<[number, number]>} Inclusive [first, last] ranges
+ */
+function fontCodePointRanges(font) {
+  const view = new DataView(font.buffer, font.byteOffset, font.byteLength);
+  const CMAP_TAG = 0x636d6170; // "cmap"
+
+  let cmap = null;
+  for (let i = 0; i < view.getUint16(4); i++) {
+    const record = 12 + i * 16;
+    if (view.getUint32(record) === CMAP_TAG) {
+      cmap = view.getUint32(record + 8);
+    }
+  }
+  if (cmap === null) return [];
+
+  let subtable = null;
+  for (let i = 0; i < view.getUint16(cmap + 2); i++) {
+    const offset = cmap + view.getUint32(cmap + 8 + i * 8);
+    const format = view.getUint16(offset);
+    if (format === 12 || (format === 4 && !subtable)) {
+      subtable = { format, offset };
+    }
+  }
+  if (!subtable) return [];
+
+  const ranges = [];
+  const { format, offset } = subtable;
+  if (format === 12) {
+    for (let i = 0; i < view.getUint32(offset + 12); i++) {
+      const group = offset + 16 + i * 12;
+      ranges.push([view.getUint32(group), view.getUint32(group + 4)]);
+    }
+  } else {
+    const segCountX2 = view.getUint16(offset + 6);
+    const endCodes = offset + 14;
+    const startCodes = endCodes + segCountX2 + 2;
+    for (let i = 0; i < segCountX2; i += 2) {
+      ranges.push([
+        view.getUint16(startCodes + i),
+        view.getUint16(endCodes + i),
+      ]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Check whether the bundled font has glyphs for all of a text
+ * Whitespace and control characters don't need glyphs.
+ */
+function canDraw(text) {
+  if (!fontRanges) fontRanges = fontCodePointRanges(FONTS[0]);
+  for (const char of text) {
+    if (/[\s\p{Cc}]/u.test(char)) continue;
+    const code = char.codePointAt(0);
+    if (!fontRanges.some(([first, last]) => code >= first && code <= last)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Get the fields shown on the card
+ */
+function cardFields(cfg) {
+  return {
+    domainTitle: cfg.domainTitle || "",
+    title: plainText(cfg.title),
+    // The card is English-only, so format the price for "en"
+    salePrice:
+      cfg.mode === "parking" && cfg.price && cfg.status === "available"
+        ? formatPrice(cfg.price, "en")
+        : "",
+    launchDate: cfg.mode === "coming-soon" ? cfg.launchDate || "" : "",
+    accentColor: cfg.accentColor || "#3b82f6",
+    mode: cfg.mode,
+    status: cfg.mode === "parking" ? cfg.status : "",
+  };
+}
+
+/**
+ * Version hash of the card content
+ * @param {object} cfg - Final domain config
+ * @returns {string}
+ */
+export function ogImageVersion(cfg) {
+  return contentHash(JSON.stringify(cardFields(cfg)));
+}
+
+/**
+ * Absolute, versioned URL of the card for a domain
+ * @param {object} cfg - Final domain config
+ * @returns {string}
+ */
+export function ogImageUrl(cfg) {
+  return `https://${cfg.domain}${OG_IMAGE_ROUTE}?v=${ogImageVersion(cfg)}`;
+}
+
+/**
+ * Shorten text to fit on one line of the card
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength
+    ? `${text.slice(0, maxLength - 1).trimEnd()}…`
+    : text;
+}
+
+/**
+ * Build the highlight line (price or launch date)
+ */
+function highlightLine(fields) {
+  if (fields.salePrice) return `Available for ${fields.salePrice}`;
+  if (fields.launchDate) {
+    const date = new Date(fields.launchDate).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+      timeZone: "UTC",
+    });
+    return `Launching ${date}`;
+  }
+  return "";
+}
+
+/**
+ * Render the preview card as SVG
+ * @param {object} cfg - Final domain config
+ * @returns {string}
+ */
+export function renderOgImage(cfg) {
+  const fields = cardFields(cfg);
+  const accent = hexColor(fields.accentColor, "#3b82f6");
+
+  // The hostname is ASCII (IDNs arrive as punycode), so Inter can draw it
+  const domainTitle = truncate(
+    canDraw(fields.domainTitle) ? fields.domainTitle : cfg.domain || "",
+    40
+  );
+  const tagline = canDraw(fields.title) ? fields.title : "";
+  // Shrink long names so they stay on one line (~0.6em average glyph width)
+  const titleSize = Math.min(
+    104,
+    Math.floor(1040 / Math.max(1, domainTitle.length * 0.6))
+  );
+  const badge =
+    fields.mode === "parking"
+      ? STATUS_BADGES[fields.status] || STATUS_BADGES.available
+      : fields.mode === "coming-soon"
+      ? "COMING SOON"
+      : fields.mode === "portfolio"
+      ? "DOMAINS FOR SALE"
+      : "";
+  const line = highlightLine(fields);
+  const highlight = canDraw(line) ? line : "";
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" viewBox="0 0 ${OG_IMAGE_WIDTH} ${OG_IMAGE_HEIGHT}">
+  <defs>
+    <radialGradient id="glow" cx="85%" cy="0%" r="80%">
+      <stop offset="0%" stop-color="${accent}" stop-opacity="0.35"/>
+      <stop offset="100%" stop-color="${accent}" stop-opacity="0"/>
+    </radialGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="#191919"/>
+  <rect width="100%" height="100%" fill="url(#glow)"/>
+  <rect x="80" y="80" width="120" height="6" rx="3" fill="${accent}"/>
+  ${
+    badge
+      ? `<text x="80" y="150" font-family="${FONT_FAMILY}" font-size="26" font-weight="600" letter-spacing="4" fill="#9ca3af">${badge}</text>`
+      : ""
+  }
+  <text x="80" y="330" font-family="${FONT_FAMILY}" font-size="${titleSize}" font-weight="700" fill="#ffffff">${escapeHtml(
+    domainTitle
+  )}</text>
+  ${
+    tagline
+      ? `<text x="80" y="410" font-family="${FONT_FAMILY}" font-size="40" fill="#d1d5db">${escapeHtml(
+          truncate(tagline, 52)
+        )}</text>`
+      : ""
+  }
+  ${
+    highlight
+      ? `<text x="80" y="540" font-family="${FONT_FAMILY}" font-size="40" font-weight="700" fill="${accent}">${escapeHtml(
+          truncate(highlight, 52)
+        )}</text>`
+      : ""
+  }
+</svg>`;
+}
+
+/**
+ * Load the WASM renderer (once)
+ */
+function loadRenderer() {
+  if (!rendererReady) {
+    rendererReady = initWasm(resvgWasm).catch((e) => {
+      rendererReady = null;
+      throw e;
+    });
+  }
+  return rendererReady;
+}
+
+/**
+ * Render the preview card as PNG
+ * @param {object} cfg - Final domain config
+ * @returns {Promise<Uint8Array>}
+ */
+export async function renderOgImagePng(cfg) {
+  await loadRenderer();
+
+  const resvg = new Resvg(renderOgImage(cfg), {
+    font: {
+      fontBuffers: FONTS,
+      defaultFontFamily: FONT_FAMILY,
+      loadSystemFonts: false,
+    },
+  });
+  try {
+    return resvg.render().asPng();
+  } finally {
+    resvg.free();
+  }
+}
+
+/**
+ * Serve the preview card
+ * Requests for the current version are cached as immutable (and stored in
+ * the edge cache); unversioned or stale URLs get a short TTL so they pick up
+ * config changes.
+ * @param {Request} request - Incoming request
+ * @param {object} cfg - Final domain config
+ * @param {object} ctx - Execution context (for waitUntil)
+ * @returns {Promise<Response>}
+ */
+export async function handleOgImageRequest(request, cfg, ctx) {
+  const url = new URL(request.url);
+  const version = ogImageVersion(cfg);
+  const etag = `"${version}"`;
+  const current = url.searchParams.get("v") === version;
+
+  const cacheControl = current
+    ? "public, max-age=31536000, immutable"
+    : "public, max-age=300";
+
+  if (request.headers.get("if-none-match") === etag) {
+    return new Response(null, {
+      status: 304,
+      headers: { etag, "cache-control": cacheControl },
+    });
+  }
+
+  // Keyed by host and version only, so extra query parameters share it
+  const cacheKey =
+    current && typeof caches !== "undefined"
+      ? `https://${url.hostname}${OG_IMAGE_ROUTE}?v=${version}`
+      : null;
+  if (cacheKey) {
+    const cached = await caches.default.match(cacheKey).catch(() => null);
+    if (cached) return cached;
+  }
+
+  let png;
+  try {
+    png = await renderOgImagePng(cfg);
+  } catch (e) {
+    console.error(`[OG] Error rendering preview card: ${e.message}`);
+    return new Response("Preview unavailable", {
+      status: 500,
+      headers: {
+        "content-type": "text/plain;charset=UTF-8",
+        "cache-control": "no-store",
+      },
+    });
+  }
+
+  const response = new Response(png, {
+    headers: {
+      "content-type": "image/png",
+      "cache-control": cacheControl,
+      etag,
+    },
+  });
+  if (cacheKey) {
+    ctx.waitUntil(
+      caches.default.put(cacheKey, response.clone()).catch((e) => {
+        console.error(`[OG] Error storing preview card: ${e.message}`);
+      })
+    );
+  }
+  return response;
+}
@@ -0,0 +1,83 @@
+import { renderBase } from "./base.js";
+import { markdownStyles } from "./blocks.js";
+import { renderFooter, renderPageLinks } from "./components.js";
+import { escapeHtml } from "./escape.js";
+import { renderMarkdown } from "./markdown.js";
+import { buildSeo } from "./seo.js";
+import { pageLinks } from "../pages.js";
+
+/**
+ * Generate the content for an extra page (see pages.js)
+ */
+function renderPageContent(cfg, page) {
+  const links = pageLinks(cfg);
+  const footerText =
+    cfg.footerText !== undefined ? cfg.footerText : cfg.domainTitle;
+
+  return `
+    <!-- Main Container -->
+    <div class="min-h-screen px-6 py-20">
+        <div class="w-full max-w-2xl mx-auto">
+
+            <!-- Navigation -->
+            <header class="flex flex-wrap items-center justify-between gap-4 mb-16 fade-in">
+                <a href="/" class="text-sm font-semibold dark:text-white text-gray-900 hover:underline">
+                    ${escapeHtml(cfg.domainTitle)}
+                </a>
+                ${renderPageLinks(links, page.path)}
+            </header>
+
+            <article class="fade-in-delay-1">
+                <h1 class="text-3xl sm:text-4xl font-bold tracking-tight dark:text-white text-gray-900 mb-8">
+                    ${escapeHtml(page.title)}
+                </h1>
+
+                <div class="markdown-block text-base dark:text-gray-400 text-gray-600">
+                    ${renderMarkdown(page.content)}
+                </div>
+            </article>
+
+            <!-- Footer -->
+            ${renderFooter(footerText, cfg.showCredit !== false, cfg.locale, links)}
+        </div>
+    </div>`;
+}
+
+/**
+ * Generate the HTML for an extra page in the domain's theme
+ * @param {object} cfg - Final domain config
+ * @param {object} page - Page from findPage (see pages.js)
+ */
+export function generatePageHTML(
+  cfg,
+  page,
+  allThemes = null,
+  diagnostics = null
+) {
+  const title = `${page.title} - ${cfg.domainTitle}`;
+  const seo = buildSeo(cfg, title);
+
+  return renderBase({
+    title,
+    seo: {
+      ...seo,
+      // seo.title/description/canonical describe the main page
+      title,
+      description: page.description || seo.description,
+      url: `https://${cfg.domain}${page.path}`,
+      type: "website",
+      jsonLd: null,
+    },
+    accentColor: cfg.accentColor,
+    theme: cfg.theme,
+    colorScheme: cfg.colorScheme,
+    systemScheme: cfg.systemScheme,
+    content: renderPageContent(cfg, page),
+    scripts: "",
+    additionalStyles: markdownStyles,
+    allThemes,
+    diagnostics,
+    analytics: cfg.analytics,
+    locale: cfg.locale,
+  });
+}
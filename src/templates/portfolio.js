@@ -0,0 +1,49 @@
+import { renderBase } from "./base.js";
+import { renderLayout } from "./blocks.js";
+import { buildSeo } from "./seo.js";
+import { plainText } from "./escape.js";
+
+/**
+ * Generate the content for the portfolio page
+ */
+function renderPortfolioContent(cfg, blocks) {
+  return `
+    <!-- Main Container -->
+    <div class="min-h-screen px-6 py-20">
+        <div class="w-full max-w-5xl mx-auto">
+            ${blocks}
+        </div>
+    </div>`;
+}
+
+/**
+ * Generate the HTML for the portfolio page
+ */
+export function generatePortfolioHTML(
+  cfg,
+  allThemes = null,
+  diagnostics = null
+) {
+  const layout = renderLayout(cfg);
+  const title = cfg.title
+    ? `${cfg.domainTitle} - ${plainText(cfg.title)}`
+    : cfg.domainTitle;
+
+  return renderBase({
+    title,
+    seo: buildSeo(cfg, title),
+    accentColor: cfg.accentColor,
+    theme: cfg.theme,
+    colorScheme: cfg.colorScheme,
+    systemScheme: cfg.systemScheme,
+    content: renderPortfolioContent(cfg, layout.content),
+    scripts: layout.scripts,
+    additionalStyles: layout.styles,
+    allThemes,
+    diagnostics,
+    analytics: cfg.analytics,
+    locale: cfg.locale,
+    formToken: layout.forms ? cfg.formToken : null,
+    turnstileSiteKey: layout.forms ? cfg.turnstileSiteKey : null,
+  });
+}
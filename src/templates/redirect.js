@@ -0,0 +1,110 @@
+import { renderBase } from "./base.js";
+import { renderFooter } from "./components.js";
+import { escapeHtml, escapeAttr, jsString, renderText } from "./escape.js";
+import { buildSeo } from "./seo.js";
+import { t, tHtml } from "../i18n.js";
+
+/**
+ * Generate the content for the redirect interstitial
+ */
+function renderRedirectContent(cfg, location, delay) {
+  const host = new URL(location).host;
+
+  return `
+    <!-- Main Container -->
+    <div class="flex items-center justify-center min-h-screen px-6 py-20">
+        <div class="w-full max-w-2xl mx-auto">
+
+            <div class="text-center fade-in">
+                <!-- Status Badge -->
+                <div class="inline-flex items-center gap-2 px-3 py-1.5 rounded-full border dark:border-gray-800 border-gray-200 dark:bg-gray-900/50 bg-gray-50 mb-8">
+                    <div class="w-1.5 h-1.5 rounded-full animate-pulse" style="background: var(--accent-color)"></div>
+                    <span class="text-xs font-medium dark:text-gray-400 text-gray-600">${escapeHtml(t(cfg.locale, "redirect.badge"))}</span>
+                </div>
+
+                <h1 class="text-4xl sm:text-5xl font-bold tracking-tight dark:text-white text-gray-900 mb-4 accent-underline">
+                    ${escapeHtml(cfg.domainTitle)}
+                </h1>
+
+                ${
+                  cfg.description
+                    ? `
+                <div class="text-base dark:text-gray-400 text-gray-600 max-w-xl mx-auto mt-8">
+                    ${renderText(cfg.description)}
+                </div>
+                `
+                    : ""
+                }
+
+                <p class="text-base dark:text-gray-400 text-gray-600 mt-8">
+                    ${tHtml(cfg.locale, "redirect.message", {
+                      host: `<span class="font-semibold dark:text-white text-gray-900">${escapeHtml(host)}</span>`,
+                      seconds: `<span id="redirect-countdown">${delay}</span>`,
+                    })}
+                </p>
+
+                <div class="pt-8 fade-in-delay-1">
+                    <a href="${escapeAttr(location)}" rel="noopener"
+                       class="accent-button inline-flex items-center justify-center gap-2 px-6 py-3 rounded-lg text-white font-medium">
+                        <span>${escapeHtml(t(cfg.locale, "redirect.continue"))}</span>
+                    </a>
+                </div>
+            </div>
+
+            <!-- Footer -->
+            ${renderFooter(cfg.domainTitle, cfg.showCredit !== false, cfg.locale)}
+        </div>
+    </div>`;
+}
+
+/**
+ * Generate the countdown JavaScript
+ */
+function renderRedirectScript(location, delay) {
+  return `
+    // Redirect countdown
+    (function() {
+      const target = ${jsString(location)};
+      const countdown = document.getElementById('redirect-countdown');
+      let remaining = ${delay};
+
+      if (remaining <= 0) {
+        window.location.replace(target);
+        return;
+      }
+
+      const timer = setInterval(() => {
+        remaining -= 1;
+        countdown.textContent = remaining;
+        if (remaining <= 0) {
+          clearInterval(timer);
+          window.location.replace(target);
+        }
+      }, 1000);
+    })();
+  `;
+}
+
+/**
+ * Generate the HTML for the redirect interstitial
+ * @param {object} cfg - Final domain config
+ * @param {string} location - Resolved absolute target URL
+ */
+export function generateRedirectHTML(cfg, location, allThemes = null, diagnostics = null) {
+  const delay = Math.max(0, Math.round(Number(cfg.redirectDelay) || 0));
+  const title = `${cfg.domainTitle} - ${t(cfg.locale, "redirect.badge")}`;
+
+  return renderBase({
+    title,
+    seo: { ...buildSeo(cfg, title), url: location, noindex: true, jsonLd: null },
+    accentColor: cfg.accentColor,
+    theme: cfg.theme,
+    colorScheme: cfg.colorScheme,
+    systemScheme: cfg.systemScheme,
+    content: renderRedirectContent(cfg, location, delay),
+    scripts: renderRedirectScript(location, delay),
+    allThemes,
+    diagnostics,
+    locale: cfg.locale,
+  });
+}
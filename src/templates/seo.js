@@ -0,0 +1,290 @@
+import { escapeAttr, jsonScript, plainText, safeUrl } from "./escape.js";
+import { ogImageUrl, OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT } from "./og-image.js";
+import { t } from "../i18n.js";
+
+/**
+ * SEO and social metadata
+ *
+ * buildSeo derives page metadata from the existing config fields for each
+ * mode; anything can be overridden per domain with the `seo` object:
+ *   { title, description, canonical, image, favicon, noindex, twitterSite, jsonLd }
+ * renderSeoTags turns that metadata into <head> tags.
+ */
+
+/**
+ * Build the default meta description for a mode
+ */
+function defaultDescription(cfg) {
+  const description = plainText(cfg.description);
+
+  if (cfg.mode === "parking" && cfg.status && cfg.status !== "available") {
+    const key = {
+      "under-offer": "seo.underOffer",
+      sold: "seo.sold",
+      "not-for-sale": "seo.notForSale",
+    }[cfg.status];
+    const status = t(cfg.locale, key, { domain: cfg.domainTitle });
+    return description ? `${status} ${description}` : status;
+  }
+
+  if (cfg.mode === "parking") {
+    const forSale = cfg.price
+      ? t(cfg.locale, "seo.forSaleFor", {
+          domain: cfg.domainTitle,
+          price: cfg.price.display,
+        })
+      : t(cfg.locale, "seo.forSale", { domain: cfg.domainTitle });
+    return description ? `${forSale} ${description}` : forSale;
+  }
+
+  if (cfg.mode === "portfolio") {
+    return (
+      description ||
+      plainText(cfg.title) ||
+      t(cfg.locale, "seo.portfolio", { domain: cfg.domainTitle })
+    );
+  }
+
+  if (cfg.mode === "coming-soon") {
+    return (
+      description ||
+      plainText(cfg.tagline) ||
+      t(cfg.locale, "seo.comingSoon", { domain: cfg.domainTitle })
+    );
+  }
+
+  return (
+    description ||
+    plainText(cfg.subtitle) ||
+    plainText(cfg.title) ||
+    cfg.domainTitle
+  );
+}
+
+// schema.org availability per sale status ("not-for-sale" has no offer)
+const AVAILABILITY = {
+  available: "https://schema.org/InStock",
+  "under-offer": "https://schema.org/Reserved",
+  sold: "https://schema.org/SoldOut",
+};
+
+/**
+ * Build the JSON-LD structured data for a mode
+ */
+function buildJsonLd(cfg, { url, description }) {
+  const name = cfg.domainTitle;
+
+  if (cfg.mode === "parking") {
+    const product = {
+      "@context": "https://schema.org",
+      "@type": "Product",
+      name,
+      description,
+      url,
+    };
+    const status = cfg.status || "available";
+    const price = cfg.price;
+    if (status !== "available") {
+      // The price is no longer shown, so the offer only carries availability
+      if (AVAILABILITY[status]) {
+        product.offers = {
+          "@type": "Offer",
+          availability: AVAILABILITY[status],
+          url,
+        };
+      }
+    } else if (price && price.amount !== null) {
+      const offers = [
+        {
+          "@type": "Offer",
+          price: price.amount,
+          ...(price.currency && { priceCurrency: price.currency }),
+          availability: "https://schema.org/InStock",
+          url,
+        },
+      ];
+      // Lease-to-own as a monthly unit price
+      if (price.leaseToOwn) {
+        offers.push({
+          "@type": "Offer",
+          availability: "https://schema.org/InStock",
+          url,
+          priceSpecification: {
+            "@type": "UnitPriceSpecification",
+            price: price.leaseToOwn.monthly,
+            ...(price.currency && { priceCurrency: price.currency }),
+            referenceQuantity: {
+              "@type": "QuantitativeValue",
+              value: 1,
+              unitCode: "MON",
+            },
+            ...(price.leaseToOwn.months && {
+              billingDuration: {
+                "@type": "QuantitativeValue",
+                value: price.leaseToOwn.months,
+                unitCode: "MON",
+              },
+            }),
+          },
+        });
+      }
+      product.offers = offers.length === 1 ? offers[0] : offers;
+    }
+    return product;
+  }
+
+  if (cfg.mode === "portfolio") {
+    return {
+      "@context": "https://schema.org",
+      "@type": "ItemList",
+      name,
+      description,
+      url,
+      itemListElement: (cfg.portfolio || []).map((item, index) => ({
+        "@type": "ListItem",
+        position: index + 1,
+        name: item.title,
+        url: `https://${item.domain}/`,
+      })),
+    };
+  }
+
+  if (cfg.mode === "coming-soon" && cfg.launchDate) {
+    return {
+      "@context": "https://schema.org",
+      "@type": "Event",
+      name: `${name} Launch`,
+      description,
+      startDate: new Date(cfg.launchDate).toISOString(),
+      eventStatus: "https://schema.org/EventScheduled",
+      eventAttendanceMode: "https://schema.org/OnlineEventAttendanceMode",
+      location: { "@type": "VirtualLocation", url },
+      organizer: { "@type": "Organization", name, url },
+    };
+  }
+
+  const sameAs = Object.values(cfg.socialLinks || {})
+    .map((link) => safeUrl(link, ["http", "https"]))
+    .filter(Boolean);
+
+  return {
+    "@context": "https://schema.org",
+    "@graph": [
+      { "@type": "WebSite", name, url, description },
+      {
+        "@type": "Organization",
+        name,
+        url,
+        ...(sameAs.length > 0 && { sameAs }),
+      },
+    ],
+  };
+}
+
+/**
+ * Build page metadata from config
+ * @param {object} cfg - Final domain config
+ * @param {string} pageTitle - Default document title for the page
+ * @returns {object} Metadata for renderSeoTags
+ */
+export function buildSeo(cfg, pageTitle) {
+  const overrides = cfg.seo || {};
+  const url =
+    safeUrl(overrides.canonical, ["http", "https"]) || `https://${cfg.domain}/`;
+  const description = overrides.description || defaultDescription(cfg);
+
+  let jsonLd = null;
+  if (overrides.jsonLd !== false) {
+    jsonLd = overrides.jsonLd || buildJsonLd(cfg, { url, description });
+  }
+
+  // Fall back to the generated preview card when no image is configured
+  const customImage = safeUrl(overrides.image, ["http", "https"]);
+  const image = customImage
+    ? { url: customImage }
+    : {
+        url: ogImageUrl(cfg),
+        type: "image/png",
+        width: OG_IMAGE_WIDTH,
+        height: OG_IMAGE_HEIGHT,
+      };
+
+  return {
+    title: overrides.title || pageTitle,
+    description,
+    url,
+    siteName: cfg.domainTitle,
+    image,
+    // Generated favicon (see site-files.js) unless one is configured
+    favicon: safeUrl(overrides.favicon) || "/favicon.svg",
+    noindex: overrides.noindex === true,
+    twitterSite: overrides.twitterSite || null,
+    type: cfg.mode === "parking" ? "product" : "website",
+    jsonLd,
+  };
+}
+
+/**
+ * Render <head> tags for page metadata
+ * @param {object} seo - Metadata from buildSeo
+ * @returns {string}
+ */
+export function renderSeoTags(seo) {
+  if (!seo) return "";
+
+  const tags = [
+    `<meta name="description" content="${escapeAttr(seo.description)}">`,
+    `<link rel="canonical" href="${escapeAttr(seo.url)}">`,
+  ];
+
+  if (seo.noindex) {
+    tags.push('<meta name="robots" content="noindex, nofollow">');
+  }
+
+  if (seo.favicon) {
+    tags.push(`<link rel="icon" href="${escapeAttr(seo.favicon)}">`);
+  }
+
+  tags.push(
+    `<meta property="og:type" content="${escapeAttr(seo.type)}">`,
+    `<meta property="og:title" content="${escapeAttr(seo.title)}">`,
+    `<meta property="og:description" content="${escapeAttr(seo.description)}">`,
+    `<meta property="og:url" content="${escapeAttr(seo.url)}">`,
+    `<meta property="og:site_name" content="${escapeAttr(seo.siteName)}">`,
+    `<meta name="twitter:card" content="${
+      seo.image ? "summary_large_image" : "summary"
+    }">`,
+    `<meta name="twitter:title" content="${escapeAttr(seo.title)}">`,
+    `<meta name="twitter:description" content="${escapeAttr(seo.description)}">`
+  );
+
+  if (seo.image) {
+    tags.push(
+      `<meta property="og:image" content="${escapeAttr(seo.image.url)}">`,
+      `<meta name="twitter:image" content="${escapeAttr(seo.image.url)}">`
+    );
+    if (seo.image.type) {
+      tags.push(
+        `<meta property="og:image:type" content="${escapeAttr(
+          seo.image.type
+        )}">`,
+        `<meta property="og:image:width" content="${seo.image.width}">`,
+        `<meta property="og:image:height" content="${seo.image.height}">`
+      );
+    }
+  }
+
+  if (seo.twitterSite) {
+    tags.push(
+      `<meta name="twitter:site" content="${escapeAttr(seo.twitterSite)}">`
+    );
+  }
+
+  if (seo.jsonLd) {
+    tags.push(
+      `<script type="application/ld+json">${jsonScript(seo.jsonLd)}</script>`
+    );
+  }
+
+  return tags.join("\n    ");
+}
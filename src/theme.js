@@ -0,0 +1,373 @@
+import { mixColors, parseColor } from "./colors.js";
+import { safeUrl } from "./templates/escape.js";
+
+/**
+ * Theme presets and design tokens
+ *
+ * Templates style pages with Tailwind's gray scale, white, `rounded-*` and
+ * the body font, and the stylesheet reads all of those from CSS variables
+ * (see tailwind.config.js and styles/core.css). A theme restyles every page
+ * by setting those variables from a few tokens:
+ *   "theme": {
+ *     "preset": "glass",
+ *     "font": "serif",
+ *     "radius": "1rem",
+ *     "background": "linear-gradient(135deg, #1e1b4b, #0f172a)",
+ *     "dark": { "background": "#0f172a", "text": "#e2e8f0", "muted": "#94a3b8" }
+ *   }
+ * Token values override the preset's. Without a theme (or with the minimal
+ * preset) pages keep the stock palette.
+ */
+
+// Color tokens of each scheme ("light" and "dark")
+export const COLOR_TOKENS = [
+  "background",
+  "surface",
+  "text",
+  "muted",
+  "border",
+];
+
+export const SCHEMES = ["light", "dark"];
+
+/**
+ * Values of `colorScheme`:
+ *   auto - follow the visitor's system setting (the default)
+ *   light, dark - start in that scheme
+ *   light-only, dark-only - always use that scheme and hide the toggle
+ * Visitors who use the toggle keep their choice (localStorage).
+ */
+export const COLOR_SCHEMES = [
+  "auto",
+  "light",
+  "dark",
+  "light-only",
+  "dark-only",
+];
+
+// Client hint with the visitor's system scheme, sent by Chromium browsers
+// once a response asks for it with Accept-CH
+export const COLOR_SCHEME_HINT = "Sec-CH-Prefers-Color-Scheme";
+
+// Keys accepted in a `theme` object
+export const THEME_FIELDS = [
+  "preset",
+  "font",
+  "radius",
+  "background",
+  ...SCHEMES,
+];
+
+// Stock palette: Tailwind's grays, on #191919 in dark mode
+const DEFAULT_COLORS = {
+  light: {
+    background: "#ffffff",
+    surface: "#f9fafb",
+    text: "#111827",
+    muted: "#4b5563",
+    border: "#e5e7eb",
+  },
+  dark: {
+    background: "#191919",
+    surface: "#111827",
+    text: "#ffffff",
+    muted: "#9ca3af",
+    border: "#1f2937",
+  },
+};
+
+// Font names -> font stacks; other values are used as a font-family list
+export const FONTS = {
+  system:
+    '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Cantarell", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif',
+  serif: 'ui-serif, Georgia, Cambria, "Times New Roman", Times, serif',
+  mono: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace',
+  rounded:
+    'ui-rounded, "SF Pro Rounded", "Hiragino Maru Gothic ProN", Quicksand, Nunito, "Arial Rounded MT Bold", sans-serif',
+};
+
+/**
+ * Presets: token sets, plus an accent used when the config sets no
+ * accentColor and a few extra rules for what tokens can't express
+ */
+export const THEME_PRESETS = {
+  minimal: {},
+  bold: {
+    radius: "1rem",
+    light: {
+      background: "#fafafa",
+      surface: "#f5f5f5",
+      text: "#0a0a0a",
+      muted: "#404040",
+      border: "#d4d4d4",
+    },
+    dark: {
+      background: "#000000",
+      surface: "#0a0a0a",
+      text: "#ffffff",
+      muted: "#a3a3a3",
+      border: "#262626",
+    },
+    css: `
+        h1, h2 {
+            font-weight: 800;
+            letter-spacing: -0.04em;
+        }`,
+  },
+  glass: {
+    radius: "1rem",
+    background:
+      "radial-gradient(circle at 15% 10%, rgba(var(--accent-color-rgb), 0.3), transparent 45%), radial-gradient(circle at 85% 90%, rgba(var(--accent-color-rgb), 0.2), transparent 45%)",
+    light: {
+      background: "#eef2f7",
+      surface: "#f8fafc",
+      text: "#0f172a",
+      muted: "#475569",
+      border: "#d9e0ea",
+    },
+    dark: {
+      background: "#0b1120",
+      surface: "#111a2e",
+      text: "#f1f5f9",
+      muted: "#94a3b8",
+      border: "#26324a",
+    },
+    // Frosted cards and inputs
+    css: `
+        .rounded-lg.border {
+            background-color: rgb(255 255 255 / 0.55);
+            -webkit-backdrop-filter: blur(16px);
+            backdrop-filter: blur(16px);
+        }
+
+        .dark .rounded-lg.border {
+            background-color: rgb(255 255 255 / 0.04);
+        }`,
+  },
+  terminal: {
+    font: "mono",
+    radius: "0",
+    accent: "#16a34a",
+    light: {
+      background: "#f4fbf4",
+      surface: "#e6f5e6",
+      text: "#0b3d1a",
+      muted: "#2f6b3f",
+      border: "#bfe3c6",
+    },
+    dark: {
+      background: "#050a05",
+      surface: "#0b160d",
+      text: "#b6f5c4",
+      muted: "#4fbf6a",
+      border: "#173d20",
+    },
+  },
+};
+
+export const PRESET_NAMES = Object.keys(THEME_PRESETS);
+
+/**
+ * Tailwind shades a scheme's classes use -> how each is derived from the
+ * color tokens. Light pages read dark text shades on white; dark pages
+ * (`dark:` classes) read light shades on the page background.
+ */
+const SHADES = {
+  light: {
+    white: (c) => c.background,
+    50: (c) => c.surface,
+    100: (c) => mixColors(c.surface, c.border, 0.5),
+    200: (c) => c.border,
+    300: (c) => mixColors(c.border, c.muted, 0.75),
+    400: (c) => mixColors(c.muted, c.background, 0.6),
+    500: (c) => mixColors(c.muted, c.background, 0.85),
+    600: (c) => c.muted,
+    700: (c) => mixColors(c.text, c.muted, 0.4),
+    800: (c) => mixColors(c.text, c.muted, 0.7),
+    900: (c) => c.text,
+    page: (c) => c.background,
+  },
+  dark: {
+    white: (c) => c.text,
+    50: (c) => c.text,
+    100: (c) => mixColors(c.text, c.muted, 0.85),
+    200: (c) => mixColors(c.text, c.muted, 0.7),
+    300: (c) => mixColors(c.text, c.muted, 0.4),
+    400: (c) => c.muted,
+    500: (c) => mixColors(c.muted, c.background, 0.8),
+    600: (c) => mixColors(c.muted, c.background, 0.6),
+    700: (c) => mixColors(c.border, c.muted, 0.7),
+    800: (c) => c.border,
+    900: (c) => c.surface,
+    page: (c) => c.background,
+  },
+};
+
+// CSS gradients, limited to characters that cannot end the declaration
+const GRADIENT_PATTERN =
+  /^(repeating-)?(linear|radial|conic)-gradient\([\w\s#%.,()-]*\)$/;
+
+/**
+ * Check for a CSS length usable as the corner radius ("0", "12px", "0.75rem")
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isRadius(value) {
+  return typeof value === "string" && /^(0|\d*\.?\d+(px|rem|em))$/.test(value);
+}
+
+/**
+ * Check for a font name from FONTS or a font-family list
+ * Quotes are allowed for family names; nothing that could end the rule.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isFont(value) {
+  return (
+    typeof value === "string" &&
+    (Object.hasOwn(FONTS, value) || /^[\w\s"',-]+$/.test(value))
+  );
+}
+
+/**
+ * Check for a page background: a CSS gradient or an http(s) image URL
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isBackground(value) {
+  return Boolean(backgroundImage(value));
+}
+
+/**
+ * Build the CSS background-image value for a background token
+ * @returns {string|null}
+ */
+function backgroundImage(value) {
+  if (typeof value !== "string") return null;
+
+  if (GRADIENT_PATTERN.test(value)) return value;
+
+  const url = safeUrl(value, ["https", "http"]);
+  return /^https?:\/\//i.test(url) && !/["'()\\\s<>]/.test(url)
+    ? `url("${url}")`
+    : null;
+}
+
+/**
+ * Get the accent of a theme's preset (for configs without accentColor)
+ * @param {*} theme - Raw `theme` value: preset name or object
+ * @returns {string|undefined}
+ */
+export function themeAccent(theme) {
+  const name = typeof theme === "string" ? theme : theme && theme.preset;
+  return Object.hasOwn(THEME_PRESETS, name || "")
+    ? THEME_PRESETS[name].accent
+    : undefined;
+}
+
+/**
+ * Merge a theme over its preset
+ * @param {string|object|null} theme - Validated `theme` value
+ * @returns {object} Tokens: font?, radius?, background?, light?, dark?, css?
+ */
+export function resolveTheme(theme) {
+  if (!theme) return {};
+  const tokens = typeof theme === "string" ? { preset: theme } : theme;
+  const preset = THEME_PRESETS[tokens.preset] || {};
+
+  const resolved = { ...preset, ...tokens };
+  for (const scheme of SCHEMES) {
+    if (preset[scheme] || tokens[scheme]) {
+      resolved[scheme] = { ...preset[scheme], ...tokens[scheme] };
+    }
+  }
+  return resolved;
+}
+
+// Selectors for each scheme's variables (the `dark` class is set on <html>)
+const SCHEME_SELECTORS = { light: "html:not(.dark)", dark: "html.dark" };
+
+/**
+ * Render a CSS rule
+ */
+function cssRule(selector, declarations) {
+  return `${selector} {
+            ${declarations.join("\n            ")}
+        }`;
+}
+
+/**
+ * Render the CSS variables of a theme
+ * @param {string|object|null} theme - Validated `theme` value
+ * @returns {string} CSS rules (empty for the stock theme)
+ */
+export function renderThemeStyles(theme) {
+  const tokens = resolveTheme(theme);
+  const rules = [];
+
+  const root = [];
+  if (tokens.font) {
+    root.push(`--font-family: ${FONTS[tokens.font] || tokens.font};`);
+  }
+  if (tokens.radius) root.push(`--radius: ${tokens.radius};`);
+  const background = backgroundImage(tokens.background);
+  if (background) root.push(`--page-background: ${background};`);
+  if (root.length > 0) rules.push(cssRule(":root", root));
+
+  for (const scheme of SCHEMES) {
+    if (!tokens[scheme]) continue;
+    // Unset tokens keep their stock value, so the shades stay balanced
+    const colors = {};
+    for (const token of COLOR_TOKENS) {
+      colors[token] =
+        parseColor(tokens[scheme][token]) ||
+        parseColor(DEFAULT_COLORS[scheme][token]);
+    }
+    rules.push(
+      cssRule(
+        SCHEME_SELECTORS[scheme],
+        Object.entries(SHADES[scheme]).map(([shade, derive]) => {
+          const name = /^\d+$/.test(shade) ? `gray-${shade}` : `color-${shade}`;
+          return `--${name}: ${derive(colors).join(" ")};`;
+        })
+      )
+    );
+  }
+
+  if (tokens.css) rules.push(tokens.css.trim());
+
+  return rules.join("\n\n        ");
+}
+
+/**
+ * Read the visitor's system scheme from the client hint
+ * @param {Request} request - Incoming request
+ * @returns {"light"|"dark"|null} null if the browser did not send the hint
+ */
+export function systemColorScheme(request) {
+  // Structured header string: "dark" (with the quotes)
+  const hint = (request.headers.get(COLOR_SCHEME_HINT) || "").replace(/"/g, "");
+  return SCHEMES.includes(hint) ? hint : null;
+}
+
+/**
+ * Check whether a color scheme is locked (no toggle, no saved choice)
+ * @param {string} colorScheme - Validated `colorScheme` value
+ * @returns {boolean}
+ */
+export function isLockedColorScheme(colorScheme) {
+  return colorScheme === "light-only" || colorScheme === "dark-only";
+}
+
+/**
+ * Scheme a page is rendered in before any script runs
+ * In auto mode without the client hint this is light, and the inline script
+ * in the <head> switches to the system scheme before the first paint.
+ * @param {string} colorScheme - Validated `colorScheme` value (unset: auto)
+ * @param {string|null} systemScheme - Result of systemColorScheme
+ * @returns {"light"|"dark"}
+ */
+export function initialColorScheme(colorScheme, systemScheme = null) {
+  if (!colorScheme || colorScheme === "auto") return systemScheme || "light";
+  return colorScheme.replace(/-only$/, "");
+}
@@ -0,0 +1,410 @@
+import { jsonResponse, jsonError, readBody } from "./http.js";
+import { requireAdmin } from "./auth.js";
+import { t } from "./i18n.js";
+import { protectSubmission, sign, verifySignature } from "./protection.js";
+
+/**
+ * Email waitlist for coming-soon pages
+ *
+ * Subscribers are stored in the WAITLIST KV namespace, one key per address:
+ *   sub:<hostname>:<email>
+ * with { status, subscribedAt, confirmedAt, locale } as metadata, so an
+ * export only needs to list keys. Signing up again changes nothing and gets
+ * the same answer, so the form does not reveal who is already on the list.
+ *
+ * With `waitlistDoubleOptIn`, new subscribers stay "pending" until they open
+ * a confirmation link signed with the PARKOUR_SIGNING_SECRET secret (valid
+ * for 7 days). The link is POSTed as JSON to the PARKOUR_MAIL_WEBHOOK URL,
+ * which hands it to your mail provider. Signing up again while pending sends
+ * a new link at most once per CONFIRM_RESEND_MS, so the form can't be used
+ * to flood an inbox.
+ */
+
+export const WAITLIST_ROUTE = "/_parkour/waitlist";
+export const WAITLIST_CONFIRM_ROUTE = "/_parkour/waitlist/confirm";
+export const WAITLIST_EXPORT_ROUTE = "/_parkour/api/waitlist";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+const CONFIRM_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const CONFIRM_RESEND_MS = 60 * 60 * 1000;
+
+/**
+ * Build the KV key prefix for a domain's subscribers
+ * @param {string} hostname - Domain the signup was made on
+ * @returns {string}
+ */
+export function subscriberPrefix(hostname) {
+  return `sub:${hostname}:`;
+}
+
+/**
+ * Signed payload of a confirmation link
+ */
+function confirmationMessage(hostname, email, expires) {
+  return `waitlist:${hostname}:${email}:${expires}`;
+}
+
+/**
+ * Build the signed confirmation link for a subscriber
+ * @param {string} hostname - Domain the signup was made on
+ * @param {string} email - Normalized email address
+ * @param {string} secret - PARKOUR_SIGNING_SECRET
+ * @returns {Promise<string>}
+ */
+export async function confirmationUrl(hostname, email, secret) {
+  const expires = Date.now() + CONFIRM_TTL_MS;
+  const token = await sign(
+    secret,
+    confirmationMessage(hostname, email, expires)
+  );
+  const params = new URLSearchParams({ email, expires, token });
+  return `https://${hostname}${WAITLIST_CONFIRM_ROUTE}?${params}`;
+}
+
+/**
+ * Hand a confirmation email to the mail webhook
+ * @returns {Promise<boolean>} true if the webhook accepted it
+ */
+async function sendConfirmation(env, { hostname, email, url, locale }) {
+  if (!env.PARKOUR_MAIL_WEBHOOK) {
+    console.error(
+      "[Waitlist] waitlistDoubleOptIn needs the PARKOUR_MAIL_WEBHOOK variable"
+    );
+    return false;
+  }
+
+  try {
+    const response = await fetch(env.PARKOUR_MAIL_WEBHOOK, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        type: "waitlist_confirmation",
+        domain: hostname,
+        to: email,
+        locale,
+        confirmUrl: url,
+        subject: t(locale, "waitlist.confirmSubject", { domain: hostname }),
+        text: t(locale, "waitlist.confirmBody", { domain: hostname, url }),
+      }),
+    });
+    if (!response.ok) {
+      console.error(`[Waitlist] Mail webhook returned ${response.status}`);
+    }
+    return response.ok;
+  } catch (e) {
+    console.error(`[Waitlist] Mail webhook failed: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Metadata stored with each subscriber key (used by the export)
+ */
+function subscriberMetadata(record) {
+  return {
+    status: record.status,
+    subscribedAt: record.subscribedAt,
+    confirmedAt: record.confirmedAt,
+    locale: record.locale,
+  };
+}
+
+/**
+ * Handle a POST to the waitlist route
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and KV bindings
+ * @param {object} cfg - Final domain config from getConfig
+ * @param {string} hostname - Hostname the request was made on
+ * @returns {Promise<Response>}
+ */
+export async function handleWaitlistSignup(request, env, cfg, hostname) {
+  if (request.method !== "POST") {
+    return jsonError(405, "method_not_allowed", "Use POST to sign up.");
+  }
+
+  if (cfg.mode !== "coming-soon" || !cfg.waitlist) {
+    return jsonError(404, "not_found", "This domain has no waitlist.");
+  }
+
+  if (!env.WAITLIST) {
+    console.error("[Waitlist] WAITLIST KV namespace is not bound");
+    return jsonError(503, "unavailable", t(cfg.locale, "waitlist.failed"));
+  }
+
+  const body = await readBody(request);
+  if (!body) {
+    return jsonError(400, "invalid_body", "Could not read the submitted form.");
+  }
+
+  const doubleOptIn = cfg.waitlistDoubleOptIn === true;
+  const success = jsonResponse({
+    ok: true,
+    status: doubleOptIn ? "pending" : "subscribed",
+    message: t(
+      cfg.locale,
+      doubleOptIn ? "waitlist.checkInbox" : "waitlist.thanks"
+    ),
+  });
+
+  const { error, spam } = await protectSubmission(
+    request,
+    env,
+    cfg,
+    hostname,
+    body,
+    "waitlist"
+  );
+  if (error) return error;
+  if (spam) return success;
+
+  const email =
+    typeof body.email === "string" ? body.email.trim().toLowerCase() : "";
+  if (!email || email.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(email)) {
+    const message = t(
+      cfg.locale,
+      email ? "offer.emailInvalid" : "offer.emailRequired"
+    );
+    return jsonError(422, "invalid_input", message, { email: message });
+  }
+
+  if (doubleOptIn && !env.PARKOUR_SIGNING_SECRET) {
+    console.error(
+      "[Waitlist] waitlistDoubleOptIn needs the PARKOUR_SIGNING_SECRET secret"
+    );
+    return jsonError(503, "unavailable", t(cfg.locale, "waitlist.failed"));
+  }
+
+  const key = `${subscriberPrefix(hostname)}${email}`;
+  let existing;
+  let record;
+
+  try {
+    existing = await env.WAITLIST.get(key, { type: "json" });
+    if (existing && (existing.status === "confirmed" || !doubleOptIn)) {
+      return success;
+    }
+    // A recent link is still on its way: don't send another one yet
+    if (
+      existing &&
+      Date.now() - new Date(existing.confirmationSentAt).getTime() <
+        CONFIRM_RESEND_MS
+    ) {
+      return success;
+    }
+
+    record = {
+      email,
+      status: doubleOptIn ? "pending" : "confirmed",
+      subscribedAt: existing ? existing.subscribedAt : new Date().toISOString(),
+      confirmedAt: doubleOptIn ? null : new Date().toISOString(),
+      confirmationSentAt: doubleOptIn ? new Date().toISOString() : null,
+      locale: cfg.locale,
+      country: request.cf?.country || null,
+    };
+    await env.WAITLIST.put(key, JSON.stringify(record), {
+      metadata: subscriberMetadata(record),
+    });
+  } catch (e) {
+    console.error(`[Waitlist] Error storing ${hostname} signup: ${e.message}`);
+    return jsonError(500, "storage_error", t(cfg.locale, "waitlist.failed"));
+  }
+
+  if (doubleOptIn) {
+    const url = await confirmationUrl(
+      hostname,
+      email,
+      env.PARKOUR_SIGNING_SECRET
+    );
+    const sent = await sendConfirmation(env, {
+      hostname,
+      email,
+      url,
+      locale: cfg.locale,
+    });
+    if (!sent) {
+      // Nothing went out: let the visitor try again right away
+      record.confirmationSentAt = existing
+        ? existing.confirmationSentAt || null
+        : null;
+      await env.WAITLIST.put(key, JSON.stringify(record), {
+        metadata: subscriberMetadata(record),
+      }).catch((e) =>
+        console.error(
+          `[Waitlist] Error updating ${hostname} signup: ${e.message}`
+        )
+      );
+      return jsonError(
+        502,
+        "delivery_failed",
+        t(cfg.locale, "waitlist.failed")
+      );
+    }
+  }
+
+  return success;
+}
+
+/**
+ * Handle a click on a confirmation link
+ * Redirects back to the page with #waitlist-confirmed or #waitlist-invalid.
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and KV bindings
+ * @param {string} hostname - Hostname the request was made on
+ * @returns {Promise<Response>}
+ */
+export async function handleWaitlistConfirm(request, env, hostname) {
+  const url = new URL(request.url);
+  const email = (url.searchParams.get("email") || "").toLowerCase();
+  const expires = Number(url.searchParams.get("expires"));
+  const token = url.searchParams.get("token") || "";
+
+  const respond = (result) =>
+    new Response(null, {
+      status: 303,
+      headers: {
+        location: `/#waitlist-${result}`,
+        "cache-control": "no-store",
+      },
+    });
+
+  if (
+    !env.WAITLIST ||
+    !env.PARKOUR_SIGNING_SECRET ||
+    !email ||
+    !(expires > Date.now())
+  ) {
+    return respond("invalid");
+  }
+
+  const valid = await verifySignature(
+    env.PARKOUR_SIGNING_SECRET,
+    confirmationMessage(hostname, email, expires),
+    token
+  );
+  if (!valid) {
+    return respond("invalid");
+  }
+
+  const key = `${subscriberPrefix(hostname)}${email}`;
+  try {
+    const record = await env.WAITLIST.get(key, { type: "json" });
+    if (!record) return respond("invalid");
+
+    if (record.status !== "confirmed") {
+      record.status = "confirmed";
+      record.confirmedAt = new Date().toISOString();
+      await env.WAITLIST.put(key, JSON.stringify(record), {
+        metadata: subscriberMetadata(record),
+      });
+    }
+  } catch (e) {
+    console.error(`[Waitlist] Error confirming ${hostname}: ${e.message}`);
+    return respond("invalid");
+  }
+
+  return respond("confirmed");
+}
+
+/**
+ * Quote a CSV cell
+ * Cells that a spreadsheet would read as a formula are prefixed with '.
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Handle GET /_parkour/api/waitlist?domain=example.com[&format=csv][&status=confirmed]
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables and KV bindings
+ * @returns {Promise<Response>}
+ */
+export async function handleWaitlistExport(request, env) {
+  const unauthorized = await requireAdmin(request, env);
+  if (unauthorized) return unauthorized;
+
+  if (request.method !== "GET") {
+    return jsonError(
+      405,
+      "method_not_allowed",
+      "Use GET to export the waitlist."
+    );
+  }
+
+  if (!env.WAITLIST) {
+    return jsonError(
+      503,
+      "not_configured",
+      "The WAITLIST KV namespace is not bound."
+    );
+  }
+
+  const url = new URL(request.url);
+  const domain = (url.searchParams.get("domain") || "").toLowerCase();
+  const format = url.searchParams.get("format") || "json";
+  const status = url.searchParams.get("status");
+
+  if (!domain) {
+    return jsonError(400, "invalid_query", "The domain parameter is required.");
+  }
+  if (format !== "json" && format !== "csv") {
+    return jsonError(400, "invalid_query", 'format must be "json" or "csv".');
+  }
+
+  const prefix = subscriberPrefix(domain);
+  const subscribers = [];
+  try {
+    let cursor;
+    do {
+      const page = await env.WAITLIST.list({ prefix, cursor });
+      for (const key of page.keys) {
+        const metadata = key.metadata || {};
+        if (status && metadata.status !== status) continue;
+        subscribers.push({
+          email: key.name.slice(prefix.length),
+          status: metadata.status || null,
+          subscribedAt: metadata.subscribedAt || null,
+          confirmedAt: metadata.confirmedAt || null,
+          locale: metadata.locale || null,
+        });
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+  } catch (e) {
+    console.error(`[Waitlist] Error exporting ${domain}: ${e.message}`);
+    return jsonError(500, "storage_error", "The waitlist could not be loaded.");
+  }
+
+  if (format === "csv") {
+    const columns = [
+      "email",
+      "status",
+      "subscribedAt",
+      "confirmedAt",
+      "locale",
+    ];
+    const rows = subscribers.map((subscriber) =>
+      columns.map((column) => csvCell(subscriber[column])).join(",")
+    );
+    return new Response([columns.join(","), ...rows].join("\r\n") + "\r\n", {
+      headers: {
+        "content-type": "text/csv;charset=UTF-8",
+        "content-disposition": `attachment; filename="waitlist-${domain.replace(
+          /[^a-z0-9.-]/g,
+          "_"
+        )}.csv"`,
+        "cache-control": "no-store",
+      },
+    });
+  }
+
+  return jsonResponse({
+    ok: true,
+    domain,
+    count: subscribers.length,
+    subscribers,
+  });
+}
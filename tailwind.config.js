@@ -0,0 +1,32 @@
+/** @type {import('tailwindcss').Config} */
+
+// Grays, white and the page background read CSS variables ("r g b"), so a
+// theme can restyle every page (see src/theme.js and src/styles/core.css)
+const rgbVariable = (name) => `rgb(var(--${name}) / <alpha-value>)`;
+const grays = Object.fromEntries(
+  [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950].map((shade) => [
+    shade,
+    rgbVariable(`gray-${shade}`),
+  ])
+);
+
+module.exports = {
+  content: ["./src/**/*.js"],
+  darkMode: "class",
+  theme: {
+    extend: {
+      colors: {
+        gray: grays,
+        white: rgbVariable("color-white"),
+        page: rgbVariable("color-page"),
+      },
+      borderRadius: {
+        sm: "calc(var(--radius) * 0.25)",
+        md: "calc(var(--radius) * 0.75)",
+        lg: "var(--radius)",
+        xl: "calc(var(--radius) * 1.5)",
+      },
+    },
+  },
+  plugins: [],
+};
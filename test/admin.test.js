@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN_API_ROUTE, handleAdminRequest } from "../src/admin.js";
+import { createKV } from "./helpers.js";
+
+const TOKEN = "test-token";
+
+function adminRequest(path, method = "GET", body = undefined) {
+  return new Request(`https://example.com${ADMIN_API_ROUTE}${path}`, {
+    method,
+    headers: {
+      authorization: `Bearer ${TOKEN}`,
+      "content-type": "application/json",
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+function createEnv() {
+  return { PARKOUR_ADMIN_TOKEN: TOKEN, DOMAIN_CONFIGS: createKV() };
+}
+
+test("malformed percent-encoding is a 400, not a crash", async () => {
+  const response = await handleAdminRequest(adminRequest("/%E0"), createEnv());
+  assert.equal(response.status, 400);
+  const { error } = await response.json();
+  assert.equal(error.code, "invalid_key");
+});
+
+test("manages the rate table", async () => {
+  const env = createEnv();
+  const table = { base: "USD", rates: { EUR: 0.92, GBP: 0.79 } };
+
+  const created = await handleAdminRequest(
+    adminRequest("/_rates", "POST", table),
+    env
+  );
+  assert.equal(created.status, 201);
+  assert.deepEqual(await env.DOMAIN_CONFIGS.get("_rates", "json"), table);
+
+  const invalid = await handleAdminRequest(
+    adminRequest("/_rates", "PUT", { base: "usd", rates: { EUR: -1 } }),
+    env
+  );
+  assert.equal(invalid.status, 422);
+  const { error } = await invalid.json();
+  assert.deepEqual(
+    error.details.map((detail) => detail.field),
+    ["base", "rates.EUR"]
+  );
+});
+
+test("does not expose the config version key", async () => {
+  const response = await handleAdminRequest(
+    adminRequest("/_config_version"),
+    createEnv()
+  );
+  assert.equal(response.status, 400);
+});
+
+test("PATCH merges nested objects and validates the result", async () => {
+  const env = createEnv();
+  await env.DOMAIN_CONFIGS.put(
+    "example.com",
+    JSON.stringify({
+      mode: "parking",
+      seo: { title: "Example", description: "For sale" },
+    })
+  );
+
+  const patched = await handleAdminRequest(
+    adminRequest("/example.com", "PATCH", { seo: { noindex: true } }),
+    env
+  );
+  assert.equal(patched.status, 200);
+  assert.deepEqual(await env.DOMAIN_CONFIGS.get("example.com", "json"), {
+    mode: "parking",
+    seo: { title: "Example", description: "For sale", noindex: true },
+  });
+
+  await env.DOMAIN_CONFIGS.put(
+    "_rates",
+    JSON.stringify({ base: "USD", rates: { EUR: 0.92, GBP: 0.79 } })
+  );
+  // Valid once merged, though the body alone has no base currency
+  const rates = await handleAdminRequest(
+    adminRequest("/_rates", "PATCH", { rates: { EUR: 0.9 } }),
+    env
+  );
+  assert.equal(rates.status, 200);
+  assert.deepEqual(await env.DOMAIN_CONFIGS.get("_rates", "json"), {
+    base: "USD",
+    rates: { EUR: 0.9, GBP: 0.79 },
+  });
+
+  const invalid = await handleAdminRequest(
+    adminRequest("/_rates", "PATCH", { rates: { GBP: -1 } }),
+    env
+  );
+  assert.equal(invalid.status, 422);
+  const { error } = await invalid.json();
+  assert.deepEqual(
+    error.details.map((detail) => detail.field),
+    ["rates.GBP"]
+  );
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  AnalyticsCounter,
+  COLLECT_ROUTE,
+  STATS_ROUTE,
+  handleCollect,
+  handleStatsRequest,
+  recordPageView,
+} from "../src/analytics.js";
+import { RATE_LIMITS, RateLimiter } from "../src/protection.js";
+import { createContext, createDurableObjects } from "./helpers.js";
+
+const HOST = "example.com";
+const TOKEN = "test-token";
+const cfg = { mode: "parking" };
+
+function createEnv() {
+  return {
+    PARKOUR_ADMIN_TOKEN: TOKEN,
+    ANALYTICS: createDurableObjects(AnalyticsCounter),
+    RATE_LIMITER: createDurableObjects(RateLimiter),
+  };
+}
+
+function pageRequest(ip, userAgent = "Mozilla/5.0") {
+  return new Request(`https://${HOST}/`, {
+    headers: { "cf-connecting-ip": ip, "user-agent": userAgent },
+  });
+}
+
+function beacon(body, ip = "203.0.113.7") {
+  return new Request(`https://${HOST}${COLLECT_ROUTE}`, {
+    method: "POST",
+    headers: { "cf-connecting-ip": ip },
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Today's totals from the stats API
+ */
+async function readTotals(env) {
+  const response = await handleStatsRequest(
+    new Request(`https://${HOST}${STATS_ROUTE}?domain=${HOST}`, {
+      headers: { authorization: `Bearer ${TOKEN}` },
+    }),
+    env
+  );
+  assert.equal(response.status, 200);
+  const { totals, days } = await response.json();
+  assert.equal(days.length, 30);
+  return totals;
+}
+
+test("counts views, unique visitors and bots", async () => {
+  const env = createEnv();
+  for (const ip of ["203.0.113.7", "203.0.113.7", "198.51.100.1"]) {
+    await recordPageView(pageRequest(ip), env, cfg, HOST);
+  }
+  await recordPageView(pageRequest("192.0.2.1", "Googlebot"), env, cfg, HOST);
+
+  const totals = await readTotals(env);
+  assert.equal(totals.views, 3);
+  assert.equal(totals.visitors, 2);
+  assert.equal(totals.bots, 1);
+  assert.deepEqual(totals.modes, { parking: 3 });
+  assert.deepEqual(totals.referrers, { "(direct)": 3 });
+});
+
+test("counts click beacons and limits them per IP", async () => {
+  const env = createEnv();
+  const ctx = createContext();
+  const { max } = RATE_LIMITS.collect.ip;
+
+  for (let i = 0; i < max; i++) {
+    const response = await handleCollect(
+      beacon({ target: "link", label: "Docs" }),
+      env,
+      cfg,
+      HOST,
+      ctx
+    );
+    assert.equal(response.status, 204);
+  }
+  // Over the limit, beacons are dropped with the same answer
+  const limited = await handleCollect(
+    beacon({ target: "link", label: "Docs" }),
+    env,
+    cfg,
+    HOST,
+    ctx
+  );
+  assert.equal(limited.status, 204);
+
+  await ctx.drain();
+  const totals = await readTotals(env);
+  assert.deepEqual(totals.clicks, { "link:Docs": max });
+});
+
+test("deletes visitor markers after two days", async () => {
+  const env = createEnv();
+  await recordPageView(pageRequest("203.0.113.7"), env, cfg, HOST);
+
+  const counter = env.ANALYTICS.instances.get(HOST);
+  const { data } = counter.storage;
+  const today = new Date().toISOString().slice(0, 10);
+  const expiry = new Date(`${today}T00:00:00Z`).getTime() + 2 * 86400000;
+  assert.equal(counter.storage.alarm, expiry);
+
+  // Markers left from earlier days
+  data.set("salt:2000-01-01", "old");
+  data.set("visitor:2000-01-01:abc", 1);
+  await counter.alarm();
+
+  assert.deepEqual(
+    [...data.keys()].map((key) => key.replace(/:[0-9a-f]{64}$/, ":<hash>")),
+    [`salt:${today}`, `visitor:${today}:<hash>`, `stats:${today}`]
+  );
+  assert.equal(counter.storage.alarm, expiry);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyProfiles, resolveConfig } from "../src/config-lookup.js";
+
+const CONFIGS = {
+  _default: { mode: "landing", seo: { noindex: true } },
+  "_profile:brokerage": { contactEmail: "sales@example.com" },
+  "plain.com": { extends: "brokerage", mode: "parking" },
+  "opted-in.com": { extends: ["_default", "brokerage"], mode: "parking" },
+};
+
+const load = async (key) => CONFIGS[key] || null;
+
+async function lookup(hostname) {
+  return (await applyProfiles(await resolveConfig(hostname, load), load))
+    .config;
+}
+
+test("_default is only merged into configs that extend it", async () => {
+  assert.deepEqual(await lookup("plain.com"), {
+    contactEmail: "sales@example.com",
+    mode: "parking",
+  });
+  assert.deepEqual(await lookup("opted-in.com"), {
+    seo: { noindex: true },
+    contactEmail: "sales@example.com",
+    mode: "parking",
+  });
+  // Hosts without a config still fall back to it
+  assert.deepEqual(await lookup("other.com"), CONFIGS._default);
+});
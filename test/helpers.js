@@ -0,0 +1,152 @@
+/**
+ * Test doubles for the Workers platform
+ */
+
+/**
+ * In-memory KV namespace with the parts of the API the Worker uses
+ * `failWrites` makes every put/delete throw, like an exhausted write quota.
+ * list() returns `pageSize` keys per page, with a cursor for the next one.
+ */
+export function createKV(entries = {}, { pageSize = 1000 } = {}) {
+  const store = new Map(Object.entries(entries));
+  return {
+    store,
+    failWrites: false,
+    async get(key, options = {}) {
+      const type = typeof options === "string" ? options : options.type;
+      if (!store.has(key)) return null;
+      const value = store.get(key).value;
+      return type === "json" ? JSON.parse(value) : value;
+    },
+    async getWithMetadata(key, options) {
+      const value = await this.get(key, options);
+      return { value, metadata: store.get(key)?.metadata ?? null };
+    },
+    async put(key, value, options = {}) {
+      if (this.failWrites) throw new Error("KV put() limit exceeded");
+      store.set(key, { value: String(value), metadata: options.metadata });
+    },
+    async delete(key) {
+      if (this.failWrites) throw new Error("KV delete() limit exceeded");
+      store.delete(key);
+    },
+    async list({ prefix = "", cursor } = {}) {
+      const names = [...store.keys()]
+        .filter((name) => name.startsWith(prefix))
+        .sort();
+      const start = cursor ? Number(cursor) : 0;
+      const keys = names
+        .slice(start, start + pageSize)
+        .map((name) => ({ name, metadata: store.get(name).metadata }));
+      const end = start + keys.length;
+      return end < names.length
+        ? { keys, list_complete: false, cursor: String(end) }
+        : { keys, list_complete: true };
+    },
+  };
+}
+
+/**
+ * In-memory Cache API (`caches`) keeping responses by URL
+ */
+export function createCaches() {
+  const store = new Map();
+  return {
+    store,
+    default: {
+      async match(key) {
+        return store.has(key) ? store.get(key).clone() : undefined;
+      },
+      async put(key, response) {
+        store.set(key, response.clone());
+      },
+    },
+  };
+}
+
+/**
+ * Execution context that collects waitUntil promises
+ */
+export function createContext() {
+  const waits = [];
+  return {
+    waits,
+    waitUntil(promise) {
+      waits.push(promise);
+    },
+    async drain() {
+      while (waits.length > 0) await waits.shift();
+    },
+  };
+}
+
+/**
+ * Durable Object namespace running instances of a class in memory
+ * Alarms are recorded on the instance's storage (`alarm`), not scheduled.
+ */
+export function createDurableObjects(ObjectClass) {
+  const instances = new Map();
+  return {
+    instances,
+    failRequests: false,
+    idFromName(name) {
+      return name;
+    },
+    get(id) {
+      const namespace = this;
+      if (!instances.has(id)) {
+        instances.set(id, new ObjectClass({ storage: createStorage() }, {}));
+      }
+      return {
+        async fetch(url, init) {
+          if (namespace.failRequests) {
+            throw new Error("Durable Object is overloaded");
+          }
+          return instances.get(id).fetch(new Request(url, init));
+        },
+      };
+    },
+  };
+}
+
+/**
+ * In-memory Durable Object storage
+ */
+function createStorage() {
+  const data = new Map();
+  return {
+    data,
+    alarm: null,
+    async get(key) {
+      if (Array.isArray(key)) {
+        const found = key.filter((name) => data.has(name));
+        return new Map(
+          found.map((name) => [name, structuredClone(data.get(name))])
+        );
+      }
+      return structuredClone(data.get(key));
+    },
+    async put(key, value) {
+      data.set(key, structuredClone(value));
+    },
+    async delete(keys) {
+      for (const key of [].concat(keys)) data.delete(key);
+    },
+    async list({ prefix = "", end, limit = Infinity } = {}) {
+      const keys = [...data.keys()]
+        .filter((key) => key.startsWith(prefix) && !(end && key >= end))
+        .sort()
+        .slice(0, limit);
+      return new Map(keys.map((key) => [key, structuredClone(data.get(key))]));
+    },
+    async deleteAll() {
+      data.clear();
+    },
+    async getAlarm() {
+      return this.alarm;
+    },
+    async setAlarm(time) {
+      this.alarm = time;
+    },
+  };
+}
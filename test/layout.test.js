@@ -0,0 +1,65 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFile, writeFile } from "node:fs/promises";
+import worker from "../src/index.js";
+import examples from "../config.dev.local.example.json";
+import { createContext } from "./helpers.js";
+
+/**
+ * Snapshots of the bundled example configs, recorded from the pages as they
+ * were before block layouts: the mode presets must render the same markup.
+ * Run with UPDATE_SNAPSHOTS=1 to record a deliberate markup change.
+ */
+
+const SNAPSHOTS = new URL("./snapshots/", import.meta.url);
+
+/**
+ * Page body without scripts and comments, one tag per line, and without the
+ * empty wrappers the old templates left around missing sections
+ */
+function normalizeBody(html) {
+  let body = html
+    .slice(html.indexOf("<body"))
+    .replace(/<script[\s\S]*?<\/script>/g, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/>\s*</g, ">\n<")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s*/g, "\n");
+
+  let previous;
+  do {
+    previous = body;
+    body = body.replace(/<div class="[^"]*">\n<\/div>\n/g, "");
+  } while (body !== previous);
+
+  return body;
+}
+
+/**
+ * Snapshot file name for an example config
+ */
+function snapshotName(example, index) {
+  const slug = example.name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  return `${index}-${slug}.html`;
+}
+
+for (const [index, example] of examples.entries()) {
+  test(`example "${example.name}" renders its recorded markup`, async () => {
+    mock.method(console, "log", () => {});
+    const response = await worker.fetch(
+      new Request(`http://localhost/?themeIndex=${index}`),
+      {},
+      createContext()
+    );
+    mock.restoreAll();
+
+    const body = normalizeBody(await response.text());
+    const file = new URL(snapshotName(example, index), SNAPSHOTS);
+
+    if (process.env.UPDATE_SNAPSHOTS) {
+      await writeFile(file, body);
+      return;
+    }
+    assert.equal(body, await readFile(file, "utf8"));
+  });
+}
@@ -0,0 +1,51 @@
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+/**
+ * Module loader hooks for the tests
+ *   - .js files of this project are ES modules (package.json has no "type")
+ *   - .css files are imported as text, like the "Text" rule in wrangler.toml
+ *   - .json files are imported as their parsed value, as wrangler bundles them
+ *   - .wasm files are compiled modules and .ttf files ArrayBuffers, like the
+ *     "CompiledWasm" and "Data" module rules
+ */
+
+const PROJECT_URL = new URL("../", import.meta.url).href;
+
+export async function load(url, context, nextLoad) {
+  if (url.endsWith(".css")) {
+    const source = await readFile(fileURLToPath(url), "utf8");
+    return {
+      format: "module",
+      source: `export default ${JSON.stringify(source)};`,
+      shortCircuit: true,
+    };
+  }
+  if (url.endsWith(".wasm") || url.endsWith(".ttf")) {
+    const bytes = `readFileSync(new URL(${JSON.stringify(url)}))`;
+    const value = url.endsWith(".wasm")
+      ? `new WebAssembly.Module(${bytes})`
+      : `new Uint8Array(${bytes}).buffer`;
+    return {
+      format: "module",
+      source: `import { readFileSync } from "node:fs";\nexport default ${value};`,
+      shortCircuit: true,
+    };
+  }
+  if (url.endsWith(".json")) {
+    const source = await readFile(fileURLToPath(url), "utf8");
+    return {
+      format: "module",
+      source: `export default ${source};`,
+      shortCircuit: true,
+    };
+  }
+  if (
+    url.startsWith(PROJECT_URL) &&
+    url.endsWith(".js") &&
+    !url.includes("/node_modules/")
+  ) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
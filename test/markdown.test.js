@@ -0,0 +1,174 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  markdownToText,
+  renderInlineMarkdown,
+  renderMarkdown,
+  renderMarkdownText,
+} from "../src/templates/markdown.js";
+
+/**
+ * Hrefs of all links in rendered HTML
+ */
+function hrefs(html) {
+  return [...html.matchAll(/href="([^"]*)"/g)].map((match) => match[1]);
+}
+
+test("renders links", () => {
+  assert.equal(
+    renderInlineMarkdown("[Docs](https://example.com/docs)"),
+    '<a href="https://example.com/docs" target="_blank" rel="noopener noreferrer" class="underline">Docs</a>'
+  );
+  assert.equal(
+    renderInlineMarkdown("[Privacy](/privacy)"),
+    '<a href="/privacy" class="underline">Privacy</a>'
+  );
+});
+
+test("keeps balanced parentheses in link URLs", () => {
+  const html = renderInlineMarkdown(
+    "See [x](https://en.wikipedia.org/wiki/Foo_(bar)) for more"
+  );
+  assert.deepEqual(hrefs(html), ["https://en.wikipedia.org/wiki/Foo_(bar)"]);
+  assert.match(html, /<\/a> for more$/);
+
+  // A closing parenthesis after the link is text
+  assert.match(
+    renderInlineMarkdown("(see [x](https://example.com))"),
+    /^\(see <a [^>]+>x<\/a>\)$/
+  );
+});
+
+test("drops javascript: and data: link URLs", () => {
+  for (const href of [
+    "javascript:alert(1)",
+    "JavaScript:alert(1)",
+    "data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==",
+    "vbscript:msgbox(1)",
+  ]) {
+    const html = renderInlineMarkdown(`[click](${href})`);
+    assert.equal(html, "click", href);
+  }
+});
+
+test("does not link URLs with whitespace", () => {
+  const html = renderInlineMarkdown("[click](java\tscript:alert(1))");
+  assert.doesNotMatch(html, /<a /);
+});
+
+test("entity-obfuscated link URLs stay inert", () => {
+  for (const href of [
+    "&#106;avascript:alert(1)",
+    "javascript&colon;alert(1)",
+    "&#x6A;avascript&#58;alert(1)",
+  ]) {
+    const html = renderInlineMarkdown(`[click](${href})`);
+    for (const value of hrefs(html)) {
+      // The browser decodes the attribute once: "&amp;#106;" -> "&#106;",
+      // a relative URL, never a scheme
+      const decoded = value.replace(/&amp;/g, "&");
+      assert.doesNotMatch(decoded, /^[a-z]+:/i, href);
+      assert.doesNotMatch(value, /&#|&colon;/, href);
+    }
+  }
+});
+
+test("shows raw HTML as text", () => {
+  assert.equal(
+    renderMarkdown("<script>alert(1)</script>"),
+    "<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>"
+  );
+  assert.equal(
+    renderMarkdown('<img src=x onerror="alert(1)">'),
+    "<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>"
+  );
+  assert.doesNotMatch(
+    renderMarkdown("**<svg onload=alert(1)>**\n\n- <iframe src=x>"),
+    /<(svg|iframe)/
+  );
+});
+
+test("link text and URLs cannot break out of the attribute", () => {
+  const label = renderInlineMarkdown(
+    '[" onmouseover="alert(1)](https://a.com)'
+  );
+  assert.doesNotMatch(label, /" onmouseover=/);
+
+  const url = renderInlineMarkdown('[x](https://a.com/"onmouseover="alert(1))');
+  assert.deepEqual(hrefs(url), [
+    "https://a.com/&quot;onmouseover=&quot;alert(1)",
+  ]);
+
+  // Link titles are not supported: the whole thing stays text
+  const title = renderInlineMarkdown(
+    '[x](https://a.com "title" onclick="alert(1)")'
+  );
+  assert.doesNotMatch(title, /<a /);
+  assert.doesNotMatch(title, /onclick="/);
+});
+
+test("renders nested and unbalanced emphasis", () => {
+  assert.equal(
+    renderInlineMarkdown("**bold *and italic***"),
+    "<strong>bold <em>and italic</em></strong>"
+  );
+  assert.equal(
+    renderInlineMarkdown("*italic* and **bold**"),
+    "<em>italic</em> and <strong>bold</strong>"
+  );
+  assert.equal(
+    renderInlineMarkdown("**a** and **b**"),
+    "<strong>a</strong> and <strong>b</strong>"
+  );
+  assert.equal(renderInlineMarkdown("*unclosed **bold"), "*unclosed **bold");
+  assert.equal(renderInlineMarkdown("2 * 3 * 4"), "2 * 3 * 4");
+  assert.equal(renderInlineMarkdown("***"), "***");
+});
+
+test("code spans are not formatted", () => {
+  assert.equal(
+    renderInlineMarkdown("`**not bold** [x](https://a.com)`"),
+    "<code>**not bold** [x](https://a.com)</code>"
+  );
+  assert.equal(renderInlineMarkdown("`<b>`"), "<code>&lt;b&gt;</code>");
+});
+
+test("input cannot forge the internal placeholders", () => {
+  // Code spans and links are held as \u0000<index>\u0000 while rendering
+  assert.equal(
+    renderInlineMarkdown("\u00000\u0000 `code`"),
+    "0 <code>code</code>"
+  );
+  assert.equal(renderInlineMarkdown("\u00005\u0000"), "5");
+  assert.doesNotMatch(
+    renderInlineMarkdown("[\u00000\u0000](https://a.com) `x`"),
+    /\u0000|undefined/
+  );
+});
+
+test("renders block structure", () => {
+  assert.equal(
+    renderMarkdown("# Title\nSome *text*\n\n- one\n- two\n\n1. first"),
+    [
+      "<h2>Title</h2>",
+      "<p>Some <em>text</em></p>",
+      "<ul><li>one</li><li>two</li></ul>",
+      "<ol><li>first</li></ol>",
+    ].join("\n")
+  );
+});
+
+test("markdown text fields", () => {
+  assert.equal(
+    renderMarkdownText("Just **one** line"),
+    "Just <strong>one</strong> line"
+  );
+  assert.equal(
+    renderMarkdownText("# not a heading\n\n<b>x</b>"),
+    '<div class="markdown-text"><p># not a heading</p>\n<p>&lt;b&gt;x&lt;/b&gt;</p></div>'
+  );
+  assert.equal(
+    markdownToText("**Tom & Jerry** <3 [site](https://a.com)"),
+    "Tom & Jerry <3 site"
+  );
+});
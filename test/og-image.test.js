@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  OG_IMAGE_HEIGHT,
+  OG_IMAGE_ROUTE,
+  OG_IMAGE_WIDTH,
+  handleOgImageRequest,
+  ogImageUrl,
+  renderOgImage,
+} from "../src/templates/og-image.js";
+import { createContext } from "./helpers.js";
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const cfg = {
+  domain: "example.com",
+  mode: "parking",
+  status: "available",
+  domainTitle: "example.com",
+  title: "Premium <Domain> & more",
+  price: { amount: 5000, currency: "USD", text: null },
+  accentColor: "#3cbfa3",
+};
+
+test("serves the card as a PNG of the advertised size", async () => {
+  const response = await handleOgImageRequest(
+    new Request(ogImageUrl(cfg)),
+    cfg,
+    createContext()
+  );
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "image/png");
+  assert.match(response.headers.get("cache-control"), /immutable/);
+
+  const png = new Uint8Array(await response.arrayBuffer());
+  assert.deepEqual([...png.slice(0, 8)], PNG_SIGNATURE);
+  // Width and height are the first fields of the IHDR chunk
+  const header = new DataView(png.buffer, png.byteOffset + 16, 8);
+  assert.equal(header.getUint32(0), OG_IMAGE_WIDTH);
+  assert.equal(header.getUint32(4), OG_IMAGE_HEIGHT);
+});
+
+test("answers 304 for the current version", async () => {
+  const first = await handleOgImageRequest(
+    new Request(`https://example.com${OG_IMAGE_ROUTE}`),
+    cfg,
+    createContext()
+  );
+  assert.equal(first.headers.get("cache-control"), "public, max-age=300");
+
+  const second = await handleOgImageRequest(
+    new Request(ogImageUrl(cfg), {
+      headers: { "if-none-match": first.headers.get("etag") },
+    }),
+    cfg,
+    createContext()
+  );
+  assert.equal(second.status, 304);
+});
+
+test("falls back to the hostname for text the font can't draw", () => {
+  const texts = (svg) =>
+    [...svg.matchAll(/<text[^>]*>([^<]*)<\/text>/g)].map((match) => match[1]);
+
+  const nonLatin = renderOgImage({
+    ...cfg,
+    domain: "xn--eckwd4c7c.jp",
+    domainTitle: "ドメイン.jp",
+    title: "موقع للبيع",
+  });
+  assert.deepEqual(texts(nonLatin), [
+    "FOR SALE",
+    "xn--eckwd4c7c.jp",
+    "Available for $5,000",
+  ]);
+
+  // Latin, Greek and Cyrillic are covered by Inter
+  const covered = renderOgImage({
+    ...cfg,
+    domainTitle: "Café Zürich",
+    title: "Ελληνικά и кириллица",
+  });
+  assert.deepEqual(texts(covered).slice(1, 3), [
+    "Café Zürich",
+    "Ελληνικά и кириллица",
+  ]);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cachePage, pageCacheHeaders } from "../src/page-cache.js";
+import { createContext } from "./helpers.js";
+
+const cfg = { mode: "parking" };
+
+/**
+ * Rendered page response with its cache headers
+ */
+async function renderedPage(formToken) {
+  const html = `<form><input name="_token" value="${formToken}"></form>`;
+  const headers = await pageCacheHeaders({ ...cfg, formToken }, null, html);
+  return new Response(html, {
+    headers: { "content-type": "text/html", ...headers },
+  });
+}
+
+test("the ETag does not change with the form token", async () => {
+  const first = await renderedPage("1700000000000.abc");
+  const second = await renderedPage("1700000005000.def");
+  assert.equal(first.headers.get("etag"), second.headers.get("etag"));
+});
+
+test("answers 304 for a freshly rendered page the visitor has", async () => {
+  const rendered = await renderedPage("1700000000000.abc");
+  const request = new Request("https://example.com/", {
+    headers: { "if-none-match": rendered.headers.get("etag") },
+  });
+
+  const response = cachePage(request, null, rendered, createContext());
+  assert.equal(response.status, 304);
+  assert.equal(response.headers.get("x-page-cache"), "miss");
+  assert.equal(response.headers.get("x-parkour-form-token"), null);
+
+  const other = cachePage(
+    new Request("https://example.com/", {
+      headers: { "if-none-match": 'W/"other"' },
+    }),
+    null,
+    await renderedPage("1700000000000.abc"),
+    createContext()
+  );
+  assert.equal(other.status, 200);
+});
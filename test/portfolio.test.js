@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPortfolio } from "../src/portfolio.js";
+import { createCaches, createContext, createKV } from "./helpers.js";
+
+const CONFIGS = {
+  "alpha.com": {
+    mode: "parking",
+    status: "available",
+    domainTitle: "Alpha",
+    title: "A short name",
+  },
+  "beta.com": { mode: "parking", status: "sold", domainTitle: "Beta" },
+  "gamma.com": { mode: "landing", domainTitle: "Gamma" },
+  "hub.com": { mode: "portfolio" },
+};
+
+function createEnv() {
+  const entries = {};
+  for (const [hostname, config] of Object.entries(CONFIGS)) {
+    entries[hostname] = { value: JSON.stringify(config) };
+  }
+  return { DOMAIN_CONFIGS: createKV(entries) };
+}
+
+test("keeps the built list in the edge cache", async (t) => {
+  globalThis.caches = createCaches();
+  t.after(() => delete globalThis.caches);
+
+  const loaded = [];
+  const loadConfig = async (hostname) => {
+    loaded.push(hostname);
+    return { config: { status: "available", ...CONFIGS[hostname] } };
+  };
+  const env = createEnv();
+  const cfg = { domain: "hub.com" };
+  const cacheKey = "https://hub.com/_parkour/portfolio-cache?config=1";
+
+  const ctx = createContext();
+  const first = await loadPortfolio(cfg, env, loadConfig, { cacheKey, ctx });
+  await ctx.drain();
+  assert.deepEqual(
+    first.map((item) => item.domain),
+    ["alpha.com"]
+  );
+  assert.deepEqual(loaded, ["alpha.com", "beta.com", "gamma.com"]);
+
+  const second = await loadPortfolio(cfg, env, loadConfig, {
+    cacheKey,
+    ctx: createContext(),
+  });
+  assert.deepEqual(second, first);
+  assert.equal(loaded.length, 3);
+
+  // Without a key (dev hosts) the list is built every time
+  await loadPortfolio(cfg, env, loadConfig);
+  assert.equal(loaded.length, 6);
+});
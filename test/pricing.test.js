@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAmount, parsePrice } from "../src/pricing.js";
+
+test("parses amounts", () => {
+  assert.equal(parseAmount(25000), 25000);
+  assert.equal(parseAmount("25000"), 25000);
+  assert.equal(parseAmount("25,000"), 25000);
+  assert.equal(parseAmount("$1,500.50"), 1500.5);
+  assert.equal(parseAmount("30,000 USD"), 30000);
+  assert.equal(parseAmount(" 100000 "), 100000);
+  assert.equal(parseAmount("0"), 0);
+});
+
+test("rejects amounts it would have to guess", () => {
+  for (const value of [
+    "1e5",
+    "-6000",
+    -6000,
+    "30.000 €",
+    "1.500,00",
+    "25,00",
+    "1,5000",
+    "12abc",
+    "",
+    "$",
+    NaN,
+    Infinity,
+    null,
+  ]) {
+    assert.equal(parseAmount(value), null, String(value));
+  }
+});
+
+test("parses free-form prices", () => {
+  assert.deepEqual(parsePrice("30,000 USD"), { price: 30000, currency: "USD" });
+  assert.deepEqual(parsePrice("$25,000"), { price: 25000, currency: "USD" });
+  assert.equal(parsePrice("Make an offer"), null);
+});
@@ -0,0 +1,167 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  HONEYPOT_FIELD,
+  RATE_LIMITS,
+  RateLimiter,
+  TOKEN_FIELD,
+  TURNSTILE_FIELD,
+  issueFormToken,
+  protectSubmission,
+  setTurnstileVerifier,
+  sign,
+} from "../src/protection.js";
+import { createDurableObjects } from "./helpers.js";
+
+const HOST = "example.com";
+const SECRET = "test-secret";
+const cfg = { locale: "en" };
+
+function formRequest(ip = "203.0.113.7") {
+  return new Request(`https://${HOST}/_parkour/offer`, {
+    method: "POST",
+    headers: { "cf-connecting-ip": ip },
+  });
+}
+
+/**
+ * Time token as issued `age` milliseconds ago
+ */
+async function tokenIssued(age) {
+  const issuedAt = Date.now() - age;
+  return `${issuedAt}.${await sign(SECRET, `form:${HOST}:${issuedAt}`)}`;
+}
+
+test("honeypot hits are dropped as spam", async () => {
+  const result = await protectSubmission(
+    formRequest(),
+    {},
+    cfg,
+    HOST,
+    { [HONEYPOT_FIELD]: "https://spam.example" },
+    "offer"
+  );
+  assert.deepEqual(result, { spam: true });
+});
+
+test("limits submissions per IP", async () => {
+  const env = { RATE_LIMITER: createDurableObjects(RateLimiter) };
+  const { max } = RATE_LIMITS.offer.ip;
+
+  for (let i = 0; i < max; i++) {
+    const result = await protectSubmission(
+      formRequest(),
+      env,
+      cfg,
+      HOST,
+      {},
+      "offer"
+    );
+    assert.deepEqual(result, {});
+  }
+
+  const { error } = await protectSubmission(
+    formRequest(),
+    env,
+    cfg,
+    HOST,
+    {},
+    "offer"
+  );
+  assert.equal(error.status, 429);
+  assert.ok(Number(error.headers.get("retry-after")) > 0);
+  assert.equal((await error.json()).error.code, "rate_limited");
+
+  // Another visitor is still let through
+  const other = await protectSubmission(
+    formRequest("198.51.100.1"),
+    env,
+    cfg,
+    HOST,
+    {},
+    "offer"
+  );
+  assert.deepEqual(other, {});
+});
+
+test("counters clear at the end of their window", async () => {
+  const env = { RATE_LIMITER: createDurableObjects(RateLimiter) };
+  await protectSubmission(formRequest(), env, cfg, HOST, {}, "waitlist");
+
+  const { window } = RATE_LIMITS.waitlist.ip;
+  for (const instance of env.RATE_LIMITER.instances.values()) {
+    assert.equal(instance.storage.alarm % (window * 1000), 0);
+    assert.ok(instance.storage.alarm > Date.now());
+    await instance.alarm();
+    assert.equal(instance.storage.data.size, 0);
+  }
+});
+
+test("refuses submissions when the counters are unavailable", async () => {
+  const env = { RATE_LIMITER: createDurableObjects(RateLimiter) };
+  env.RATE_LIMITER.failRequests = true;
+
+  const { error } = await protectSubmission(
+    formRequest(),
+    env,
+    cfg,
+    HOST,
+    {},
+    "offer"
+  );
+  assert.equal(error.status, 429);
+});
+
+test("checks the form's time token", async () => {
+  const env = { PARKOUR_SIGNING_SECRET: SECRET };
+  const submit = (token) =>
+    protectSubmission(
+      formRequest(),
+      env,
+      cfg,
+      HOST,
+      { [TOKEN_FIELD]: token },
+      "offer"
+    );
+
+  assert.deepEqual(await submit(await tokenIssued(10_000)), {});
+
+  // Sooner than a person can fill in the form
+  assert.deepEqual(await submit(await issueFormToken(env, HOST)), {
+    spam: true,
+  });
+
+  for (const token of [
+    undefined,
+    "garbage",
+    await tokenIssued(25 * 60 * 60 * 1000),
+    `${await tokenIssued(10_000)}x`,
+  ]) {
+    const { error } = await submit(token);
+    assert.equal(error.status, 400, String(token));
+    assert.equal((await error.json()).error.code, "invalid_token");
+  }
+});
+
+test("verifies Turnstile when the domain sets a site key", async (t) => {
+  const verified = [];
+  setTurnstileVerifier(async (token) => {
+    verified.push(token);
+    return token === "passed";
+  });
+  t.after(() => setTurnstileVerifier(null));
+
+  const turnstileCfg = { ...cfg, turnstileSiteKey: "site-key" };
+  const submit = (body) =>
+    protectSubmission(formRequest(), {}, turnstileCfg, HOST, body, "offer");
+
+  assert.deepEqual(await submit({ [TURNSTILE_FIELD]: "passed" }), {});
+
+  for (const body of [{}, { [TURNSTILE_FIELD]: "failed" }]) {
+    const { error } = await submit(body);
+    assert.equal(error.status, 403);
+    assert.equal((await error.json()).error.code, "challenge_failed");
+  }
+  // A missing response is refused without calling the verifier
+  assert.deepEqual(verified, ["passed", "failed"]);
+});
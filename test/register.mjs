@@ -0,0 +1,7 @@
+/**
+ * Test setup: load the Worker's modules in Node the way wrangler bundles them
+ * Used as `node --import ./test/register.mjs --test` (see package.json).
+ */
+import { register } from "node:module";
+
+register("./loader.mjs", import.meta.url);
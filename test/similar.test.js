@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findSimilarDomains } from "../src/similar.js";
+import { createKV } from "./helpers.js";
+
+test("picks candidates from every page of keys, resolved like the portfolio", async () => {
+  const entries = {};
+  for (let i = 0; i < 5; i++) entries[`filler${i}.net`] = { value: "{}" };
+  entries["zeta.com"] = { value: "{}" };
+  entries["sold.com"] = { value: "{}" };
+  const env = { DOMAIN_CONFIGS: createKV(entries, { pageSize: 2 }) };
+
+  const configs = {
+    "zeta.com": {
+      mode: "parking",
+      status: "available",
+      domainTitle: "Zeta",
+      price: { display: "$5,000" },
+    },
+    "sold.com": { mode: "parking", status: "sold" },
+  };
+  const loadConfig = async (hostname) => ({
+    config: configs[hostname] || { mode: "landing", status: "available" },
+  });
+
+  const similar = await findSimilarDomains(
+    { domain: "example.com", similarDomains: true },
+    env,
+    loadConfig
+  );
+  assert.deepEqual(similar, [
+    { domain: "zeta.com", title: "Zeta", price: "$5,000" },
+  ]);
+});
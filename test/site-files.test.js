@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handleSiteFile } from "../src/site-files.js";
+import { STYLESHEET_PATH } from "../src/assets.js";
+import { OG_IMAGE_ROUTE } from "../src/templates/og-image.js";
+
+const cfg = { domain: "example.com", domainTitle: "example.com" };
+
+test("serves the favicon as SVG only", async () => {
+  const svg = handleSiteFile(new URL("https://example.com/favicon.svg"), cfg);
+  assert.match(svg.headers.get("content-type"), /^image\/svg\+xml/);
+  assert.match(await svg.text(), />E<\/text>/);
+
+  const ico = handleSiteFile(new URL("https://example.com/favicon.ico"), cfg);
+  assert.equal(ico.status, 404);
+  assert.equal(ico.body, null);
+});
+
+test("robots.txt keeps the stylesheet and the preview card crawlable", async () => {
+  const robots = await handleSiteFile(
+    new URL("https://example.com/robots.txt"),
+    cfg
+  ).text();
+  const disallowed = [...robots.matchAll(/^Disallow: (.+)$/gm)].map(
+    (match) => match[1]
+  );
+  const isDisallowed = (path) =>
+    disallowed.some((prefix) => path.startsWith(prefix));
+
+  for (const path of [STYLESHEET_PATH, OG_IMAGE_ROUTE, "/", "/about"]) {
+    assert.equal(isDisallowed(path), false, path);
+  }
+  for (const path of [
+    "/_parkour/api/domains",
+    "/_parkour/offer",
+    "/_parkour/waitlist/confirm",
+    "/_parkour/collect",
+  ]) {
+    assert.equal(isDisallowed(path), true, path);
+  }
+});
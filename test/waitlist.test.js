@@ -0,0 +1,105 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { TOKEN_FIELD, sign } from "../src/protection.js";
+import {
+  WAITLIST_EXPORT_ROUTE,
+  WAITLIST_ROUTE,
+  handleWaitlistExport,
+  handleWaitlistSignup,
+} from "../src/waitlist.js";
+import { createKV } from "./helpers.js";
+
+const HOST = "example.com";
+const SECRET = "test-secret";
+const TOKEN = "test-token";
+const cfg = {
+  mode: "coming-soon",
+  waitlist: true,
+  waitlistDoubleOptIn: true,
+  locale: "en",
+};
+
+function createEnv() {
+  return {
+    WAITLIST: createKV(),
+    PARKOUR_SIGNING_SECRET: SECRET,
+    PARKOUR_MAIL_WEBHOOK: "https://mail.example/hook",
+    PARKOUR_ADMIN_TOKEN: TOKEN,
+  };
+}
+
+/**
+ * Signup request with a form token issued ten seconds ago
+ */
+async function signupRequest(email) {
+  const issuedAt = Date.now() - 10_000;
+  const token = `${issuedAt}.${await sign(SECRET, `form:${HOST}:${issuedAt}`)}`;
+  return new Request(`https://${HOST}${WAITLIST_ROUTE}`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ email, [TOKEN_FIELD]: token }),
+  });
+}
+
+test("sends at most one confirmation per hour to an address", async (t) => {
+  const sent = [];
+  let webhookStatus = 200;
+  mock.method(globalThis, "fetch", async (url, init) => {
+    sent.push(JSON.parse(init.body).to);
+    return new Response(null, { status: webhookStatus });
+  });
+  t.after(() => mock.restoreAll());
+
+  const env = createEnv();
+  const signup = async (email) =>
+    handleWaitlistSignup(await signupRequest(email), env, cfg, HOST);
+
+  for (let i = 0; i < 3; i++) {
+    const response = await signup("ann@example.org");
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, "pending");
+  }
+  assert.deepEqual(sent, ["ann@example.org"]);
+
+  // A failed delivery does not start the wait
+  webhookStatus = 500;
+  assert.equal((await signup("bob@example.org")).status, 502);
+  webhookStatus = 200;
+  assert.equal((await signup("bob@example.org")).status, 200);
+  assert.deepEqual(sent, [
+    "ann@example.org",
+    "bob@example.org",
+    "bob@example.org",
+  ]);
+
+  // Once the hour is over, a new link can be requested
+  const key = `sub:${HOST}:ann@example.org`;
+  const record = await env.WAITLIST.get(key, "json");
+  record.confirmationSentAt = new Date(
+    Date.now() - 61 * 60 * 1000
+  ).toISOString();
+  await env.WAITLIST.put(key, JSON.stringify(record));
+  await signup("ann@example.org");
+  assert.equal(sent.length, 4);
+});
+
+test("export answers a JSON error when the list fails", async (t) => {
+  mock.method(console, "error", () => {});
+  t.after(() => mock.restoreAll());
+
+  const env = createEnv();
+  env.WAITLIST.list = async () => {
+    throw new Error("KV list() failed");
+  };
+
+  const response = await handleWaitlistExport(
+    new Request(`https://${HOST}${WAITLIST_EXPORT_ROUTE}?domain=${HOST}`, {
+      headers: { authorization: `Bearer ${TOKEN}` },
+    }),
+    env
+  );
+  assert.equal(response.status, 500);
+  const { ok, error } = await response.json();
+  assert.equal(ok, false);
+  assert.equal(error.code, "storage_error");
+});